@@ -2,16 +2,74 @@
 require('dotenv').config();
 const express = require('express');
 const crypto = require('crypto');
-const OpenAI = require('openai');
-const axios = require('axios');
-
-// Force Vercel redeploy - 2025-09-17
+const { isEmailConfigured, sendFeedbackEmail, sendTelegramLinkEmail } = require('./lib/email');
+const {
+  isTelegramConfigured,
+  createLinkCode,
+  getChatIdForEmail,
+  handleTelegramUpdate,
+  sendFeedbackTelegram
+} = require('./lib/telegram');
+const { buildRecipientFeedback, matchParticipantKey, participantNames } = require('./lib/recipients');
+const { getStorage } = require('./lib/storage');
+const { isChatConfigured, isTranscriptionConfigured, createChatCompletion, transcribeAudio, describeProviders } = require('./lib/llm');
+const { recordLearnerProgress, getLearnerProgress } = require('./lib/progress');
+const {
+  registerJobHandler,
+  enqueueJob,
+  startWorkers,
+  getJob,
+  listJobs,
+  retryDeadJob
+} = require('./lib/jobQueue');
+const {
+  registerEvent,
+  releaseEvent,
+  attachJob,
+  listProcessedEvents,
+  forceReprocessEvent
+} = require('./lib/idempotency');
+const {
+  isWebhookSecretConfigured,
+  createValidationToken,
+  verifyZoomSignature,
+  recordRejectedRequest,
+  listRejectedRequests,
+  safeEqual
+} = require('./lib/webhookVerification');
+const { splitAudio, mapWithConcurrency, stitchSegments } = require('./lib/audioChunking');
+const { parseVTT, segmentsToCues, formatTranscript, formatTimestamp } = require('./lib/transcript');
+const { computeTalkTime } = require('./lib/talkTime');
+const { validateFeedback, repairFeedback, normalizeObservations } = require('./lib/feedbackSchema');
+const { estimateTokens, chunkCues, mergeObservations, keepChunkExamples } = require('./lib/feedbackChunking');
+const { getLanguagePack, listLanguageCodes, resolveMeetingLanguage } = require('./lib/languagePacks');
+const { saveLearnerProfile, getLearnerProfile, resolveLearnerLanguages, planTandemSession, mergeTandemFeedback } = require('./lib/tandem');
+const { loadReport, renderReportHtml, renderReportPdf, reportContentDisposition, verifyReportToken, createReportLink } = require('./lib/reports');
+const { getMeetingDetails, listMeetingSummaries } = require('./lib/meetings');
+const { getMeetingAttendance, selectAttendees, receivesFeedback, minAttendanceMinutes } = require('./lib/attendance');
+const { isZoomApiConfigured, getMeetingRecordings, downloadRecording } = require('./lib/zoom');
+const { diagnoseZoomAccess, runZoomSelfCheck } = require('./lib/zoomDiagnostics');
+const { advanceMeetingState, raiseMeetingAlert, checkTranscriptArrived, transcriptAlertMinutes, listMeetingAlerts } = require('./lib/lifecycle');
+const {
+  registerLearner,
+  getLearner,
+  listLearners,
+  addLearnerAliases,
+  removeLearnerAlias,
+  rememberParticipant,
+  resolveParticipants,
+  describeNames
+} = require('./lib/learners');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-if (!process.env.ZOOM_WEBHOOK_SECRET_TOKEN) {
-  console.warn('WARNING: ZOOM_WEBHOOK_SECRET_TOKEN is not set. For local testing, copy .env.example to .env and set the token.');
+if (process.env.VERCEL) {
+  console.error('ERROR: Serverless deployment (Vercel) is not supported. Webhook events are processed by job workers in a long-running process and stored in a local SQLite file; on Vercel queued and delayed jobs never run. Deploy as a single persistent Node.js process instead.');
+}
+
+if (!isWebhookSecretConfigured()) {
+  console.error('ERROR: ZOOM_WEBHOOK_SECRET_TOKEN is not set. Zoom webhook events will be refused until it is configured. For local testing, copy .env.example to .env and set the token.');
 }
 
 if (!process.env.ZOOM_CLIENT_ID || process.env.ZOOM_CLIENT_ID === 'your_zoom_client_id_here') {
@@ -22,14 +80,17 @@ if (!process.env.ZOOM_CLIENT_SECRET || process.env.ZOOM_CLIENT_SECRET === 'your_
   console.warn('WARNING: ZOOM_CLIENT_SECRET is not set. Add your Zoom app Client Secret to .env for API access.');
 }
 
-if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-  console.warn('WARNING: OPENAI_API_KEY is not set. Add your OpenAI API key to .env for feedback generation.');
+if (!isChatConfigured()) {
+  console.warn('WARNING: No LLM provider is configured. Set OPENAI_API_KEY, or LOCAL_LLM_BASE_URL with LLM_PROVIDERS=local, in .env for feedback generation.');
 }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+if (!process.env.SMTP_HOST) {
+  console.warn('WARNING: SMTP_HOST is not set. Feedback emails will not be delivered.');
+}
+
+if (!process.env.TELEGRAM_BOT_TOKEN) {
+  console.warn('WARNING: TELEGRAM_BOT_TOKEN is not set. Telegram delivery is disabled.');
+}
 
 // Use Express's built-in JSON parser, but with a verify function
 // This captures the raw request body required for signature verification
@@ -43,7 +104,30 @@ app.use(express.json({
 app.post('/api/zoom-webhook', async (req, res) => {
   console.log('Received a request from Zoom...');
 
-  // 1. HANDLE ZOOM'S URL VALIDATION CHALLENGE
+  // Never accept events (or answer validation challenges) without a secret
+  if (!isWebhookSecretConfigured()) {
+    recordRejectedRequest(req, 'secret_not_configured');
+    return res.status(503).send('Webhook secret not configured.');
+  }
+
+  // 1. VERIFY EVERY REQUEST - Zoom signs url_validation challenges too, and
+  // answering unsigned ones would hand out signatures for arbitrary bodies
+  const verification = verifyZoomSignature({
+    signature: req.headers['x-zm-signature'],
+    timestamp: req.headers['x-zm-request-timestamp'],
+    rawBody: req.rawBody
+  });
+
+  if (!verification.valid) {
+    recordRejectedRequest(req, verification.reason);
+    return res.status(401).send('Verification failed.');
+  }
+
+  if (verification.rotated) {
+    console.warn('Webhook signed with ZOOM_WEBHOOK_SECRET_TOKEN_PREVIOUS - finish the secret rotation in the Zoom app settings.');
+  }
+
+  // 2. HANDLE ZOOM'S URL VALIDATION CHALLENGE
   if (req.body && req.body.event === 'endpoint.url_validation') {
     console.log('Responding to URL validation challenge.');
 
@@ -52,38 +136,12 @@ app.post('/api/zoom-webhook', async (req, res) => {
       return res.status(400).send('plainToken missing');
     }
 
-    const hashForValidate = crypto
-      .createHmac('sha256', process.env.ZOOM_WEBHOOK_SECRET_TOKEN || '')
-      .update(plainToken)
-      .digest('hex');
-
     return res.status(200).json({
       plainToken,
-      encryptedToken: hashForValidate,
+      encryptedToken: createValidationToken(plainToken, verification),
     });
   }
 
-  // 2. VERIFY ALL OTHER INCOMING EVENTS
-  const signature = req.headers['x-zm-signature'];
-  const timestamp = req.headers['x-zm-request-timestamp'];
-
-  if (!signature || !timestamp) {
-    console.log('Verification headers missing.');
-    return res.status(401).send('Verification failed.');
-  }
-
-  const message = `v0:${timestamp}:${req.rawBody.toString()}`;
-  const hashForVerify = crypto
-    .createHmac('sha256', process.env.ZOOM_WEBHOOK_SECRET_TOKEN || '')
-    .update(message)
-    .digest('hex');
-  const expectedSignature = `v0=${hashForVerify}`;
-
-  if (signature !== expectedSignature) {
-    console.log('Invalid signature.');
-    return res.status(401).send('Verification failed.');
-  }
-
   // 3. PROCESS THE VERIFIED EVENT
   console.log('Webhook verified successfully!');
   console.log('Event Type:', req.body.event);
@@ -92,322 +150,784 @@ app.post('/api/zoom-webhook', async (req, res) => {
   const eventType = req.body.event;
   const payload = req.body.payload;
 
+  // Queue the event and acknowledge right away; the heavy lifting
+  // (Zoom API, transcript download, OpenAI) happens in the job workers
   try {
-    switch (eventType) {
-      case 'meeting.participant_joined':
-      case 'meeting.participant_left':
-        await handleParticipantEvent(eventType, payload);
-        break;
+    const { eventKey, duplicate, previous } = await registerEvent(eventType, payload);
 
-      case 'recording.completed':
-        await handleRecordingCompleted(payload);
-        break;
+    if (duplicate) {
+      console.log(`⏭️ Skipping duplicate ${eventType} for meeting ${payload?.object?.uuid || 'unknown'} (event ${eventKey.substring(0, 12)}, first seen ${previous.firstSeenAt}, job ${previous.jobId}, ${previous.duplicateCount} duplicate(s))`);
+      return res.status(200).json({ received: true, duplicate: true, jobId: previous.jobId });
+    }
 
-      case 'recording.transcript_completed':
-        await handleTranscriptCompleted(payload);
-        break;
+    let jobId;
+    try {
+      // recording.* events carry a download token for the recording files; it
+      // is cached rather than written into the job payload
+      if (req.body.download_token && payload?.object?.uuid) {
+        await saveDownloadToken(payload.object.uuid, req.body.download_token);
+      }
 
-      default:
-        console.log(`Unhandled event type: ${eventType}`);
+      jobId = await enqueueJob('zoom.event', { eventType, payload }, {
+        groupKey: payload?.object?.uuid || null
+      });
+    } catch (error) {
+      // Not queued: forget the event so Zoom's redelivery is not skipped
+      await releaseEvent(eventKey).catch(releaseError => console.error('Failed to release webhook event:', releaseError.message));
+      throw error;
     }
+
+    // The job is queued; a missing link only affects the duplicate log line
+    await attachJob(eventKey, jobId).catch(error => console.error(`Failed to link event ${eventKey.substring(0, 12)} to job ${jobId}:`, error.message));
+    res.status(200).json({ received: true, jobId });
   } catch (error) {
-    console.error('Error processing webhook event:', error);
+    console.error('Failed to queue webhook event:', error);
     return res.status(500).send('Internal server error');
   }
-
-  // Acknowledge receipt of the event
-  res.status(200).send('Event received.');
 });
 
-// Health check
-app.get('/', (req, res) => res.send('Zoom webhook backend is running.'));
-
-// Start the server
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Server listening on port ${port}`);
-  console.log(`Health check: http://localhost:${port}/`);
-  console.log(`Webhook endpoint: http://localhost:${port}/api/zoom-webhook`);
-});
+/**
+ * Process one verified Zoom event (runs inside a job worker). `forced` is set
+ * when an operator re-runs the event on purpose.
+ */
+async function dispatchZoomEvent(eventType, payload, job = null, { forced = false } = {}) {
+  switch (eventType) {
+    case 'meeting.started':
+      await handleMeetingStarted(payload);
+      break;
+
+    case 'meeting.ended':
+      await handleMeetingEnded(payload);
+      break;
+
+    case 'meeting.deleted':
+      await handleMeetingDeleted(payload);
+      break;
+
+    case 'meeting.participant_joined':
+    case 'meeting.participant_left':
+      await handleParticipantEvent(eventType, payload);
+      break;
+
+    case 'recording.completed':
+      await handleRecordingCompleted(payload);
+      break;
+
+    case 'recording.transcript_completed':
+      await handleTranscriptCompleted(payload, job, { forced });
+      break;
+
+    default:
+      console.log(`Unhandled event type: ${eventType}`);
+  }
+}
 
-// =============================================================================
-// ZOOM API INTEGRATION
-// =============================================================================
+registerJobHandler('zoom.event', ({ eventType, payload, forced }, job) => dispatchZoomEvent(eventType, payload, job, { forced }));
+registerJobHandler('meeting.reprocess', ({ meetingUuid, options }, job) => processMeetingTranscript(meetingUuid, { ...options, resumeSince: resumeSince(job) }));
+registerJobHandler('meeting.transcript_check', ({ meetingUuid }) => checkTranscriptArrived(meetingUuid));
+registerJobHandler('meeting.transcript_fallback', ({ meetingUuid, delayMinutes }) => startTranscriptFallback(meetingUuid, delayMinutes));
 
 /**
- * Cache for Zoom access token (in production, use Redis or database)
+ * On a retry, feedback saved since the job was queued comes from an earlier
+ * attempt of the same job
  */
-let zoomAccessTokenCache = {
-  token: null,
-  expiresAt: 0
-};
+function resumeSince(job) {
+  return job && job.attempts > 1 ? job.createdAt : null;
+}
 
 /**
- * Get Zoom access token using Server-to-Server OAuth
+ * Require the admin bearer token (ADMIN_API_TOKEN) for operator endpoints
  */
-async function getZoomAccessToken(forceRefresh = false) {
-  // Force refresh or check if we have a valid cached token
-  if (!forceRefresh && zoomAccessTokenCache.token && Date.now() < zoomAccessTokenCache.expiresAt) {
-    console.log('Using cached Zoom access token');
-    return zoomAccessTokenCache.token;
+function requireAdminAuth(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API disabled. Set ADMIN_API_TOKEN to enable it.' });
   }
 
-  if (forceRefresh) {
-    console.log('Force refreshing Zoom access token (clearing cache)');
-    zoomAccessTokenCache = { token: null, expiresAt: 0 };
+  const provided = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+
+  if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  if (!process.env.ZOOM_CLIENT_ID || !process.env.ZOOM_CLIENT_SECRET || !process.env.ZOOM_ACCOUNT_ID) {
-    throw new Error('Zoom API credentials not configured. Set ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, and ZOOM_ACCOUNT_ID in .env');
+  next();
+}
+
+// Telegram bot webhook (set with setWebhook and a secret_token)
+app.post('/api/telegram-webhook', async (req, res) => {
+  const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (expected && !safeEqual(req.headers['x-telegram-bot-api-secret-token'] || '', expected)) {
+    console.log('Telegram webhook secret mismatch.');
+    return res.status(401).send('Verification failed.');
   }
 
   try {
-    console.log('=== ZOOM TOKEN DEBUG START ===');
-    console.log('Requesting new Zoom access token with account_credentials for cloud recording access');
-    console.log('Using Client ID:', process.env.ZOOM_CLIENT_ID);
-    console.log('Using Account ID:', process.env.ZOOM_ACCOUNT_ID);
-    console.log('Client Secret length:', process.env.ZOOM_CLIENT_SECRET?.length || 0);
-    console.log('Client Secret first 10 chars:', process.env.ZOOM_CLIENT_SECRET?.substring(0, 10) + '...');
-    console.log('Process env keys containing ZOOM:', Object.keys(process.env).filter(k => k.includes('ZOOM')));
-    console.log('Current timestamp:', new Date().toISOString());
-    console.log('Node.js version:', process.version);
-    console.log('Environment:', process.env.NODE_ENV || 'undefined');
-    
-    const credentials = Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64');
-    
-    const url = `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${encodeURIComponent(process.env.ZOOM_ACCOUNT_ID)}`;
-    console.log('Making OAuth request to:', url);
-    console.log('Authorization header first 30 chars:', `Basic ${credentials.substring(0, 30)}...`);
-    console.log('Full credentials length:', credentials.length);
-    
-    // Log request details
-    const requestConfig = {
-      url: url,
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${credentials}`,
-        'User-Agent': 'Node.js Zoom Webhook Server',
-        'Accept': 'application/json'
-      }
-    };
-    
-    console.log('Full request config (headers masked):', {
-      ...requestConfig,
-      headers: {
-        ...requestConfig.headers,
-        'Authorization': 'Basic [MASKED]'
-      }
+    await handleTelegramUpdate(req.body);
+  } catch (error) {
+    console.error('Error processing Telegram update:', error.message);
+  }
+
+  // Always acknowledge so Telegram does not redeliver the update
+  res.status(200).send('OK');
+});
+
+// Issue a one-time Telegram link code for a learner's Zoom email
+app.post('/api/telegram/link-codes', requireAdminAuth, async (req, res) => {
+  const email = req.body?.email;
+  if (!email || !email.includes('@')) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+
+  if (!isTelegramConfigured()) {
+    return res.status(503).json({ error: 'Telegram bot not configured' });
+  }
+
+  const link = await createLinkCode(email);
+  let emailed = false;
+
+  if (isEmailConfigured()) {
+    try {
+      // In the learner's target language (their profile), else the default language
+      const languages = await resolveLearnerLanguages(await resolveParticipants([{ email }]));
+      await sendTelegramLinkEmail(email, link, getLanguagePack(languages?.[0].targetLanguage));
+      emailed = true;
+    } catch (error) {
+      console.error(`Failed to email Telegram link code to ${email}:`, error.message);
+    }
+  }
+
+  res.status(201).json({ ...link, emailed });
+});
+
+// Learner registry: canonical identities with their names and Zoom user IDs
+app.get('/api/learners', requireAdminAuth, async (req, res) => {
+  try {
+    res.json({ learners: await listLearners() });
+  } catch (error) {
+    console.error('Error listing learners:', error.message);
+    res.status(500).json({ error: 'Failed to list learners' });
+  }
+});
+
+app.get('/api/learners/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const learner = await getLearner(req.params.id.trim().toLowerCase());
+    if (!learner) {
+      return res.status(404).json({ error: 'Learner not found' });
+    }
+    res.json(learner);
+  } catch (error) {
+    console.error('Error loading learner:', error.message);
+    res.status(500).json({ error: 'Failed to load learner' });
+  }
+});
+
+app.put('/api/learners/:id', requireAdminAuth, async (req, res) => {
+  const { name, email } = req.body || {};
+  if (email !== undefined && email !== null && (typeof email !== 'string' || !email.includes('@'))) {
+    return res.status(400).json({ error: 'email must be an email address' });
+  }
+
+  try {
+    const learnerId = req.params.id.trim().toLowerCase();
+    const learner = await registerLearner(learnerId, {
+      name,
+      email: email || (learnerId.includes('@') ? learnerId : null)
     });
-    
-    const response = await axios.post(
-      url,
-      {},
-      {
-        headers: {
-          'Authorization': `Basic ${credentials}`,
-          'User-Agent': 'Node.js Zoom Webhook Server',
-          'Accept': 'application/json'
-        },
-        timeout: 10000,
-        validateStatus: function (status) {
-          console.log('Response status code:', status);
-          return status >= 200 && status < 300;
-        }
-      }
-    );
+    res.json(learner);
+  } catch (error) {
+    console.error('Error saving learner:', error.message);
+    res.status(500).json({ error: 'Failed to save learner' });
+  }
+});
 
-    console.log('Response received!');
-    console.log('Response status:', response.status);
-    console.log('Response headers:', JSON.stringify(response.headers, null, 2));
-    console.log('Response data type:', typeof response.data);
-    console.log('Response data keys:', Object.keys(response.data || {}));
+// Fix a mismatch: assign display names / Zoom user IDs to a learner for all later sessions
+app.post('/api/learners/:id/aliases', requireAdminAuth, async (req, res) => {
+  const { names = [], zoomUserIds = [] } = req.body || {};
+  for (const [field, value] of [['names', names], ['zoomUserIds', zoomUserIds]]) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      return res.status(400).json({ error: `${field} must be an array of non-empty strings` });
+    }
+  }
+  if (names.length === 0 && zoomUserIds.length === 0) {
+    return res.status(400).json({ error: 'names or zoomUserIds is required' });
+  }
 
-    const { access_token, expires_in, scope, token_type } = response.data;
-    
-    console.log('=== TOKEN DETAILS ===');
-    console.log('Access token present:', !!access_token);
-    console.log('Access token length:', access_token?.length || 0);
-    console.log('Access token first 20 chars:', access_token?.substring(0, 20) + '...');
-    console.log('Token type:', token_type);
-    console.log('Expires in seconds:', expires_in);
-    console.log('Expires at:', new Date(Date.now() + (expires_in * 1000)).toISOString());
-    console.log('=== SCOPE ANALYSIS ===');
-    console.log('Full scope string length:', scope?.length || 0);
-    console.log('Full scope string:', scope);
-    console.log('Scope contains "cloud_recording":', scope?.includes('cloud_recording') || false);
-    console.log('Scope contains "marketplace":', scope?.includes('marketplace') || false);
-    console.log('Scope contains "recording:read":', scope?.includes('recording:read') || false);
-    console.log('Individual scopes:', scope?.split(' ') || []);
-    console.log('Number of scopes:', scope?.split(' ')?.length || 0);
-    
-    console.log('=== FULL RESPONSE DATA ===');
-    console.log('Raw response:', JSON.stringify(response.data, null, 2));
-    console.log('=== ZOOM TOKEN DEBUG END ===');
-    
-    // Cache the token with 5 minute buffer before expiry
-    zoomAccessTokenCache = {
-      token: access_token,
-      expiresAt: Date.now() + ((expires_in - 300) * 1000)
-    };
+  try {
+    const learnerId = req.params.id.trim().toLowerCase();
+    if (!await getLearner(learnerId)) {
+      return res.status(404).json({ error: 'Learner not found' });
+    }
+    res.json(await addLearnerAliases(learnerId, { names, zoomUserIds }));
+  } catch (error) {
+    console.error('Error saving learner aliases:', error.message);
+    res.status(500).json({ error: 'Failed to save learner aliases' });
+  }
+});
 
-    console.log('Successfully obtained Zoom access token with scope:', scope);
-    return access_token;
+app.delete('/api/learners/:id/aliases/:alias', requireAdminAuth, async (req, res) => {
+  try {
+    const learnerId = req.params.id.trim().toLowerCase();
+    const removed = await removeLearnerAlias(learnerId, req.params.alias);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Alias not found for this learner' });
+    }
+    res.json(await getLearner(learnerId));
+  } catch (error) {
+    console.error('Error removing learner alias:', error.message);
+    res.status(500).json({ error: 'Failed to remove learner alias' });
+  }
+});
 
+// Learner progress across tandem sessions (for coaches)
+app.get('/api/learners/:id/progress', requireAdminAuth, async (req, res) => {
+  try {
+    const progress = await getLearnerProgress(req.params.id.trim().toLowerCase());
+    if (!progress) {
+      return res.status(404).json({ error: 'No sessions recorded for this learner' });
+    }
+    res.json(progress);
   } catch (error) {
-    console.error('=== ZOOM TOKEN ERROR DEBUG ===');
-    console.error('Error type:', error.constructor.name);
-    console.error('Error message:', error.message);
-    console.error('Error code:', error.code);
-    console.error('Error stack:', error.stack);
-    
-    if (error.response) {
-      console.error('HTTP Response Error Details:');
-      console.error('Status:', error.response.status);
-      console.error('Status text:', error.response.statusText);
-      console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      console.error('Response data type:', typeof error.response.data);
-    } else if (error.request) {
-      console.error('HTTP Request Error Details:');
-      console.error('Request config:', JSON.stringify({
-        url: error.config?.url,
-        method: error.config?.method,
-        headers: { ...error.config?.headers, Authorization: '[MASKED]' },
-        data: error.config?.data,
-        timeout: error.config?.timeout
-      }, null, 2));
-      console.error('No response received');
-    } else {
-      console.error('Configuration or other error');
+    console.error('Error loading learner progress:', error.message);
+    res.status(500).json({ error: 'Failed to load learner progress' });
+  }
+});
+
+// Native and target language of a learner (enables the bidirectional tandem mode)
+app.get('/api/learners/:id/profile', requireAdminAuth, async (req, res) => {
+  try {
+    const profile = await getLearnerProfile(req.params.id.trim().toLowerCase());
+    if (!profile) {
+      return res.status(404).json({ error: 'No profile for this learner' });
     }
-    
-    console.error('=== END ZOOM TOKEN ERROR DEBUG ===');
-    console.error('Error getting Zoom access token:', error.response?.data || error.message);
-    throw new Error(`Failed to get Zoom access token: ${error.response?.data?.error || error.message}`);
+    res.json(profile);
+  } catch (error) {
+    console.error('Error loading learner profile:', error.message);
+    res.status(500).json({ error: 'Failed to load learner profile' });
+  }
+});
+
+app.put('/api/learners/:id/profile', requireAdminAuth, async (req, res) => {
+  const { name, email, nativeLanguage, targetLanguage } = req.body || {};
+  const supported = listLanguageCodes();
+
+  for (const [field, value] of [['nativeLanguage', nativeLanguage], ['targetLanguage', targetLanguage]]) {
+    if (!value || !supported.includes(String(value).toLowerCase())) {
+      return res.status(400).json({ error: `${field} must be one of: ${supported.join(', ')}` });
+    }
+  }
+  if (nativeLanguage.toLowerCase() === targetLanguage.toLowerCase()) {
+    return res.status(400).json({ error: 'nativeLanguage and targetLanguage must differ' });
+  }
+
+  try {
+    const learnerId = req.params.id.trim().toLowerCase();
+    const profile = await saveLearnerProfile(learnerId, {
+      name,
+      email: email || (learnerId.includes('@') ? learnerId : null),
+      nativeLanguage,
+      targetLanguage
+    });
+    res.json(profile);
+  } catch (error) {
+    console.error('Error saving learner profile:', error.message);
+    res.status(500).json({ error: 'Failed to save learner profile' });
+  }
+});
+
+// Job status (queued, running, succeeded, dead) for operators
+app.get('/api/jobs', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    res.json({ jobs: await listJobs({ status: req.query.status, limit }) });
+  } catch (error) {
+    console.error('Error listing jobs:', error.message);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await getJob(parseInt(req.params.id, 10));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error loading job:', error.message);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+});
+
+// Re-queue a job from the dead-letter list
+app.post('/api/jobs/:id/retry', requireAdminAuth, async (req, res) => {
+  try {
+    const requeued = await retryDeadJob(parseInt(req.params.id, 10));
+    if (!requeued) {
+      return res.status(409).json({ error: 'Only dead-lettered jobs can be retried' });
+    }
+    res.status(202).json({ requeued: true });
+  } catch (error) {
+    console.error('Error retrying job:', error.message);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Processed webhook events (for finding event keys to reprocess)
+app.get('/api/events', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    res.json({ events: await listProcessedEvents({ meetingUuid: req.query.meetingUuid, limit }) });
+  } catch (error) {
+    console.error('Error listing processed events:', error.message);
+    res.status(500).json({ error: 'Failed to list events' });
+  }
+});
+
+// Deliberately re-run an event that was already processed
+app.post('/api/events/:eventKey/reprocess', requireAdminAuth, async (req, res) => {
+  try {
+    const jobId = await forceReprocessEvent(req.params.eventKey);
+    if (!jobId) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.status(202).json({ jobId });
+  } catch (error) {
+    console.error('Error reprocessing event:', error.message);
+    res.status(500).json({ error: 'Failed to reprocess event' });
+  }
+});
+
+// Audit log of rejected webhook requests
+app.get('/api/webhook-rejections', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    res.json({ rejections: listRejectedRequests({ limit }) });
+  } catch (error) {
+    console.error('Error listing webhook rejections:', error.message);
+    res.status(500).json({ error: 'Failed to list webhook rejections' });
+  }
+});
+
+// Operator alerts, e.g. meetings that ended without a transcript arriving
+app.get('/api/alerts', requireAdminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    res.json({ alerts: await listMeetingAlerts({ meetingUuid: req.query.meetingUuid, limit }) });
+  } catch (error) {
+    console.error('Error listing alerts:', error.message);
+    res.status(500).json({ error: 'Failed to list alerts' });
+  }
+});
+
+// Zoom credentials, token scopes and the features degraded by missing scopes
+app.get('/api/diagnostics/zoom', requireAdminAuth, async (req, res) => {
+  try {
+    res.json(await diagnoseZoomAccess());
+  } catch (error) {
+    console.error('Error diagnosing Zoom access:', error.message);
+    res.status(500).json({ error: 'Failed to diagnose Zoom access' });
+  }
+});
+
+// Same check with a newly requested token, e.g. after changing the app's scopes
+app.post('/api/diagnostics/zoom/refresh', requireAdminAuth, async (req, res) => {
+  try {
+    res.json(await diagnoseZoomAccess({ refresh: true }));
+  } catch (error) {
+    console.error('Error diagnosing Zoom access:', error.message);
+    res.status(500).json({ error: 'Failed to diagnose Zoom access' });
+  }
+});
+
+/**
+ * Parse a from/to query filter (YYYY-MM-DD or ISO 8601) into an ISO timestamp.
+ * A plain date used as upper bound includes that whole day. Returns null when
+ * absent and throws on an invalid date.
+ */
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`);
   }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
 }
 
+// Meetings captured by the webhook handlers, filterable by date, host and learner
+app.get('/api/meetings', requireAdminAuth, async (req, res) => {
+  let from, to;
+  try {
+    from = parseDateFilter(req.query.from);
+    to = parseDateFilter(req.query.to, { endOfDay: true });
+  } catch (error) {
+    return res.status(400).json({ error: `${error.message} (use YYYY-MM-DD or ISO 8601)` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const meetings = await listMeetingSummaries({
+      from,
+      to,
+      hostId: req.query.host,
+      learner: req.query.learner,
+      limit,
+      offset
+    });
+    res.json({ meetings, limit, offset });
+  } catch (error) {
+    console.error('Error listing meetings:', error.message);
+    res.status(500).json({ error: 'Failed to list meetings' });
+  }
+});
+
 /**
- * Get recording files for a meeting from Zoom API
+ * Load a meeting's details (UUID or numeric ID from the route) and respond with view(details)
  */
-async function getZoomRecordings(meetingUuid) {
+async function sendMeetingView(req, res, view) {
   try {
-    const accessToken = await getZoomAccessToken();
-    
-    console.log(`Fetching recordings for meeting ${meetingUuid}...`);
-    
-    // URL encode the meeting UUID (required for Zoom API)
-    const encodedUuid = encodeURIComponent(meetingUuid);
-    
-    const response = await axios.get(`https://api.zoom.us/v2/meetings/${encodedUuid}/recordings`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
+    const details = await getMeetingDetails(req.params.meetingId);
+    if (!details) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    view(details);
+  } catch (error) {
+    console.error('Error loading meeting:', error.message);
+    res.status(500).json({ error: 'Failed to load meeting' });
+  }
+}
+
+app.get('/api/meetings/:meetingId', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  const [latestFeedback] = details.feedback;
+  res.json({
+    meeting: details.meeting,
+    status: details.status,
+    participants: details.participants,
+    recordingFiles: details.recordingFiles,
+    transcript: details.transcript && {
+      source: details.transcript.source,
+      createdAt: details.transcript.createdAt,
+      cueCount: details.transcript.cues?.length ?? null,
+      speakers: [...new Set((details.transcript.cues || []).map(cue => cue.speaker).filter(Boolean))]
+    },
+    feedback: latestFeedback || null,
+    feedbackVersions: details.feedback.length
+  });
+}));
+
+app.get('/api/meetings/:meetingId/participants', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  res.json({ participants: details.participants });
+}));
+
+// Join/leave intervals per person with reconnects merged and total presence
+app.get('/api/meetings/:meetingId/attendance', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  const minMinutes = minAttendanceMinutes();
+  res.json({
+    minAttendanceMinutes: minMinutes,
+    attendance: details.attendance.map(person => ({
+      ...person,
+      receivesFeedback: receivesFeedback(person, minMinutes)
+    }))
+  });
+}));
+
+app.get('/api/meetings/:meetingId/recordings', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  res.json({ recordingFiles: details.recordingFiles });
+}));
+
+// Parsed transcript as cues (JSON) or as "[MM:SS] Speaker: text" lines (?format=text)
+app.get('/api/meetings/:meetingId/transcript', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  if (!details.transcript) {
+    return res.status(404).json({ error: 'No transcript for this meeting' });
+  }
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(details.transcript.parsed || '');
+  }
+  const { raw, ...transcript } = details.transcript;
+  res.json(req.query.raw === 'true' ? details.transcript : transcript);
+}));
+
+// All generated feedback versions with their delivery status, newest first
+app.get('/api/meetings/:meetingId/feedback', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  res.json({ feedback: details.feedback });
+}));
+
+app.get('/api/meetings/:meetingId/status', requireAdminAuth, (req, res) => sendMeetingView(req, res, (details) => {
+  res.json({
+    lifecycle: {
+      state: details.meeting.state,
+      startedAt: details.meeting.startedAt,
+      endedAt: details.meeting.endedAt,
+      deletedAt: details.meeting.deletedAt,
+      durationMinutes: details.meeting.durationMinutes
+    },
+    status: details.status,
+    alerts: details.alerts,
+    jobs: details.jobs,
+    events: details.events
+  });
+}));
+
+// Transcript speakers and feedback keys with the registered learner they resolve to
+app.get('/api/meetings/:meetingId/speakers', requireAdminAuth, async (req, res) => {
+  try {
+    const details = await getMeetingDetails(req.params.meetingId);
+    if (!details) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const speakers = [...new Set((details.transcript?.cues || []).map(cue => cue.speaker).filter(Boolean))];
+    const feedbackKeys = Object.keys(details.feedback[0]?.feedback?.participants || {});
+    res.json({
+      speakers: await describeNames(speakers),
+      feedbackKeys: await describeNames(feedbackKeys)
     });
+  } catch (error) {
+    console.error('Error resolving meeting speakers:', error.message);
+    res.status(500).json({ error: 'Failed to resolve meeting speakers' });
+  }
+});
 
-    return response.data;
+// Re-run transcript download, parsing and feedback for a past meeting (queued as a job)
+app.post('/api/meetings/:meetingId/reprocess', requireAdminAuth, async (req, res) => {
+  const { dryRun = false, useCachedTranscript = false, model = null, instructions = null } = req.body || {};
 
+  for (const [field, value] of [['dryRun', dryRun], ['useCachedTranscript', useCachedTranscript]]) {
+    if (typeof value !== 'boolean') {
+      return res.status(400).json({ error: `${field} must be a boolean` });
+    }
+  }
+  for (const [field, value] of [['model', model], ['instructions', instructions]]) {
+    if (value !== null && typeof value !== 'string') {
+      return res.status(400).json({ error: `${field} must be a string` });
+    }
+  }
+
+  try {
+    const details = await getMeetingDetails(req.params.meetingId);
+    if (!details) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    if (useCachedTranscript && !details.transcript) {
+      return res.status(409).json({ error: 'No cached transcript for this meeting' });
+    }
+
+    const options = { dryRun, useCachedTranscript, model, instructions };
+    const jobId = await enqueueJob('meeting.reprocess', { meetingUuid: details.meeting.uuid, options }, {
+      groupKey: details.meeting.uuid
+    });
+    console.log(`🔁 Reprocessing meeting ${details.meeting.uuid} as job ${jobId}${dryRun ? ' (dry run)' : ''}`);
+    res.status(202).json({ jobId, meetingUuid: details.meeting.uuid, ...options });
   } catch (error) {
-    console.error('Error fetching Zoom recordings:', error.response?.data || error.message);
-    throw new Error(`Failed to fetch recordings: ${error.response?.data?.message || error.message}`);
+    console.error('Error queueing meeting reprocess:', error.message);
+    res.status(500).json({ error: 'Failed to queue reprocessing' });
+  }
+});
+
+/**
+ * Answer with a loaded report as an HTML page or a PDF download
+ */
+async function sendReport(res, report, { pdf = false } = {}) {
+  if (report.error) {
+    return res.status(404).json({ error: report.error });
+  }
+  if (!pdf) {
+    return res.type('html').send(renderReportHtml(report));
   }
+  const buffer = await renderReportPdf(report);
+  res.set('Content-Disposition', reportContentDisposition(report));
+  res.type('pdf').send(buffer);
+}
+
+// Per-participant feedback report (meeting UUID or ID, participant email or name)
+app.get('/api/reports/:meetingId/:participant', requireAdminAuth, async (req, res) => {
+  try {
+    await sendReport(res, await loadReport(req.params.meetingId, req.params.participant));
+  } catch (error) {
+    console.error('Error rendering feedback report:', error.message);
+    res.status(500).json({ error: 'Failed to render feedback report' });
+  }
+});
+
+app.get('/api/reports/:meetingId/:participant/pdf', requireAdminAuth, async (req, res) => {
+  try {
+    await sendReport(res, await loadReport(req.params.meetingId, req.params.participant), { pdf: true });
+  } catch (error) {
+    console.error('Error rendering feedback report PDF:', error.message);
+    res.status(500).json({ error: 'Failed to render feedback report' });
+  }
+});
+
+// A learner's own report, opened through the signed link in the feedback email
+app.get(['/reports/:token', '/reports/:token/pdf'], async (req, res) => {
+  try {
+    const link = verifyReportToken(req.params.token);
+    if (link.error) {
+      return res.status(403).json({ error: link.error });
+    }
+    await sendReport(res, await loadReport(link.meetingUuid, link.participantId), { pdf: req.path.endsWith('/pdf') });
+  } catch (error) {
+    console.error('Error rendering linked feedback report:', error.message);
+    res.status(500).json({ error: 'Failed to render feedback report' });
+  }
+});
+
+// Health check
+app.get('/', (req, res) => res.send('Zoom webhook backend is running.'));
+
+// Start the server (unless loaded by the tests)
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`Server listening on port ${port}`);
+    console.log(`Health check: http://localhost:${port}/`);
+    console.log(`Webhook endpoint: http://localhost:${port}/api/zoom-webhook`);
+
+    // Open the database and start processing queued jobs
+    startWorkers().catch(error => console.error('Failed to start job workers:', error.message));
+
+    // Report missing Zoom scopes now rather than when the first recording fails
+    if (isZoomApiConfigured()) {
+      runZoomSelfCheck().catch(error => console.error('Zoom self-check failed:', error.message));
+    }
+  });
+}
+
+// =============================================================================
+// ZOOM API INTEGRATION
+// =============================================================================
+
+/**
+ * recording.* webhooks carry a download token that is valid for 24 hours
+ */
+const DOWNLOAD_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+function downloadTokenCacheKey(meetingUuid) {
+  return `zoomDownloadToken:${meetingUuid}`;
+}
+
+/**
+ * Keep a recording event's download token so recording files can be fetched
+ * even when the recordings API is not available to the app
+ */
+async function saveDownloadToken(meetingUuid, downloadToken) {
+  const storage = await getStorage();
+  await storage.setCacheValue(downloadTokenCacheKey(meetingUuid), downloadToken, Date.now() + DOWNLOAD_TOKEN_TTL_MS);
 }
 
 /**
- * Download audio file from Zoom for Whisper transcription
+ * Download a recording file (transcript or audio). Uses the OAuth token when
+ * Zoom API credentials are configured, otherwise the webhook's download token.
  */
-async function downloadZoomAudio(downloadUrl) {
+async function downloadRecordingFile(meetingUuid, file, { responseType = 'text' } = {}) {
+  const storage = await getStorage();
+  const downloadToken = await storage.getCacheValue(downloadTokenCacheKey(meetingUuid));
+
   try {
-    const accessToken = await getZoomAccessToken();
-    
-    console.log('Downloading audio file from Zoom...');
-    
-    const response = await axios.get(downloadUrl, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      },
-      responseType: 'arraybuffer' // Important for binary audio data
-    });
+    const data = await downloadRecording(file.download_url, { responseType, downloadToken });
 
-    console.log(`Successfully downloaded audio file (${response.data.byteLength} bytes)`);
-    return response.data;
+    const size = responseType === 'arraybuffer' ? data.byteLength : data?.length || 0;
+    console.log(`✅ Downloaded ${file.file_type || file.recording_type} file (${size} ${responseType === 'arraybuffer' ? 'bytes' : 'characters'})`);
+    return data;
 
   } catch (error) {
-    console.error('Error downloading audio:', error.response?.data || error.message);
-    throw new Error(`Failed to download audio: ${error.message}`);
+    console.error(`Error downloading ${file.file_type || file.recording_type} file:`, error.response?.status || error.status || error.message);
+    throw new Error(`Failed to download ${file.file_type || file.recording_type} file: ${error.message}`);
   }
 }
 
 /**
- * Transcribe audio using OpenAI Whisper API with speaker hints
+ * Whisper rejects uploads larger than 25MB
  */
-async function transcribeWithWhisper(audioBuffer, participantList = []) {
-  try {
-    console.log('Transcribing audio with OpenAI Whisper...');
-    
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-      throw new Error('OpenAI API key not configured');
-    }
+const WHISPER_MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
 
-    // Check file size (Whisper has 25MB limit)
-    const maxSize = 25 * 1024 * 1024; // 25MB in bytes
-    if (audioBuffer.byteLength > maxSize) {
-      console.warn(`Audio file is ${(audioBuffer.byteLength / 1024 / 1024).toFixed(1)}MB, exceeding Whisper's 25MB limit`);
-      // TODO: Implement audio chunking for large files
-      throw new Error('Audio file too large for Whisper API (>25MB). Audio chunking not yet implemented.');
-    }
+/**
+ * Send one audio file to the transcription providers and return the
+ * verbose_json response
+ */
+async function requestWhisperTranscription(audioBuffer, participantList, { filename, contentType, language }) {
+  // Add speaker hints if we have participant names
+  const prompt = participantList.length > 0
+    ? language.whisperPrompt(participantList.map(p => p.name).join(', '))
+    : undefined;
+
+  console.log(`Sending ${(audioBuffer.byteLength / 1024 / 1024).toFixed(1)}MB audio for transcription (${describeProviders('transcription')})...`);
+
+  return transcribeAudio(audioBuffer, {
+    filename,
+    contentType,
+    language: language.whisperLanguage,
+    prompt
+  });
+}
 
-    // Create form data for Whisper API
-    const FormData = require('form-data');
-    const form = new FormData();
-    
-    // Add audio file
-    form.append('file', audioBuffer, {
+/**
+ * Transcribe audio into { segments, text }. Recordings over Whisper's 25MB
+ * limit are split into overlapping chunks, transcribed with bounded
+ * concurrency and stitched back together with global timestamps.
+ */
+async function transcribeAudioSegments(audioBuffer, participantList = [], language = getLanguagePack()) {
+  if (audioBuffer.byteLength <= WHISPER_MAX_UPLOAD_BYTES) {
+    const data = await requestWhisperTranscription(audioBuffer, participantList, {
       filename: 'meeting_audio.m4a',
-      contentType: 'audio/m4a'
+      contentType: 'audio/m4a',
+      language
     });
-    
-    // Configure Whisper for best results
-    form.append('model', 'whisper-1');
-    form.append('language', 'en'); // Can be made configurable
-    form.append('response_format', 'verbose_json'); // Get timestamps and confidence
-    
-    // Add speaker hints if we have participant names
-    if (participantList.length > 0) {
-      const speakerHints = participantList.map(p => p.name).join(', ');
-      form.append('prompt', `This is a business meeting with participants: ${speakerHints}. Please identify speakers clearly.`);
-    }
+    return { segments: data.segments || null, text: data.text || '' };
+  }
 
-    console.log(`Sending ${(audioBuffer.byteLength / 1024 / 1024).toFixed(1)}MB audio to Whisper API...`);
-    
-    const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...form.getHeaders()
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
+  const chunkSeconds = parseInt(process.env.WHISPER_CHUNK_SECONDS || '600', 10);
+  const overlapSeconds = parseInt(process.env.WHISPER_CHUNK_OVERLAP_SECONDS || '10', 10);
+  const concurrency = parseInt(process.env.WHISPER_CONCURRENCY || '2', 10);
+
+  console.log(`Audio file is ${(audioBuffer.byteLength / 1024 / 1024).toFixed(1)}MB, exceeding Whisper's 25MB limit - transcribing in chunks`);
+  const chunks = await splitAudio(audioBuffer, { chunkSeconds, overlapSeconds });
+
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    console.log(`Transcribing chunk ${chunk.index + 1}/${chunks.length} (starts at ${formatTimestamp(chunk.start)})`);
+    const data = await requestWhisperTranscription(chunk.buffer, participantList, {
+      filename: `meeting_audio_${chunk.index}.mp3`,
+      contentType: 'audio/mpeg',
+      language
     });
+    return {
+      start: chunk.start,
+      segments: data.segments || [{ start: 0, end: chunk.duration, text: data.text || '' }]
+    };
+  });
 
-    const transcriptionData = response.data;
-    
-    // Format the response for our use case
-    let formattedTranscript = '';
+  const segments = stitchSegments(chunkResults, overlapSeconds);
+  return { segments, text: segments.map(segment => segment.text).join(' ') };
+}
+
+/**
+ * Transcribe audio with Whisper (or a compatible provider) using speaker hints.
+ * Returns cues ([{ start, end, speaker, text }]).
+ */
+async function transcribeWithWhisper(audioBuffer, participantList = [], language = getLanguagePack()) {
+  try {
+    console.log(`Transcribing audio with Whisper (language: ${language.whisperLanguage})...`);
     
-    if (transcriptionData.segments) {
-      // Use detailed segments with timestamps
-      formattedTranscript = transcriptionData.segments.map(segment => {
-        const timestamp = formatTimestamp(segment.start);
-        const text = segment.text.trim();
-        return `[${timestamp}] ${text}`;
-      }).join('\n');
-    } else {
-      // Fallback to simple text
-      formattedTranscript = transcriptionData.text || '';
+    if (!isTranscriptionConfigured()) {
+      throw new Error('No transcription provider configured');
     }
 
-    console.log(`Whisper transcription completed: ${formattedTranscript.length} characters`);
-    return formattedTranscript;
+    const transcriptionData = await transcribeAudioSegments(audioBuffer, participantList, language);
+    
+    // Stitched segments keep their global timings, so talk time works for Whisper transcripts too
+    const cues = transcriptionData.segments
+      ? segmentsToCues(transcriptionData.segments, { speakers: participantList.map(p => p.name) })
+      : [{ id: null, start: 0, end: 0, speaker: null, text: (transcriptionData.text || '').trim() }];
+
+    console.log(`Whisper transcription completed: ${cues.length} segments`);
+    return cues;
 
   } catch (error) {
     console.error('Error with Whisper transcription:', error.response?.data || error.message);
@@ -415,72 +935,79 @@ async function transcribeWithWhisper(audioBuffer, participantList = []) {
   }
 }
 
+// =============================================================================
+// ZOOM EVENT HANDLERS
+// =============================================================================
+
 /**
- * Format seconds to MM:SS timestamp
+ * Store the meeting fields every meeting.* and recording.* payload carries
  */
-function formatTimestamp(seconds) {
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = Math.floor(seconds % 60);
-  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+async function upsertMeetingFromPayload(payload) {
+  const storage = await getStorage();
+  await storage.upsertMeeting({
+    uuid: payload.object.uuid,
+    meetingId: payload.object.id,
+    topic: payload.object.topic,
+    hostId: payload.object.host_id,
+    startTime: payload.object.start_time
+  });
 }
 
 /**
- * Parse VTT (WebVTT) format transcript to plain text
+ * Handle meeting start - the meeting is live
  */
-function parseVTTToText(vttContent) {
-  if (typeof vttContent !== 'string') {
-    console.log('VTT content is not a string, converting...');
-    vttContent = String(vttContent);
+async function handleMeetingStarted(payload) {
+  const meetingUuid = payload.object?.uuid;
+  if (!meetingUuid) {
+    console.error('Missing meeting UUID in payload');
+    return;
   }
 
-  const lines = vttContent.split('\n');
-  const textLines = [];
-  let currentSpeaker = '';
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Skip VTT headers, timing lines, and empty lines
-    if (line === '' || line.startsWith('WEBVTT') || line.includes('-->') || /^\d+$/.test(line)) {
-      continue;
-    }
-    
-    // Extract speaker name if present (format: "Speaker Name:")
-    if (line.includes(':') && !line.includes('-->')) {
-      const colonIndex = line.indexOf(':');
-      const potentialSpeaker = line.substring(0, colonIndex).trim();
-      const potentialText = line.substring(colonIndex + 1).trim();
-      
-      // If the text after colon looks like spoken content, treat as speaker
-      if (potentialText.length > 0 && potentialSpeaker.length < 50) {
-        currentSpeaker = potentialSpeaker;
-        if (potentialText) {
-          textLines.push(`${currentSpeaker}: ${potentialText}`);
-        }
-      } else {
-        textLines.push(line);
-      }
-    } else {
-      // Regular transcript line
-      if (currentSpeaker) {
-        textLines.push(`${currentSpeaker}: ${line}`);
-      } else {
-        textLines.push(line);
-      }
-    }
-  }
-  
-  return textLines.join('\n');
+  console.log(`▶️ Meeting started: ${payload.object.topic} (${meetingUuid})`);
+  await upsertMeetingFromPayload(payload);
+  await advanceMeetingState(meetingUuid, 'live', { startedAt: payload.object.start_time || new Date().toISOString() });
 }
 
-// =============================================================================
-// ZOOM EVENT HANDLERS
-// =============================================================================
+/**
+ * Handle meeting end - record the real duration and schedule the check
+ * that the transcript arrives within MISSING_TRANSCRIPT_ALERT_MINUTES
+ */
+async function handleMeetingEnded(payload) {
+  const meetingUuid = payload.object?.uuid;
+  if (!meetingUuid) {
+    console.error('Missing meeting UUID in payload');
+    return;
+  }
+
+  await upsertMeetingFromPayload(payload);
+  const meeting = await advanceMeetingState(meetingUuid, 'ended', {
+    startedAt: payload.object.start_time,
+    endedAt: payload.object.end_time || new Date().toISOString()
+  });
+  console.log(`⏹️ Meeting ended: ${payload.object.topic} (${meetingUuid}), duration ${meeting.durationMinutes ?? 'unknown'} min`);
+
+  const storage = await getStorage();
+  if (!await storage.getTranscript(meetingUuid)) {
+    await enqueueJob('meeting.transcript_check', { meetingUuid }, {
+      runAt: Date.now() + transcriptAlertMinutes() * 60 * 1000
+    });
+  }
+}
 
 /**
- * Simple in-memory storage for meeting participants (use database in production)
+ * Handle meeting deletion (e.g. a cancelled scheduled meeting)
  */
-const meetingParticipants = new Map();
+async function handleMeetingDeleted(payload) {
+  const meetingUuid = payload.object?.uuid;
+  if (!meetingUuid) {
+    console.error('Missing meeting UUID in payload');
+    return;
+  }
+
+  console.log(`🗑️ Meeting deleted: ${payload.object.topic} (${meetingUuid})`);
+  await upsertMeetingFromPayload(payload);
+  await advanceMeetingState(meetingUuid, 'deleted', { deletedAt: new Date().toISOString() });
+}
 
 /**
  * Handle participant join/leave events
@@ -497,30 +1024,39 @@ async function handleParticipantEvent(eventType, payload) {
   console.log(`${eventType}: ${participant.user_name} (${participant.user_id})`);
   
   // Store or update participant list for this meeting
-  if (!meetingParticipants.has(meetingUuid)) {
-    meetingParticipants.set(meetingUuid, new Set());
-  }
-  
-  const participants = meetingParticipants.get(meetingUuid);
+  const storage = await getStorage();
+  await upsertMeetingFromPayload(payload);
   
   if (eventType === 'meeting.participant_joined') {
-    participants.add({
+    // user_id only identifies the participant within this meeting; signed-in
+    // users also carry their account's Zoom user ID
+    const zoomUserId = participant.participant_user_id || participant.id || null;
+    await storage.addParticipant(meetingUuid, {
       id: participant.user_id,
+      zoomUserId,
       name: participant.user_name,
       email: participant.email || null,
-      joinTime: new Date().toISOString()
+      joinTime: participant.join_time || new Date().toISOString()
     });
-  } else if (eventType === 'meeting.participant_left') {
-    // Remove participant (in production, you might want to track join/leave times)
-    for (const p of participants) {
-      if (p.id === participant.user_id) {
-        participants.delete(p);
-        break;
-      }
+
+    try {
+      await rememberParticipant({ name: participant.user_name, email: participant.email || null, zoomUserId });
+    } catch (error) {
+      console.error(`Failed to update learner registry for ${participant.user_name}:`, error.message);
     }
+
+    // Covers apps that are not subscribed to meeting.started
+    await advanceMeetingState(meetingUuid, 'live');
+  } else if (eventType === 'meeting.participant_left') {
+    await storage.markParticipantLeft(
+      meetingUuid,
+      participant.user_id,
+      participant.leave_time || new Date().toISOString()
+    );
   }
   
-  console.log(`Meeting ${meetingUuid} now has ${participants.size} participants`);
+  const participants = await storage.listParticipants(meetingUuid);
+  console.log(`Meeting ${meetingUuid} now has ${participants.length} participants`);
 }
 
 /**
@@ -533,18 +1069,278 @@ async function handleRecordingCompleted(payload) {
   console.log(`Recording completed for meeting ${meetingUuid}`);
   console.log(`Recording files: ${recordingFiles.length}`);
   
-  // Store recording info for later use when transcript is ready
-  // In production, save to database
+  if (!meetingUuid) {
+    console.error('Missing meeting UUID in payload');
+    return;
+  }
   
   for (const file of recordingFiles) {
     console.log(`- ${file.file_type}: ${file.download_url}`);
   }
+  
+  // Store recording info for later use when transcript is ready
+  const storage = await getStorage();
+  await upsertMeetingFromPayload(payload);
+  await storage.saveRecordingFiles(meetingUuid, recordingFiles);
+  await advanceMeetingState(meetingUuid, 'recording_ready');
+
+  // Accounts without audio transcripts never send recording.transcript_completed
+  const meeting = await storage.getMeeting(meetingUuid);
+  const delayMinutes = transcriptFallbackMinutes(payload.object?.duration ?? meeting?.durationMinutes);
+  await enqueueJob('meeting.transcript_fallback', { meetingUuid, delayMinutes }, {
+    runAt: Date.now() + delayMinutes * 60 * 1000
+  });
+}
+
+/**
+ * Zoom's audio transcript takes roughly twice the meeting's duration
+ */
+const TRANSCRIPT_DURATION_FACTOR = 2;
+
+/**
+ * Minutes to wait after recording.completed for Zoom's transcript before
+ * transcribing the audio ourselves: WHISPER_FALLBACK_DELAY_MINUTES (default
+ * 60), or longer for long meetings
+ */
+function transcriptFallbackMinutes(durationMinutes) {
+  const minutes = parseFloat(process.env.WHISPER_FALLBACK_DELAY_MINUTES);
+  const minimum = Number.isFinite(minutes) && minutes >= 0 ? minutes : 60;
+  const duration = Number(durationMinutes);
+  return Number.isFinite(duration) && duration > 0 ? Math.max(minimum, duration * TRANSCRIPT_DURATION_FACTOR) : minimum;
+}
+
+/**
+ * Runs after the fallback delay following recording.completed: if no
+ * transcript has arrived, queue the pipeline for the meeting, which falls
+ * back to Whisper when Zoom has no transcript file. Queued in the meeting's
+ * group, so it never runs alongside a late transcript_completed event.
+ */
+async function startTranscriptFallback(meetingUuid, delayMinutes = transcriptFallbackMinutes()) {
+  const storage = await getStorage();
+  const meeting = await storage.getMeeting(meetingUuid);
+  if (await storage.getTranscript(meetingUuid) || meeting?.state === 'deleted') {
+    return { skipped: 'Transcript already available' };
+  }
+
+  console.log(`No Zoom transcript for meeting ${meetingUuid} after ${delayMinutes} minutes, starting the Whisper fallback`);
+  const jobId = await enqueueJob('meeting.reprocess', { meetingUuid, options: { skipIfTranscribed: true } }, {
+    groupKey: meetingUuid
+  });
+  return { jobId };
+}
+
+/**
+ * Participants of a meeting for feedback: everyone who attended for at least
+ * FEEDBACK_MIN_ATTENDANCE_MINUTES in total, once (reconnects are merged),
+ * whether or not they were still connected at the end
+ */
+async function loadMeetingParticipants(meetingUuid) {
+  const { attendees, absent } = selectAttendees(await getMeetingAttendance(meetingUuid));
+
+  for (const person of absent) {
+    console.log(`⏭️ No feedback for ${person.name}: present for ${person.presenceMinutes} min (minimum ${minAttendanceMinutes()})`);
+  }
+  return attendees;
+}
+
+/**
+ * Recording files of a meeting from the Zoom API (stored for later), or the
+ * files stored from recording.completed when the API is not available
+ */
+async function loadRecordingFiles(meetingUuid) {
+  const storage = await getStorage();
+
+  try {
+    // The API gives us download URLs that work with the OAuth token
+    console.log('Fetching recording details from Zoom API...');
+    const recordingsData = await getMeetingRecordings(meetingUuid);
+    console.log('Recording files from API:', recordingsData.recording_files?.length || 0);
+    await storage.saveRecordingFiles(meetingUuid, recordingsData.recording_files || []);
+    return recordingsData.recording_files || [];
+  } catch (error) {
+    const storedFiles = await storage.listRecordingFiles(meetingUuid);
+    if (storedFiles.length === 0) {
+      throw error;
+    }
+    console.warn(`${error.message} - using the ${storedFiles.length} recording file(s) from recording.completed`);
+    return storedFiles;
+  }
+}
+
+/**
+ * Get the meeting's transcript: Zoom's VTT when there is one, otherwise the
+ * audio_only recording transcribed with Whisper (participant names as
+ * hints). Returns { source, raw, cues }, or null when there is neither.
+ */
+async function fetchMeetingTranscript(meetingUuid, participants, language) {
+  const recordingFiles = await loadRecordingFiles(meetingUuid);
+
+  const transcriptFile = recordingFiles.find(
+    file => file.file_type === 'TRANSCRIPT' || file.recording_type === 'audio_transcript'
+  );
+  if (transcriptFile) {
+    console.log('Downloading Zoom transcript...');
+    const transcriptText = await downloadRecordingFile(meetingUuid, transcriptFile);
+
+    // Parse VTT into speaker-attributed cues (known participant names help tell speakers from text)
+    const cues = parseVTT(transcriptText, { speakers: participants.flatMap(participantNames) });
+    return { source: 'zoom_vtt', raw: transcriptText, cues };
+  }
+
+  const audioFile = recordingFiles.find(file => file.recording_type === 'audio_only') ||
+    recordingFiles.find(file => file.file_type === 'M4A');
+  if (!audioFile) {
+    console.log('Available file types:', recordingFiles.map(f => f.file_type || f.recording_type));
+    return null;
+  }
+
+  console.log('No Zoom transcript for this meeting, transcribing the audio recording instead');
+  try {
+    const audioBuffer = await downloadRecordingFile(meetingUuid, audioFile, { responseType: 'arraybuffer' });
+    const cues = await transcribeWithWhisper(audioBuffer, participants, language);
+    return { source: 'whisper', raw: null, cues };
+  } catch (error) {
+    await raiseMeetingAlert(meetingUuid, 'transcription_failed', error.message, { once: true });
+    throw error;
+  }
+}
+
+/**
+ * Cues of the transcript cached in storage. Zoom VTT is parsed again, so
+ * parser fixes apply to old meetings; Whisper transcripts keep their cues.
+ */
+function cachedTranscriptCues(transcript, participants) {
+  if (transcript.source === 'zoom_vtt' && transcript.raw) {
+    return parseVTT(transcript.raw, { speakers: participants.flatMap(participantNames) });
+  }
+  return transcript.cues || parseVTT(transcript.parsed || '', { speakers: participants.flatMap(participantNames) });
+}
+
+/**
+ * Transcript -> feedback -> delivery for one meeting. Used by the
+ * transcript_completed webhook and by manual reprocessing.
+ *
+ * Participants are resolved against the learner registry first.
+ * Options: `participants` (default: everyone stored for the meeting),
+ * `useCachedTranscript` (skip Zoom and reuse the stored transcript),
+ * `skipIfTranscribed` (do nothing if a transcript is already stored),
+ * `skipIfFeedbackExists` (do nothing if feedback was already generated, e.g.
+ * from the Whisper fallback before Zoom's transcript arrived), `dryRun`
+ * (generate feedback but do not save, record progress or deliver it),
+ * `model` / `instructions` to regenerate with a different model or extra
+ * prompt instructions, and `resumeSince` (set by job retries: feedback saved
+ * since then is delivered to whoever has not received it yet instead of
+ * generating a new version).
+ */
+async function processMeetingTranscript(meetingUuid, { participants = null, useCachedTranscript = false, skipIfTranscribed = false, skipIfFeedbackExists = false, dryRun = false, model = null, instructions = null, resumeSince = null } = {}) {
+  const storage = await getStorage();
+  if (skipIfTranscribed && await storage.getTranscript(meetingUuid)) {
+    console.log(`Meeting ${meetingUuid} already has a transcript, nothing to do`);
+    return { skipped: 'Transcript already available' };
+  }
+  const savedFeedback = await storage.listFeedback(meetingUuid);
+  if (skipIfFeedbackExists && savedFeedback.some(entry => !resumeSince || entry.createdAt < resumeSince)) {
+    console.log(`⏭️ Feedback for meeting ${meetingUuid} was already generated; reprocess the meeting to regenerate it from the new transcript`);
+    return { skipped: 'Feedback already generated' };
+  }
+
+  participants = await resolveParticipants(participants || await loadMeetingParticipants(meetingUuid));
+  console.log(`Processing feedback for ${participants.length} participants`);
+
+  // Feedback (and Whisper) work in the meeting's language
+  const meeting = await storage.getMeeting(meetingUuid);
+  const language = resolveMeetingLanguage(meeting);
+  console.log(`Meeting language: ${language.name} (${language.code})`);
+
+  const resumed = resumeSince && !dryRun ? savedFeedback.find(entry => entry.createdAt >= resumeSince) : null;
+  if (resumed) {
+    console.log(`↩️ Feedback ${resumed.id} was saved by an earlier attempt, resuming its delivery`);
+    await recordLearnerProgress(meetingUuid, resumed.feedback, participants, meeting?.startTime);
+    const deliveries = await deliverFeedback(meetingUuid, resumed.id, resumed.feedback, participants, resumed.deliveries);
+    return { dryRun: false, resumed: true, feedbackId: resumed.id, deliveries };
+  }
+
+  let cues;
+  let transcriptSource;
+
+  if (useCachedTranscript) {
+    const cached = await storage.getTranscript(meetingUuid);
+    if (!cached) {
+      throw new Error('No cached transcript for this meeting');
+    }
+    cues = cachedTranscriptCues(cached, participants);
+    transcriptSource = cached.source;
+    console.log(`Reusing cached ${cached.source} transcript from ${cached.createdAt}`);
+  } else {
+    const transcript = await fetchMeetingTranscript(meetingUuid, participants, language);
+    if (!transcript) {
+      await raiseMeetingAlert(meetingUuid, 'transcription_failed', 'No transcript or audio file among the recording files', { once: true });
+      return { skipped: 'No transcript or audio file found' };
+    }
+
+    cues = transcript.cues;
+    transcriptSource = transcript.source;
+    if (!dryRun) {
+      await storage.saveTranscript(meetingUuid, { source: transcript.source, raw: transcript.raw, parsed: formatTranscript(cues), cues });
+      await advanceMeetingState(meetingUuid, 'transcript_ready');
+    }
+  }
+  console.log(`Parsed ${cues.length} cues from ${new Set(cues.map(cue => cue.speaker).filter(Boolean)).size} speakers`);
+
+  // Mock feedback is a placeholder: storing it would count as this meeting's
+  // feedback and block the real one once an LLM provider is configured
+  if (!isChatConfigured() && !dryRun) {
+    console.warn(`⏭️ No LLM provider configured, no feedback for meeting ${meetingUuid} (reprocess it once one is set up)`);
+    return { skipped: 'No LLM provider configured', transcriptSource, cueCount: cues.length };
+  }
+
+  // Generate feedback through the configured LLM providers
+  const options = { model, instructions };
+  const feedback = await generateTandemFeedback(cues, participants, options) ||
+                   await generateFeedback(cues, participants, language, options);
+  feedback.language = language.code;
+  feedback.talkTime = computeTalkTime(cues);
+  logTalkTime(feedback.talkTime);
+
+  if (dryRun) {
+    console.log('🧪 Dry run: feedback is not saved or delivered');
+    return { dryRun: true, transcriptSource, cueCount: cues.length, feedback };
+  }
+
+  const feedbackId = await storage.saveFeedback(meetingUuid, feedback);
+  await recordLearnerProgress(meetingUuid, feedback, participants, meeting?.startTime);
+  
+  const deliveries = await deliverFeedback(meetingUuid, feedbackId, feedback, participants);
+  return { dryRun: false, transcriptSource, cueCount: cues.length, feedbackId, deliveries };
+}
+
+/**
+ * Send saved feedback to the participants. Deliveries are stored after every
+ * recipient, so a retry knows who already got it; recipients with a 'sent'
+ * entry in `previousDeliveries` are not sent it again.
+ */
+async function deliverFeedback(meetingUuid, feedbackId, feedback, participants, previousDeliveries = []) {
+  const storage = await getStorage();
+  const delivered = new Map(previousDeliveries
+    .filter(delivery => delivery.status === 'sent')
+    .map(delivery => [`${delivery.channel}:${delivery.recipient}`, delivery]));
+
+  const deliveries = await sendFeedbackToParticipants(feedback, participants, {
+    meetingUuid,
+    delivered,
+    onProgress: progress => storage.saveDeliveries(feedbackId, progress)
+  });
+  await storage.saveDeliveries(feedbackId, deliveries);
+  if (deliveries.some(delivery => delivery.status === 'sent')) {
+    await advanceMeetingState(meetingUuid, 'feedback_sent');
+  }
+  return deliveries;
 }
 
 /**
  * Handle transcript completion - download transcript and generate feedback
  */
-async function handleTranscriptCompleted(payload) {
+async function handleTranscriptCompleted(payload, job = null, { forced = false } = {}) {
   try {
     console.log('=== TRANSCRIPT PROCESSING START ===');
     const meetingUuid = payload.object?.uuid;
@@ -558,62 +1354,23 @@ async function handleTranscriptCompleted(payload) {
       return;
     }
     
-    // Instead of using webhook URLs, fetch recordings from Zoom API
-    // This gives us proper download URLs that work with OAuth tokens
-    console.log('Fetching recording details from Zoom API...');
-    const recordingsData = await getZoomRecordings(meetingUuid);
-    
-    console.log('Recording files from API:', recordingsData.recording_files?.length || 0);
-    
-    // Find the transcript file
-    const transcriptFile = recordingsData.recording_files?.find(
-      file => file.file_type === 'TRANSCRIPT' || file.recording_type === 'audio_transcript'
-    );
-    
-    if (!transcriptFile) {
-      console.log('No transcript file found in API response');
-      console.log('Available file types:', recordingsData.recording_files?.map(f => f.file_type || f.recording_type));
-      return;
-    }
-    
-    console.log('Found transcript file:', transcriptFile.file_type || transcriptFile.recording_type);
-    console.log('Download URL from API:', transcriptFile.download_url?.substring(0, 100) + '...');
-    
-    // Get access token
-    const accessToken = await getZoomAccessToken();
-    
-    // Download the transcript using API URL with Bearer token
-    console.log('Downloading transcript from Zoom API URL...');
-    const response = await axios.get(transcriptFile.download_url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'User-Agent': 'Node.js Zoom Webhook Server',
-        'Accept': 'text/vtt, text/plain, */*'
-      },
-      timeout: 30000
+    const storage = await getStorage();
+    await storage.upsertMeeting({
+      uuid: meetingUuid,
+      meetingId,
+      topic: payload.object?.topic,
+      hostId: payload.object?.host_id,
+      startTime: payload.object?.start_time
     });
     
-    const transcriptText = response.data;
-    
-    console.log('✅ Transcript downloaded successfully!');
-    console.log('Content type:', response.headers?.['content-type']);
-    console.log('Transcript length:', transcriptText?.length || 0);
-    console.log('First 200 chars:', transcriptText?.substring(0, 200));
-    
-    // Parse VTT to plain text
-    const parsedTranscript = parseVTTToText(transcriptText);
-    console.log('Parsed transcript:', parsedTranscript.substring(0, 300) + '...');
-
-    // Get participants from payload or use meeting participants storage
-    const participants = payload.object.participants || 
-                        Array.from(meetingParticipants.get(meetingUuid) || []);
-    console.log(`Processing feedback for ${participants.length} participants`);
-
-    // Generate feedback using OpenAI
-    const feedback = await generateFeedback(parsedTranscript, participants);
-    
-    // Send feedback to participants
-    await sendFeedbackToParticipants(feedback, participants);
+    // Participants from the payload, otherwise the ones stored for the meeting.
+    // If the Whisper fallback already delivered feedback, learners must not
+    // get a second set - unless an operator forced this re-run.
+    await processMeetingTranscript(meetingUuid, {
+      participants: payload.object.participants || null,
+      skipIfFeedbackExists: !forced,
+      resumeSince: resumeSince(job)
+    });
     
     console.log('=== TRANSCRIPT PROCESSING COMPLETE ===');
 
@@ -628,248 +1385,334 @@ async function handleTranscriptCompleted(payload) {
     
     console.error('Full error:', error);
     console.error('=== END TRANSCRIPT PROCESSING ERROR ===');
+    
+    // Let the job queue retry (and eventually dead-letter) the event
+    throw error;
   }
 }
 
 /**
- * Download and transcribe audio from Zoom (using Whisper API)
+ * Log each speaker's share of the conversation
  */
-async function downloadAndTranscribeAudio(audioUrl, participantList = []) {
-  if (!process.env.ZOOM_CLIENT_ID || !process.env.ZOOM_CLIENT_SECRET) {
-    console.log('Zoom API credentials not configured, using mock transcript');
-    return `Mock transcript content for testing purposes.
-    
-[00:00] Speaker 1: Good morning everyone, thanks for joining today's meeting.
-[00:15] Speaker 2: Hi there, glad to be here. I've prepared the items we discussed.
-[00:30] Speaker 1: Great, let's go through them one by one.
-[00:45] Speaker 2: The first item is about improving our communication processes.
-[01:00] Speaker 1: That's exactly what we need to focus on.
-[01:15] Speaker 2: I agree, there are some gaps we need to address.`;
+function logTalkTime(talkTime) {
+  if (!talkTime) {
+    console.log('No speaker-attributed cues, skipping talk-time analytics');
+    return;
   }
 
-  if (audioUrl === 'mock://audio') {
-    console.log('Using mock audio URL, returning mock transcript');
-    return await downloadAndTranscribeAudio(null, participantList);
+  console.log(`🗣️ Talk time (balance ${talkTime.balance}):`);
+  for (const [speaker, stats] of Object.entries(talkTime.speakers)) {
+    console.log(`  ${speaker}: ${Math.round(stats.share * 100)}%, ${stats.turns} turns, avg ${stats.averageTurnSeconds}s, longest ${stats.longestMonologueSeconds}s, ${stats.interruptions} interruptions`);
   }
+}
 
-  try {
-    // Download audio file from Zoom
-    console.log('Starting audio download and transcription process...');
-    const audioBuffer = await downloadZoomAudio(audioUrl);
-    
-    // Transcribe with Whisper
-    const transcript = await transcribeWithWhisper(audioBuffer, participantList);
-    
-    return transcript;
-  } catch (error) {
-    console.error('Failed to download and transcribe audio, using fallback:', error.message);
-    
-    // Fallback to mock transcript if anything fails
-    return `Failed to transcribe audio: ${error.message}
+/**
+ * Parse a model response as JSON, also accepting Markdown code fences or
+ * surrounding prose. Returns null if no JSON can be found.
+ */
+function parseFeedbackJson(content) {
+  const candidates = [content];
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) {
+    candidates.push(fenced[1]);
+  }
+  if (content.includes('{')) {
+    candidates.push(content.substring(content.indexOf('{'), content.lastIndexOf('}') + 1));
+  }
 
-[00:00] System: Audio transcription failed, using fallback content.
-[00:15] Speaker 1: This is a placeholder transcript due to transcription failure.
-[00:30] Speaker 2: Please check the logs for details about the transcription error.`;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // try the next candidate
+    }
   }
+  return null;
+}
+
+/**
+ * Map step for transcripts over FEEDBACK_CHUNK_TOKENS: collect per-speaker
+ * observations for every chunk. Returns [{ chunk, observations }] in
+ * transcript order; a chunk without usable JSON is logged and left out.
+ */
+async function collectChunkObservations(chunks, participantNames, language, model) {
+  const concurrency = parseInt(process.env.FEEDBACK_CHUNK_CONCURRENCY || '2', 10);
+
+  const results = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    const label = `${chunk.index + 1}/${chunks.length} (${formatTimestamp(chunk.start)}-${formatTimestamp(chunk.end)})`;
+    console.log(`🧩 Collecting observations for chunk ${label}, ${chunk.cues.length} cues`);
+
+    const messages = [
+      { role: "system", content: language.chunkSystemPrompt },
+      {
+        role: "user",
+        content: language.buildChunkUserPrompt({
+          participantNames,
+          speakers: [...new Set(chunk.cues.map(cue => cue.speaker).filter(Boolean))],
+          transcript: formatTranscript(chunk.cues),
+          part: chunk.index + 1,
+          total: chunks.length
+        })
+      }
+    ];
+
+    // One re-ask if the answer is not JSON at all; the rest is normalized
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { content } = await createChatCompletion({ messages, temperature: 0.3, maxTokens: 2000, jsonMode: true, model });
+      const parsed = parseFeedbackJson(content);
+      if (parsed !== null) {
+        return { chunk, observations: normalizeObservations(parsed).observations };
+      }
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: language.repairPrompt(['The response is not a valid JSON object']) }
+      );
+    }
+
+    console.warn(`⚠️ No observations for chunk ${label}: the response was not JSON`);
+    return null;
+  });
+
+  return results.filter(Boolean);
 }
 
 /**
- * Generate feedback using OpenAI API
+ * Generate feedback through the configured LLM providers. `instructions` are appended to the
+ * language pack's system prompt (tandem mode, reprocessing); `model` overrides
+ * the providers' configured model. Every participant
+ * in `expectedParticipants` (default: participants who speak in the
+ * transcript) must get a section; the result always matches FEEDBACK_SCHEMA.
+ * Transcripts over FEEDBACK_CHUNK_TOKENS are analysed chunk by chunk first
+ * and the final request only sees the merged observations.
  */
-async function generateFeedback(transcript, participants) {
-  console.log('Generating feedback using OpenAI...');
-  console.log('Transcript length:', transcript.length);
+async function generateFeedback(transcript, participants, language = getLanguagePack(), { instructions = null, expectedParticipants = null, model = null } = {}) {
+  // Accepts parsed cues ([{ start, end, speaker, text }]) or an already formatted transcript
+  const cues = Array.isArray(transcript) ? transcript : null;
+  const transcriptText = cues ? formatTranscript(cues) : transcript;
+  const speakers = cues ? [...new Set(cues.map(cue => cue.speaker).filter(Boolean))] : [];
+  expectedParticipants = expectedParticipants ||
+    (speakers.length > 0 ? participants.filter(participant => matchParticipantKey(participant, speakers).key) : participants);
+
+  console.log(`Generating ${language.name} feedback using ${describeProviders('chat')}...`);
+  console.log('Transcript length:', transcriptText.length);
   console.log('Participants:', participants.map(p => p.name).join(', '));
   
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-    console.log('OpenAI API key not configured, returning mock feedback');
-    return {
-      overallAssessment: 'Mock-Feedback - OpenAI API-Schlüssel nicht konfiguriert',
-      participants: {
-        'Beispiel-Teilnehmer': {
-          level: 'B1',
-          strengths: ['Gute Aussprache', 'Aktive Teilnahme'],
-          grammar: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren', examples: [] },
-          vocabulary: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren', suggestions: [] },
-          fluency: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren' },
-          improvements: ['OPENAI_API_KEY in .env setzen'],
-          resources: ['Application neu deployen']
-        }
-      },
-      conversationQuality: { score: 0, feedback: 'API nicht konfiguriert' },
-      nextSteps: ['OpenAI API-Schlüssel einrichten']
-    };
+  if (!isChatConfigured()) {
+    console.log('No LLM provider configured, returning mock feedback (never stored or delivered)');
+    return structuredClone(language.mockFeedback);
   }
   
   try {
     const participantNames = participants.map(p => p.name).join(', ');
     
-    const systemPrompt = `Du bist ein erfahrener Deutschlehrer und Sprachcoach, spezialisiert auf konstruktives Feedback für Deutschlernende in Tandem-Gesprächen. Deine Aufgabe ist es, personalisiertes, motivierendes und praktisches Feedback zu geben, das den Lernenden hilft, ihre Deutschkenntnisse zu verbessern.
-
-Analysiere das Transkript eines Tandem-Gesprächs und bewerte jeden Teilnehmer in diesen Bereichen:
-
-1. **Grammatik und Satzbau**: 
-   - Korrektheit der Grammatik (Zeitformen, Fälle, Wortstellung)
-   - Satzstruktur und Komplexität
-   - Häufige Fehler und Muster
-
-2. **Wortschatz und Ausdrucksfähigkeit**:
-   - Vielfalt und Angemessenheit des Wortschatzes
-   - Idiomatische Ausdrücke und Redewendungen
-   - Fachspezifisches Vokabular
-   - Füllwörter und Satzanfänge
-
-3. **Kommunikative Kompetenz**:
-   - Flüssigkeit und Natürlichkeit der Sprache
-   - Gesprächsführung und Interaktion
-   - Verständlichkeit und Klarheit
-   - Fähigkeit, komplexe Gedanken auszudrücken
-
-4. **Stärken und Verbesserungspotential**:
-   - Was macht der Lernende besonders gut?
-   - Konkrete Verbesserungsvorschläge mit Beispielen
-   - Übungen oder Lernressourcen für spezifische Schwächen
-
-WICHTIG: 
-- Sei konstruktiv und ermutigend
-- Gib konkrete Beispiele aus dem Transkript
-- Biete praktische Tipps zur Verbesserung
-- Berücksichtige das Sprachniveau des Lernenden
-- Feiere Fortschritte und gute Verwendungen
-
-Formatiere deine Antwort als reines JSON-Objekt (KEIN Markdown, kein \`\`\`json) mit folgenden Feldern:
-
-{
-  "overallAssessment": "Gesamteinschätzung des Gesprächs (2-3 Sätze)",
-  "participants": {
-    "Teilnehmername": {
-      "level": "Geschätztes Sprachniveau (A1-C2)",
-      "strengths": ["Stärke 1", "Stärke 2", "Stärke 3"],
-      "grammar": {
-        "score": 1-10,
-        "feedback": "Detailliertes Feedback zur Grammatik",
-        "examples": ["Beispiel aus Transkript mit Korrektur"]
-      },
-      "vocabulary": {
-        "score": 1-10,
-        "feedback": "Feedback zum Wortschatz",
-        "suggestions": ["Alternatives Wort/Ausdruck"]
-      },
-      "fluency": {
-        "score": 1-10,
-        "feedback": "Feedback zur Sprachflüssigkeit"
-      },
-      "improvements": ["Konkreter Tipp 1", "Konkreter Tipp 2"],
-      "resources": ["Empfohlene Übung oder Ressource"]
-    }
-  },
-  "conversationQuality": {
-    "score": 1-10,
-    "feedback": "Bewertung der Gesprächsqualität insgesamt"
-  },
-  "nextSteps": ["Gemeinsame Übung oder Thema für nächstes Tandem"]
-}
-
-Antworte NUR mit dem JSON-Objekt, ohne zusätzlichen Text oder Markdown-Formatierung.`;
-
-    const userPrompt = `Analysiere bitte dieses deutsche Tandem-Gespräch mit folgenden Teilnehmern: ${participantNames}
-
-Transkript:
-${transcript}
-
-Gib dein Feedback im angegebenen JSON-Format. Sei konstruktiv, ermutigend und konkret mit Beispielen aus dem Transkript.`;
-
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 3000,
-      response_format: { type: "json_object" }
-    });
+    const systemPrompt = instructions ? `${language.systemPrompt}\n\n${instructions}` : language.systemPrompt;
+    const chunkTokens = parseInt(process.env.FEEDBACK_CHUNK_TOKENS || '12000', 10);
+    let userPrompt;
+    let chunkResults = null;
+
+    if (cues && estimateTokens(transcriptText) > chunkTokens) {
+      const chunks = chunkCues(cues, { maxTokens: chunkTokens });
+      console.log(`Transcript is ~${estimateTokens(transcriptText)} tokens, analysing it in ${chunks.length} chunks`);
+
+      chunkResults = await collectChunkObservations(chunks, participantNames, language, model);
+      if (chunkResults.length === 0) {
+        throw new Error('No observations could be collected from any transcript chunk');
+      }
+      userPrompt = language.buildObservationsUserPrompt({
+        participantNames,
+        observations: JSON.stringify(mergeObservations(chunkResults), null, 2),
+        total: chunks.length
+      });
+    } else {
+      userPrompt = language.buildUserPrompt({ participantNames, speakers, transcript: transcriptText });
+    }
 
-    const content = response.choices[0].message.content;
-    
-    try {
-      // Parse the JSON response
-      const feedback = JSON.parse(content);
-      console.log('✅ Successfully generated German language feedback with OpenAI');
-      console.log('Participants analyzed:', Object.keys(feedback.participants || {}).length);
-      
-      // Log detailed feedback for each participant
-      for (const [name, data] of Object.entries(feedback.participants || {})) {
-        console.log(`\n📊 Feedback for ${name}:`);
-        console.log(`  Level: ${data.level}`);
-        console.log(`  Strengths: ${data.strengths?.join(', ')}`);
-        console.log(`  Grammar Score: ${data.grammar?.score}/10 - ${data.grammar?.feedback}`);
-        console.log(`  Vocabulary Score: ${data.vocabulary?.score}/10 - ${data.vocabulary?.feedback}`);
-        console.log(`  Fluency Score: ${data.fluency?.score}/10 - ${data.fluency?.feedback}`);
-        console.log(`  Improvements: ${data.improvements?.join(' | ')}`);
+    const messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt }
+    ];
+    const maxRepairAttempts = parseInt(process.env.FEEDBACK_MAX_REPAIR_ATTEMPTS || '2', 10);
+    let best = null;
+
+    // Validate every response; on errors, show them to the model and ask again
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const { content, provider } = await createChatCompletion({
+        messages,
+        temperature: 0.7,
+        maxTokens: parseInt(process.env.FEEDBACK_MAX_OUTPUT_TOKENS || '3000', 10),
+        jsonMode: true,
+        model
+      });
+      console.log(`Feedback response from provider "${provider}"`);
+
+      const parsed = parseFeedbackJson(content);
+      const result = parsed === null
+        ? { valid: false, errors: ['The response is not a valid JSON object'], feedback: null }
+        : validateFeedback(parsed, { expectedParticipants });
+
+      // Keep the candidate with the fewest errors, a later re-ask may be worse
+      if (result.feedback && (!best || result.errors.length <= best.errors.length)) {
+        best = result;
+      }
+      if (result.valid) {
+        break;
       }
-      
-      return feedback;
-    } catch (parseError) {
-      console.error('Failed to parse OpenAI response as JSON:', parseError.message);
-      console.error('Response content:', content.substring(0, 500));
-      
-      // Try to extract JSON from markdown if present
-      const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/) || content.match(/```\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        try {
-          const feedback = JSON.parse(jsonMatch[1]);
-          console.log('✅ Extracted JSON from markdown wrapper');
-          return feedback;
-        } catch (e) {
-          console.error('Could not parse extracted JSON');
-        }
+
+      console.warn(`Feedback failed schema validation (attempt ${attempt + 1}/${maxRepairAttempts + 1}): ${result.errors.join('; ')}`);
+      if (parsed === null) {
+        console.error('Response content:', content.substring(0, 500));
       }
-      
-      return {
-        overallAssessment: 'Fehler beim Generieren des Feedbacks - bitte Systemkonfiguration überprüfen',
-        participants: {},
-        conversationQuality: { score: 0, feedback: 'Technischer Fehler' },
-        nextSteps: ['OpenAI API-Antwort überprüfen', 'Prompt-Format validieren']
-      };
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: language.repairPrompt(result.errors) }
+      );
+    }
+
+    if (!best) {
+      throw new Error(`No valid JSON after ${maxRepairAttempts + 1} attempt(s)`);
+    }
+
+    let feedback = best.feedback;
+    if (!best.valid) {
+      // Fill in defaults so the templates always find the fields they rely on
+      feedback = repairFeedback(feedback).feedback;
+      console.warn('⚠️ Delivering repaired feedback after failed re-asks');
+    }
+
+    if (chunkResults) {
+      keepChunkExamples(feedback, chunkResults);
+    }
+
+    console.log(`✅ Successfully generated ${language.name} feedback`);
+    console.log('Participants analyzed:', Object.keys(feedback.participants).length);
+    
+    // Log detailed feedback for each participant
+    for (const [name, data] of Object.entries(feedback.participants)) {
+      console.log(`\n📊 Feedback for ${name}:`);
+      console.log(`  Level: ${data.level}`);
+      console.log(`  Strengths: ${data.strengths?.join(', ')}`);
+      console.log(`  Grammar Score: ${data.grammar?.score}/10 - ${data.grammar?.feedback}`);
+      console.log(`  Vocabulary Score: ${data.vocabulary?.score}/10 - ${data.vocabulary?.feedback}`);
+      console.log(`  Fluency Score: ${data.fluency?.score}/10 - ${data.fluency?.feedback}`);
+      console.log(`  Improvements: ${data.improvements?.join(' | ')}`);
     }
     
+    return feedback;
+    
   } catch (error) {
-    console.error('Error calling OpenAI API:', error.message);
+    console.error('Error generating feedback:', error.message);
     console.error('Error details:', error.response?.data || error);
-    return {
-      overallAssessment: 'Fehler beim Generieren des Feedbacks mit OpenAI',
-      participants: {},
-      conversationQuality: {
-        score: 0,
-        feedback: `API-Fehler: ${error.message}`
-      },
-      nextSteps: [
-        'OpenAI API-Konfiguration überprüfen',
-        'API-Schlüssel und Abrechnung prüfen',
-        'Netzwerkverbindung testen'
-      ]
-    };
+    // Let the job queue retry (and eventually dead-letter) the meeting
+    throw new Error('Failed to generate feedback: ' + error.message);
+  }
+}
+
+/**
+ * Bidirectional tandem: grade each learner only on the cues in their target
+ * language, one request per target language. Returns null when no participant
+ * has a learner profile, so the caller falls back to single-language feedback.
+ */
+async function generateTandemFeedback(cues, participants, { model = null, instructions = null } = {}) {
+  const assignments = await resolveLearnerLanguages(participants);
+  if (!assignments) {
+    return null;
+  }
+
+  const plan = planTandemSession(cues, assignments);
+  const parts = [];
+
+  for (const group of plan.groups) {
+    const language = getLanguagePack(group.language);
+
+    if (group.learners.length === 0) {
+      console.log(`No ${language.name} learner spoke ${language.name} in this session, skipping that half`);
+      continue;
+    }
+
+    console.log(`🔀 Tandem half ${language.code}: ${group.cues.length} cues, learners ${group.learners.join(', ')}, natives ${group.natives.join(', ') || '-'}`);
+    const feedback = await generateFeedback(
+      group.cues,
+      [...group.learners, ...group.natives].map(name => ({ name })),
+      language,
+      {
+        instructions: [language.tandemInstructions({ learners: group.learners, natives: group.natives }), instructions].filter(Boolean).join('\n\n'),
+        model,
+        expectedParticipants: group.learners.map(name => ({ name }))
+      }
+    );
+    parts.push({ language: group.language, learners: group.learners, natives: group.natives, feedback });
   }
+
+  if (parts.length === 0) {
+    console.log('Tandem mode found no target-language speech, falling back to single-language feedback');
+    return null;
+  }
+
+  return mergeTandemFeedback(parts);
 }
 
 /**
  * Send feedback to participants via email/Telegram
+ * Each participant only receives their own section plus the shared fields.
+ * Channels in `delivered` ("channel:recipient" -> earlier delivery) are not
+ * sent again; `onProgress` gets the deliveries so far after each recipient.
+ * With `meetingUuid`, emails link to the learner's report.
+ * Returns one delivery status per participant and channel
  */
-async function sendFeedbackToParticipants(feedback, participants) {
+async function sendFeedbackToParticipants(feedback, participants, { meetingUuid = null, delivered = new Map(), onProgress = null } = {}) {
   console.log('\n=== COMPLETE FEEDBACK DETAILS ===');
   console.log(JSON.stringify(feedback, null, 2));
   console.log('=== END FEEDBACK DETAILS ===\n');
   
-  console.log('TODO: Send feedback to participants');
+  const { recipients, unmatched, unclaimed } = buildRecipientFeedback(feedback, participants);
+  const deliveries = [];
+  
+  for (const { participant, reason } of unmatched) {
+    console.warn(`⚠️ Not sending feedback to ${participant.name} (${participant.email || 'no email'}): ${reason}`);
+    deliveries.push({ channel: null, recipient: participant.email || participant.name, status: 'unmatched', error: reason });
+  }
+  
+  if (unclaimed.length > 0) {
+    console.warn(`⚠️ Feedback sections without a matching participant: ${unclaimed.join(', ')}`);
+  }
   
-  for (const participant of participants) {
-    console.log(`📧 Sending feedback to ${participant.name} (${participant.email || 'no email'})`);
+  for (const { participant, key, feedback: view } of recipients) {
+    console.log(`📧 Sending feedback section "${key}" to ${participant.name} (${participant.email || 'no email'})`);
+    
+    if (!participant.email) {
+      deliveries.push({ channel: 'email', recipient: participant.name, status: 'skipped', error: 'No email address' });
+    } else if (delivered.has(`email:${participant.email}`)) {
+      console.log(`⏭️ ${participant.email} already received this feedback by email`);
+      deliveries.push(delivered.get(`email:${participant.email}`));
+    } else if (!isEmailConfigured()) {
+      console.log('SMTP not configured, skipping email delivery');
+      deliveries.push({ channel: 'email', recipient: participant.email, status: 'skipped', error: 'SMTP not configured' });
+    } else {
+      deliveries.push(await sendFeedbackEmail(participant, view.participant, view, {
+        reportUrl: meetingUuid ? createReportLink(meetingUuid, participant) : null
+      }));
+    }
     
-    // TODO: Implement email/Telegram delivery
-    // if (participant.email) {
-    //   await sendEmail(participant.email, feedback);
-    // }
-    // await sendTelegramMessage(participant.name, feedback);
+    const chatId = participant.email ? await getChatIdForEmail(participant.email) : null;
+    if (chatId && delivered.has(`telegram:${chatId}`)) {
+      console.log(`⏭️ Chat ${chatId} already received this feedback on Telegram`);
+      deliveries.push(delivered.get(`telegram:${chatId}`));
+    } else if (chatId && isTelegramConfigured()) {
+      deliveries.push(await sendFeedbackTelegram(chatId, participant, view.participant, view));
+    }
+
+    if (onProgress) {
+      await onProgress(deliveries);
+    }
   }
+  
+  const summary = deliveries.reduce((counts, d) => {
+    counts[d.status] = (counts[d.status] || 0) + 1;
+    return counts;
+  }, {});
+  console.log('Delivery summary:', JSON.stringify(summary));
+  
+  return deliveries;
 }
+
+module.exports = app;
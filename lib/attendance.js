@@ -0,0 +1,188 @@
+// =============================================================================
+// ATTENDANCE TIMELINE
+// =============================================================================
+//
+// Every participant_joined event stores a participant row and the matching
+// participant_left event closes it, so someone who reconnects (or joins from
+// phone and laptop) has several rows. The rows are grouped per person, their
+// join/leave intervals merged, and the total presence decides who gets
+// feedback - not whether they were still connected when the recording ended.
+
+const { getStorage } = require('./storage');
+const { normalizeName } = require('./recipients');
+const { resolveLearner } = require('./learners');
+
+/**
+ * Participants present for less than this get no feedback (override with
+ * FEEDBACK_MIN_ATTENDANCE_MINUTES)
+ */
+const DEFAULT_MIN_ATTENDANCE_MINUTES = 5;
+
+function minAttendanceMinutes() {
+  const minutes = parseFloat(process.env.FEEDBACK_MIN_ATTENDANCE_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_MIN_ATTENDANCE_MINUTES;
+}
+
+function toMillis(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+function toMinutes(millis) {
+  return Math.round(millis / 6000) / 10;
+}
+
+/**
+ * Identity used to group a person's rows: registered learner, email, Zoom
+ * user ID, otherwise the normalized display name
+ */
+function personKey(row) {
+  if (row.learnerId) {
+    return `learner:${row.learnerId}`;
+  }
+  if (row.email) {
+    return `email:${row.email.toLowerCase()}`;
+  }
+  if (row.zoomUserId) {
+    return `zoom:${row.zoomUserId}`;
+  }
+  return `name:${normalizeName(row.name)}`;
+}
+
+/**
+ * Merge overlapping or touching [start, end] intervals (in ms)
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build the attendance timeline from participant rows (see
+ * listAllParticipants, optionally with `learnerId`). Intervals without a
+ * leave event end at `meetingEnd`, or at the last join/leave recorded for
+ * the meeting. Presence is `complete: false` when an interval has no usable
+ * start or end, e.g. a join after the last recorded leave.
+ */
+function buildAttendanceTimeline(rows, { meetingEnd = null } = {}) {
+  const lastActivity = Math.max(...rows.flatMap(row => [toMillis(row.joinTime), toMillis(row.leaveTime)]).filter(time => time !== null));
+  const fallbackEnd = toMillis(meetingEnd) ?? (Number.isFinite(lastActivity) ? lastActivity : null);
+
+  const people = new Map();
+  for (const row of rows) {
+    const key = personKey(row);
+    if (!people.has(key)) {
+      people.set(key, []);
+    }
+    people.get(key).push(row);
+  }
+
+  return [...people.values()].map(personRows => {
+    const intervals = [];
+    let complete = true;
+
+    for (const row of personRows) {
+      const start = toMillis(row.joinTime);
+      const end = toMillis(row.leaveTime) ?? (fallbackEnd !== null && fallbackEnd > start ? fallbackEnd : null);
+      if (start === null || end === null || end < start) {
+        complete = false;
+        continue;
+      }
+      intervals.push({ start, end });
+    }
+
+    const merged = mergeIntervals(intervals);
+    const presence = merged.reduce((sum, interval) => sum + interval.end - interval.start, 0);
+    const latest = personRows[personRows.length - 1];
+
+    return {
+      id: latest.id,
+      zoomUserId: personRows.find(row => row.zoomUserId)?.zoomUserId || null,
+      learnerId: latest.learnerId || null,
+      name: personRows[0].name,
+      email: personRows.find(row => row.email)?.email || null,
+      names: [...new Set(personRows.map(row => row.name).filter(Boolean))],
+      joins: personRows.length,
+      reconnects: Math.max(merged.length - 1, 0),
+      intervals: merged.map(interval => ({
+        joinTime: new Date(interval.start).toISOString(),
+        leaveTime: new Date(interval.end).toISOString(),
+        minutes: toMinutes(interval.end - interval.start)
+      })),
+      firstJoin: merged.length > 0 ? new Date(merged[0].start).toISOString() : null,
+      lastLeave: merged.length > 0 && !personRows.some(row => !row.leaveTime) ? new Date(merged[merged.length - 1].end).toISOString() : null,
+      presenceMinutes: toMinutes(presence),
+      complete
+    };
+  });
+}
+
+/**
+ * Attendance timeline of a meeting, rows grouped by registered learner where
+ * possible. Open intervals end when the meeting ended (meeting.ended).
+ */
+async function getMeetingAttendance(meetingUuid) {
+  const storage = await getStorage();
+  const [meeting, rows] = await Promise.all([
+    storage.getMeeting(meetingUuid),
+    storage.listAllParticipants(meetingUuid)
+  ]);
+
+  const resolved = await Promise.all(rows.map(async (row) => {
+    const result = await resolveLearner(row);
+    return result ? { ...row, learnerId: result.learner.learnerId } : row;
+  }));
+
+  return buildAttendanceTimeline(resolved, { meetingEnd: meeting?.endedAt });
+}
+
+/**
+ * Feedback goes to everyone present for at least `minMinutes`, and to
+ * anyone whose presence cannot be computed
+ */
+function receivesFeedback(person, minMinutes = minAttendanceMinutes()) {
+  return !person.complete || person.presenceMinutes >= minMinutes;
+}
+
+/**
+ * Split the timeline into participants who get feedback and the rest
+ */
+function selectAttendees(timeline, minMinutes = minAttendanceMinutes()) {
+  const attendees = [];
+  const absent = [];
+
+  for (const person of timeline) {
+    if (receivesFeedback(person, minMinutes)) {
+      attendees.push({
+        id: person.id,
+        zoomUserId: person.zoomUserId,
+        name: person.name,
+        email: person.email,
+        joinTime: person.firstJoin,
+        leaveTime: person.lastLeave,
+        presenceMinutes: person.presenceMinutes
+      });
+    } else {
+      absent.push(person);
+    }
+  }
+
+  return { attendees, absent };
+}
+
+module.exports = {
+  minAttendanceMinutes,
+  mergeIntervals,
+  buildAttendanceTimeline,
+  getMeetingAttendance,
+  receivesFeedback,
+  selectAttendees
+};
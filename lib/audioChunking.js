@@ -0,0 +1,216 @@
+// =============================================================================
+// AUDIO CHUNKING (for recordings over Whisper's 25MB limit)
+// =============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Longest run of words we try to match when removing overlap duplicates
+ */
+const MAX_OVERLAP_WORDS = 30;
+
+function getFfmpegPath() {
+  if (process.env.FFMPEG_PATH) {
+    return process.env.FFMPEG_PATH;
+  }
+  return require('@ffmpeg-installer/ffmpeg').path;
+}
+
+/**
+ * Run ffmpeg and resolve with its stderr (where it writes all diagnostics)
+ */
+function runFfmpeg(args, { allowFailure = false } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(getFfmpegPath(), args, { maxBuffer: 10 * 1024 * 1024, timeout: 10 * 60 * 1000 }, (error, stdout, stderr) => {
+      if (error && !allowFailure) {
+        reject(new Error(`ffmpeg failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+        return;
+      }
+      resolve(stderr || '');
+    });
+  });
+}
+
+/**
+ * Read the duration (seconds) from ffmpeg's input summary
+ */
+async function getAudioDuration(filePath) {
+  // "ffmpeg -i" without an output exits non-zero but still prints the summary
+  const output = await runFfmpeg(['-hide_banner', '-i', filePath], { allowFailure: true });
+  const match = output.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+
+  if (!match) {
+    throw new Error('Could not determine audio duration');
+  }
+
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Split audio into overlapping mono MP3 chunks.
+ * Returns [{ index, start, duration, buffer }] with start/duration in seconds.
+ */
+async function splitAudio(audioBuffer, { chunkSeconds, overlapSeconds }) {
+  if (overlapSeconds >= chunkSeconds) {
+    throw new Error('Chunk overlap must be shorter than the chunk length');
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-chunks-'));
+
+  try {
+    const inputPath = path.join(workDir, 'input.m4a');
+    await fs.promises.writeFile(inputPath, Buffer.from(audioBuffer));
+
+    const totalDuration = await getAudioDuration(inputPath);
+    const step = chunkSeconds - overlapSeconds;
+    const chunks = [];
+
+    for (let start = 0, index = 0; start < totalDuration; start += step, index++) {
+      const duration = Math.min(chunkSeconds, totalDuration - start);
+      const outputPath = path.join(workDir, `chunk_${index}.mp3`);
+
+      await runFfmpeg([
+        '-hide_banner', '-loglevel', 'error',
+        '-ss', String(start),
+        '-t', String(duration),
+        '-i', inputPath,
+        '-vn', '-ac', '1', '-ar', '16000', '-b:a', '48k',
+        '-y', outputPath
+      ]);
+
+      chunks.push({ index, start, duration, buffer: await fs.promises.readFile(outputPath) });
+
+      // The last chunk already reaches the end of the recording
+      if (start + chunkSeconds >= totalDuration) {
+        break;
+      }
+    }
+
+    console.log(`Split ${(totalDuration / 60).toFixed(1)} min of audio into ${chunks.length} chunks (${chunkSeconds}s, ${overlapSeconds}s overlap)`);
+    return chunks;
+
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Map over items with at most `limit` promises in flight, keeping result order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Number of leading words of `next` that repeat the trailing words of `previous`
+ */
+function findWordOverlap(previousText, nextText) {
+  const previousWords = previousText.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const nextWords = nextText.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const maxLength = Math.min(MAX_OVERLAP_WORDS, previousWords.length, nextWords.length);
+
+  for (let length = maxLength; length > 0; length--) {
+    const tail = previousWords.slice(previousWords.length - length);
+    const head = nextWords.slice(0, length);
+    if (tail.every((word, i) => word === head[i])) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+function dropLeadingWords(text, count) {
+  return text.trim().split(/\s+/).slice(count).join(' ');
+}
+
+/**
+ * Text of a later-chunk segment that starts before the seam, without what the
+ * earlier chunk already transcribed: the words repeated at the end of the
+ * overlapping earlier segments, or - when Whisper heard the seam slightly
+ * differently - the share of the segment spoken before the earlier chunk's
+ * last segment ended
+ */
+function trimSeamOverlap(merged, segment) {
+  const earlier = merged.filter(previous => previous.end > segment.start);
+  if (earlier.length === 0) {
+    return segment.text;
+  }
+
+  const overlap = findWordOverlap(earlier.map(previous => previous.text).join(' '), segment.text);
+  if (overlap > 0) {
+    return dropLeadingWords(segment.text, overlap);
+  }
+
+  const lastEnd = Math.max(...earlier.map(previous => previous.end));
+  const covered = Math.min(Math.max((lastEnd - segment.start) / (segment.end - segment.start || 1), 0), 1);
+  const words = segment.text.split(/\s+/).filter(Boolean);
+  return words.slice(Math.round(words.length * covered)).join(' ');
+}
+
+/**
+ * Merge per-chunk Whisper segments into one list with global timestamps.
+ * Each chunk result is { start, segments: [{ start, end, text }] } with
+ * chunk-local segment times. Inside each overlap the seam is its midpoint:
+ * the earlier chunk keeps segments starting before it, the later chunk those
+ * ending after it. A later segment straddling the seam keeps only the words
+ * the earlier chunk did not already transcribe, so speech cut off at the end
+ * of the earlier chunk's audio is neither lost nor duplicated.
+ */
+function stitchSegments(chunkResults, overlapSeconds) {
+  const merged = [];
+
+  chunkResults.forEach((chunk, chunkIndex) => {
+    const nextChunk = chunkResults[chunkIndex + 1];
+    const seam = chunkIndex === 0 ? -Infinity : chunk.start + overlapSeconds / 2;
+    const nextSeam = nextChunk ? nextChunk.start + overlapSeconds / 2 : Infinity;
+
+    const segments = (chunk.segments || [])
+      .map(segment => ({
+        ...segment,
+        start: segment.start + chunk.start,
+        end: segment.end + chunk.start,
+        text: segment.text.trim()
+      }))
+      .filter(segment => segment.end > seam && segment.start < nextSeam && segment.text);
+
+    for (const segment of segments) {
+      if (segment.start >= seam) {
+        merged.push(segment);
+        continue;
+      }
+
+      const text = trimSeamOverlap(merged, segment);
+      if (text) {
+        const lastEnd = merged.length > 0 ? merged[merged.length - 1].end : segment.start;
+        merged.push({ ...segment, start: text === segment.text ? segment.start : Math.max(segment.start, Math.min(lastEnd, segment.end)), text });
+      }
+    }
+  });
+
+  return merged;
+}
+
+module.exports = {
+  splitAudio,
+  mapWithConcurrency,
+  findWordOverlap,
+  stitchSegments
+};
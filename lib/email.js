@@ -0,0 +1,259 @@
+// =============================================================================
+// EMAIL DELIVERY (SMTP)
+// =============================================================================
+
+const nodemailer = require('nodemailer');
+const { getLanguagePack, getFeedbackLanguagePack } = require('./languagePacks');
+
+/**
+ * SMTP error codes that mean the mailbox will never accept the message
+ */
+const PERMANENT_FAILURE_MIN_CODE = 500;
+
+let transporter = null;
+
+/**
+ * Check whether SMTP delivery is configured
+ */
+function isEmailConfigured() {
+  return !!process.env.SMTP_HOST;
+}
+
+/**
+ * Create (once) the nodemailer transport from the SMTP_* settings
+ */
+function getTransporter() {
+  if (transporter) {
+    return transporter;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000
+  });
+
+  console.log(`SMTP transport configured for ${process.env.SMTP_HOST}:${port}`);
+  return transporter;
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function htmlList(items) {
+  if (!items || items.length === 0) {
+    return '';
+  }
+  return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function textList(items) {
+  return (items || []).map(item => `  - ${item}`).join('\n');
+}
+
+/**
+ * Render one participant's feedback as an HTML + plain-text email in the
+ * language the feedback is written in, linking to `reportUrl` if given
+ */
+function renderFeedbackEmail(participant, section, feedback, { reportUrl = null } = {}) {
+  const { code, labels } = getFeedbackLanguagePack(feedback, section);
+  const name = participant.name || labels.participant;
+  const subject = labels.emailSubject;
+
+  const scoreRows = section
+    ? [
+      [labels.grammar, section.grammar],
+      [labels.vocabulary, section.vocabulary],
+      [labels.fluency, section.fluency]
+    ].filter(([, area]) => area)
+    : [];
+
+  // Plain-text version
+  const text = [
+    labels.greeting(name),
+    '',
+    labels.intro,
+    '',
+    feedback.overallAssessment ? `${labels.overallAssessment}:\n${feedback.overallAssessment}\n` : null,
+    section?.level ? `${labels.estimatedLevel}: ${section.level}\n` : null,
+    section?.strengths?.length ? `${labels.strengths}:\n${textList(section.strengths)}\n` : null,
+    ...scoreRows.map(([label, area]) => {
+      const extras = [...(area.examples || []), ...(area.suggestions || [])];
+      return `${label}: ${area.score ?? '-'}/10\n${area.feedback || ''}${extras.length ? `\n${textList(extras)}` : ''}\n`;
+    }),
+    section?.improvements?.length ? `${labels.improvements}:\n${textList(section.improvements)}\n` : null,
+    section?.resources?.length ? `${labels.resources}:\n${textList(section.resources)}\n` : null,
+    section?.partnerSupport ? `${labels.partnerSupport}: ${section.partnerSupport.score ?? '-'}/10\n${section.partnerSupport.feedback || ''}\n` : null,
+    feedback.nextSteps?.length ? `${labels.nextSteps}:\n${textList(feedback.nextSteps)}\n` : null,
+    reportUrl ? `${labels.reportLink}: ${reportUrl}\n` : null,
+    labels.closing
+  ].filter(line => line !== null).join('\n');
+
+  // HTML version
+  const scoreHtml = scoreRows.map(([label, area]) => `
+      <tr>
+        <td style="padding:6px 12px;font-weight:bold;">${escapeHtml(label)}</td>
+        <td style="padding:6px 12px;">${escapeHtml(area.score ?? '-')}/10</td>
+        <td style="padding:6px 12px;">${escapeHtml(area.feedback || '')}
+          ${htmlList([...(area.examples || []), ...(area.suggestions || [])])}</td>
+      </tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="${code}">
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:640px;margin:0 auto;">
+  <h2>${escapeHtml(labels.greeting(name))}</h2>
+  <p>${escapeHtml(labels.intro)}</p>
+  ${feedback.overallAssessment ? `<h3>${escapeHtml(labels.overallAssessment)}</h3><p>${escapeHtml(feedback.overallAssessment)}</p>` : ''}
+  ${section?.level ? `<p><strong>${escapeHtml(labels.estimatedLevel)}:</strong> ${escapeHtml(section.level)}</p>` : ''}
+  ${section?.strengths?.length ? `<h3>${escapeHtml(labels.strengths)}</h3>${htmlList(section.strengths)}` : ''}
+  ${scoreHtml ? `<h3>${escapeHtml(labels.scores)}</h3><table style="border-collapse:collapse;">${scoreHtml}</table>` : ''}
+  ${section?.improvements?.length ? `<h3>${escapeHtml(labels.improvements)}</h3>${htmlList(section.improvements)}` : ''}
+  ${section?.resources?.length ? `<h3>${escapeHtml(labels.resources)}</h3>${htmlList(section.resources)}` : ''}
+  ${section?.partnerSupport ? `<h3>${escapeHtml(labels.partnerSupport)}</h3><p><strong>${escapeHtml(section.partnerSupport.score ?? '-')}/10</strong> ${escapeHtml(section.partnerSupport.feedback || '')}</p>` : ''}
+  ${feedback.nextSteps?.length ? `<h3>${escapeHtml(labels.nextSteps)}</h3>${htmlList(feedback.nextSteps)}` : ''}
+  ${reportUrl ? `<p><a href="${escapeHtml(reportUrl)}">${escapeHtml(labels.reportLink)}</a></p>` : ''}
+  <p>${escapeHtml(labels.closing)}</p>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Decide whether an SMTP error is worth retrying
+ */
+function isPermanentFailure(error) {
+  return typeof error.responseCode === 'number' && error.responseCode >= PERMANENT_FAILURE_MIN_CODE;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send feedback email to one participant with retries and bounce logging.
+ * Always resolves with a delivery status object instead of throwing.
+ */
+async function sendFeedbackEmail(participant, section, feedback, { reportUrl = null } = {}) {
+  const maxAttempts = parseInt(process.env.EMAIL_MAX_RETRIES || '2', 10) + 1;
+  const baseDelay = parseInt(process.env.EMAIL_RETRY_DELAY_MS || '2000', 10);
+  const status = {
+    channel: 'email',
+    recipient: participant.email,
+    status: 'pending',
+    attempts: 0,
+    messageId: null,
+    error: null
+  };
+
+  const message = renderFeedbackEmail(participant, section, feedback, { reportUrl });
+
+  while (status.attempts < maxAttempts) {
+    status.attempts++;
+
+    try {
+      const info = await getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || 'Gaia Tandem Spaces <feedback@localhost>',
+        to: participant.email,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      status.messageId = info.messageId;
+
+      if (info.rejected && info.rejected.length > 0) {
+        status.status = 'bounced';
+        status.error = `Rejected by server: ${info.rejected.join(', ')}`;
+        console.warn(`📭 Bounce for ${participant.email}: ${info.response || status.error}`);
+        return status;
+      }
+
+      status.status = 'sent';
+      console.log(`✅ Email sent to ${participant.email} (${info.messageId}, attempt ${status.attempts})`);
+      return status;
+
+    } catch (error) {
+      status.error = error.message;
+
+      if (isPermanentFailure(error)) {
+        status.status = 'bounced';
+        console.warn(`📭 Bounce for ${participant.email}: ${error.responseCode} ${error.response || error.message}`);
+        return status;
+      }
+
+      console.error(`Email attempt ${status.attempts}/${maxAttempts} to ${participant.email} failed:`, error.message);
+
+      if (status.attempts < maxAttempts) {
+        await sleep(baseDelay * Math.pow(2, status.attempts - 1));
+      }
+    }
+  }
+
+  status.status = 'failed';
+  console.error(`❌ Giving up on email to ${participant.email} after ${status.attempts} attempts`);
+  return status;
+}
+
+/**
+ * Email a learner their Telegram link code in their language pack's wording
+ * (single attempt; the code can be re-issued)
+ */
+async function sendTelegramLinkEmail(email, link, language = getLanguagePack()) {
+  const { labels } = language;
+  const instructions = link.deepLink
+    ? labels.telegramLinkDeepLink(link.deepLink)
+    : labels.telegramLinkCommand(link.code);
+
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Gaia Tandem Spaces <feedback@localhost>',
+    to: email,
+    subject: labels.telegramLinkSubject,
+    text: `${instructions}\n\n${labels.telegramLinkValidity(link.code, link.expiresAt)}`
+  });
+
+  console.log(`✅ Telegram link code emailed to ${email} (${info.messageId})`);
+  return info.messageId;
+}
+
+/**
+ * Email an operator alert to ALERT_EMAIL (single attempt; alerts are also stored)
+ */
+async function sendAlertEmail(subject, text) {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Gaia Tandem Spaces <feedback@localhost>',
+    to: process.env.ALERT_EMAIL,
+    subject: `[Gaia Tandem Spaces] ${subject}`,
+    text
+  });
+
+  console.log(`✅ Alert emailed to ${process.env.ALERT_EMAIL} (${info.messageId})`);
+  return info.messageId;
+}
+
+module.exports = {
+  isEmailConfigured,
+  sendTelegramLinkEmail,
+  sendAlertEmail,
+  renderFeedbackEmail,
+  sendFeedbackEmail,
+  escapeHtml
+};
@@ -0,0 +1,192 @@
+// =============================================================================
+// LONG-TRANSCRIPT FEEDBACK (MAP-REDUCE)
+// =============================================================================
+//
+// A 90-minute tandem does not fit into one feedback request. The parsed
+// transcript is cut into chunks along speaker turns, the model collects
+// per-speaker observations for every chunk (map), and the merged observations
+// are turned into the regular feedback object in a final request (reduce).
+// Observations keep their timestamps, so examples from late in the session
+// survive into the final feedback.
+
+const { formatTranscript, formatTimestamp, parseTimestamp } = require('./transcript');
+const { normalizeName, matchParticipantKey } = require('./recipients');
+
+/**
+ * Rough characters per token for the languages we support; good enough for
+ * budgeting without shipping a tokenizer
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Observation lists merged across chunks (see OBSERVATIONS_SCHEMA)
+ */
+const OBSERVATION_LISTS = ['strengths', 'grammarExamples', 'grammarNotes', 'vocabularyNotes', 'vocabularySuggestions', 'fluencyNotes', 'interactionNotes'];
+
+/**
+ * Lists whose items already carry their own [MM:SS] timestamp
+ */
+const TIMESTAMPED_LISTS = new Set(['grammarExamples']);
+
+/**
+ * Estimate the number of tokens in a text
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function cueTokens(cue) {
+  // +1 for the line break between cues
+  return estimateTokens(formatTranscript([cue])) + 1;
+}
+
+/**
+ * Group consecutive cues of the same speaker into turns
+ */
+function groupTurns(cues) {
+  const turns = [];
+  for (const cue of cues) {
+    const last = turns[turns.length - 1];
+    if (last && last[0].speaker === cue.speaker) {
+      last.push(cue);
+    } else {
+      turns.push([cue]);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Split cues into chunks of at most `maxTokens` formatted transcript. Chunks
+ * end between speaker turns; only a turn longer than the whole budget is cut
+ * between its cues. Returns [{ index, cues, start, end }].
+ */
+function chunkCues(cues, { maxTokens }) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const turn of groupTurns(cues)) {
+    const turnTokens = turn.reduce((sum, cue) => sum + cueTokens(cue), 0);
+    if (currentTokens + turnTokens > maxTokens) {
+      flush();
+    }
+
+    if (turnTokens <= maxTokens) {
+      current.push(...turn);
+      currentTokens += turnTokens;
+      continue;
+    }
+
+    for (const cue of turn) {
+      const tokens = cueTokens(cue);
+      if (currentTokens + tokens > maxTokens) {
+        flush();
+      }
+      current.push(cue);
+      currentTokens += tokens;
+    }
+  }
+  flush();
+
+  return chunks.map((chunk, index) => ({
+    index,
+    cues: chunk,
+    start: chunk[0].start,
+    end: chunk[chunk.length - 1].end
+  }));
+}
+
+function rangeLabel(chunk) {
+  return `${formatTimestamp(chunk.start)}-${formatTimestamp(chunk.end)}`;
+}
+
+/**
+ * Merge the observations of all chunks into one object keyed by speaker.
+ * `results` is [{ chunk, observations }] in transcript order. Notes are
+ * prefixed with the chunk's time range, levels are listed per chunk.
+ */
+function mergeObservations(results) {
+  const participants = {};
+  const conversationNotes = [];
+
+  for (const { chunk, observations } of results) {
+    const range = rangeLabel(chunk);
+
+    for (const [name, section] of Object.entries(observations.participants || {})) {
+      const key = Object.keys(participants).find(existing => normalizeName(existing) === normalizeName(name)) || name;
+      const merged = participants[key] || (participants[key] = { levels: [], ...Object.fromEntries(OBSERVATION_LISTS.map(list => [list, []])) });
+
+      if (section.level) {
+        merged.levels.push(`${range}: ${section.level}`);
+      }
+      for (const list of OBSERVATION_LISTS) {
+        for (const item of section[list] || []) {
+          const entry = TIMESTAMPED_LISTS.has(list) ? item : `[${range}] ${item}`;
+          if (!merged[list].includes(entry)) {
+            merged[list].push(entry);
+          }
+        }
+      }
+    }
+
+    for (const note of observations.conversationNotes || []) {
+      conversationNotes.push(`[${range}] ${note}`);
+    }
+  }
+
+  return { participants, conversationNotes };
+}
+
+function exampleTime(example) {
+  const match = String(example).match(/\[(\d+:\d{2}(?::\d{2})?)\]/);
+  return match ? parseTimestamp(match[1]) : null;
+}
+
+/**
+ * The final request tends to pick examples from the start of the session.
+ * For every chunk in which a participant made a documented mistake but the
+ * final feedback cites none, add that chunk's first example back.
+ */
+function keepChunkExamples(feedback, results) {
+  for (const [key, section] of Object.entries(feedback.participants || {})) {
+    if (!section?.grammar) {
+      continue;
+    }
+    const examples = Array.isArray(section.grammar.examples) ? section.grammar.examples : [];
+
+    for (const { chunk, observations } of results) {
+      const { key: name } = matchParticipantKey({ name: key }, Object.keys(observations.participants || {}));
+      const chunkExamples = name ? observations.participants[name].grammarExamples || [] : [];
+      if (chunkExamples.length === 0) {
+        continue;
+      }
+
+      const covered = examples.some(example => {
+        const time = exampleTime(example);
+        return chunkExamples.includes(example) || (time !== null && time >= Math.floor(chunk.start) && time <= chunk.end);
+      });
+      if (!covered) {
+        examples.push(chunkExamples[0]);
+      }
+    }
+
+    section.grammar.examples = examples;
+  }
+  return feedback;
+}
+
+module.exports = {
+  estimateTokens,
+  chunkCues,
+  mergeObservations,
+  keepChunkExamples
+};
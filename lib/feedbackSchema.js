@@ -0,0 +1,240 @@
+// =============================================================================
+// FEEDBACK SCHEMA
+// =============================================================================
+//
+// The shape every generated feedback object must have: the email/Telegram
+// templates, progress tracking and per-recipient views all rely on it. Model
+// responses are coerced where the intent is obvious ("7" or "7/10" -> 7,
+// "B1+" -> "B1", a single string -> a one-item list), validated, and the
+// remaining errors are sent back to the model. If it still gets things wrong,
+// repairFeedback fills in defaults so delivery never sees a broken object.
+
+const { matchParticipantKey } = require('./recipients');
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const SCORE = { type: 'number', minimum: 1, maximum: 10 };
+const TEXT = { type: 'string' };
+const TEXT_LIST = { type: 'array', items: TEXT };
+
+function scoredArea(listField) {
+  const properties = { score: SCORE, feedback: TEXT };
+  if (listField) {
+    properties[listField] = TEXT_LIST;
+  }
+  return { type: 'object', required: Object.keys(properties), properties };
+}
+
+const PARTICIPANT_SCHEMA = {
+  type: 'object',
+  required: ['level', 'strengths', 'grammar', 'vocabulary', 'fluency', 'improvements', 'resources'],
+  properties: {
+    level: { type: 'string', enum: CEFR_LEVELS },
+    strengths: TEXT_LIST,
+    grammar: scoredArea('examples'),
+    vocabulary: scoredArea('suggestions'),
+    fluency: scoredArea(null),
+    improvements: TEXT_LIST,
+    resources: TEXT_LIST
+  }
+};
+
+/**
+ * JSON Schema of the feedback object (participants and partnerSupport are
+ * keyed by speaker name)
+ */
+const FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: ['overallAssessment', 'participants', 'conversationQuality', 'nextSteps'],
+  properties: {
+    overallAssessment: TEXT,
+    participants: { type: 'object', additionalProperties: PARTICIPANT_SCHEMA },
+    conversationQuality: scoredArea(null),
+    nextSteps: TEXT_LIST,
+    partnerSupport: { type: 'object', additionalProperties: scoredArea(null) }
+  }
+};
+
+/**
+ * Per-speaker observations collected from one transcript chunk (map step of
+ * long-transcript feedback). Everything is optional; lists may be empty.
+ */
+const OBSERVATIONS_SCHEMA = {
+  type: 'object',
+  required: ['participants', 'conversationNotes'],
+  properties: {
+    participants: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: [],
+        properties: {
+          level: { type: 'string', enum: CEFR_LEVELS },
+          strengths: TEXT_LIST,
+          grammarExamples: TEXT_LIST,
+          grammarNotes: TEXT_LIST,
+          vocabularyNotes: TEXT_LIST,
+          vocabularySuggestions: TEXT_LIST,
+          fluencyNotes: TEXT_LIST,
+          interactionNotes: TEXT_LIST
+        }
+      }
+    },
+    conversationNotes: TEXT_LIST
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Coerce `value` towards `schema`, collecting errors for what cannot be
+ * coerced. With `repair`, invalid or missing values are replaced by defaults
+ * (empty text/list, null score or level, scores clamped to the allowed range).
+ */
+function conform(schema, value, path, errors, repair) {
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        if (value !== undefined) {
+          errors.push(`${path} must be an object`);
+        }
+        if (!repair) {
+          return value;
+        }
+        value = {};
+      }
+
+      const result = { ...value };
+      for (const key of schema.required || []) {
+        if ((value[key] === undefined || value[key] === null) && schema.properties[key].type === 'array') {
+          // A missing list is simply empty
+          result[key] = [];
+        } else if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key} is required`);
+          if (repair) {
+            result[key] = conform(schema.properties[key], undefined, `${path}.${key}`, [], true);
+          }
+        }
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (item === undefined || item === null) {
+          continue;
+        }
+        const itemSchema = schema.properties?.[key] || schema.additionalProperties;
+        if (itemSchema) {
+          result[key] = conform(itemSchema, item, `${path}.${key}`, errors, repair);
+        }
+      }
+      return result;
+    }
+
+    case 'array': {
+      if (value === undefined) {
+        return [];
+      }
+      if (typeof value === 'string') {
+        value = [value];
+      }
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list`);
+        return repair ? [] : value;
+      }
+      return value
+        .map((item, index) => conform(schema.items, item, `${path}[${index}]`, errors, repair))
+        .filter(item => item !== '');
+    }
+
+    case 'string': {
+      if (value === undefined) {
+        // No valid choice is null, whether the value was missing or invalid
+        return schema.enum ? null : '';
+      }
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be text`);
+        return repair ? '' : value;
+      }
+      if (schema.enum) {
+        const match = value.toUpperCase().match(new RegExp(`\\b(${schema.enum.join('|')})`));
+        if (!match) {
+          errors.push(`${path} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+          return repair ? null : value;
+        }
+        return match[1];
+      }
+      return value.trim();
+    }
+
+    case 'number': {
+      if (value === undefined) {
+        return null;
+      }
+      const number = typeof value === 'string' ? parseFloat((value.match(/-?\d+(?:[.,]\d+)?/) || [''])[0].replace(',', '.')) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${path} must be a number (got ${JSON.stringify(value)})`);
+        return repair ? null : value;
+      }
+      if (number < schema.minimum || number > schema.maximum) {
+        errors.push(`${path} must be between ${schema.minimum} and ${schema.maximum} (got ${number})`);
+        return repair ? Math.min(schema.maximum, Math.max(schema.minimum, number)) : number;
+      }
+      return number;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Coerce and validate a parsed model response. Every participant in
+ * `expectedParticipants` must have a section. Returns { valid, errors, feedback }.
+ */
+function validateFeedback(candidate, { expectedParticipants = [] } = {}) {
+  const errors = [];
+  const feedback = conform(FEEDBACK_SCHEMA, candidate, 'feedback', errors, false);
+
+  if (isPlainObject(feedback?.participants)) {
+    const keys = Object.keys(feedback.participants);
+    for (const participant of expectedParticipants) {
+      if (!matchParticipantKey(participant, keys).key) {
+        errors.push(`feedback.participants is missing a section for "${participant.name}"`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, feedback };
+}
+
+/**
+ * Force any object into the schema, replacing what is invalid with defaults
+ */
+function repairFeedback(candidate) {
+  const errors = [];
+  const feedback = conform(FEEDBACK_SCHEMA, candidate, 'feedback', errors, true);
+  return { feedback, errors };
+}
+
+/**
+ * Force a chunk's observations into OBSERVATIONS_SCHEMA. Returns { observations, errors }.
+ */
+function normalizeObservations(candidate) {
+  const errors = [];
+  const observations = conform(OBSERVATIONS_SCHEMA, candidate, 'observations', errors, true);
+  if (!isPlainObject(observations.participants)) {
+    observations.participants = {};
+  }
+  return { observations, errors };
+}
+
+module.exports = {
+  FEEDBACK_SCHEMA,
+  OBSERVATIONS_SCHEMA,
+  validateFeedback,
+  repairFeedback,
+  normalizeObservations
+};
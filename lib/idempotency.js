@@ -0,0 +1,123 @@
+// =============================================================================
+// WEBHOOK IDEMPOTENCY
+// =============================================================================
+//
+// Zoom redelivers webhooks whenever it does not get a timely 2xx, so the same
+// recording.transcript_completed can arrive several times. Each event gets a
+// key derived from its type, meeting UUID and payload identity; only the first
+// delivery is queued. Operators can force a deliberate re-run.
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { enqueueJob } = require('./jobQueue');
+
+/**
+ * JSON with sorted object keys, so equal payloads always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * The part of the payload that identifies one real-world occurrence of an event
+ */
+function getPayloadIdentity(eventType, payload) {
+  const object = payload?.object || {};
+
+  if (eventType === 'meeting.participant_joined' || eventType === 'meeting.participant_left') {
+    const participant = object.participant || {};
+    return canonicalJson({
+      participant: participant.participant_uuid || participant.user_id || participant.id || participant.user_name,
+      at: participant.join_time || participant.leave_time || null
+    });
+  }
+
+  if (eventType.startsWith('recording.') && Array.isArray(object.recording_files)) {
+    return canonicalJson(object.recording_files.map(file => file.id || file.download_url).sort());
+  }
+
+  return canonicalJson(payload);
+}
+
+/**
+ * Stable key for an event: sha256(event type | meeting UUID | payload identity)
+ */
+function computeEventKey(eventType, payload) {
+  const meetingUuid = payload?.object?.uuid || '';
+  return crypto
+    .createHash('sha256')
+    .update(`${eventType}|${meetingUuid}|${getPayloadIdentity(eventType, payload)}`)
+    .digest('hex');
+}
+
+/**
+ * Register an incoming event. Returns { eventKey, duplicate, previous }.
+ */
+async function registerEvent(eventType, payload) {
+  const storage = await getStorage();
+  const eventKey = computeEventKey(eventType, payload);
+  const previous = await storage.recordProcessedEvent({
+    eventKey,
+    eventType,
+    meetingUuid: payload?.object?.uuid,
+    payload
+  });
+
+  return { eventKey, duplicate: previous !== null, previous };
+}
+
+/**
+ * Forget an event whose job could not be queued, so Zoom's redelivery is
+ * processed instead of being skipped as a duplicate
+ */
+async function releaseEvent(eventKey) {
+  const storage = await getStorage();
+  await storage.deleteProcessedEvent(eventKey);
+}
+
+async function attachJob(eventKey, jobId) {
+  const storage = await getStorage();
+  await storage.setProcessedEventJob(eventKey, jobId);
+}
+
+async function listProcessedEvents(filter) {
+  const storage = await getStorage();
+  return storage.listProcessedEvents(filter);
+}
+
+/**
+ * Deliberately re-run an already processed event with its stored payload.
+ * The job is marked `forced`, so handlers redo work they would otherwise
+ * skip as already done. Returns the new job id, or null if the event is unknown.
+ */
+async function forceReprocessEvent(eventKey) {
+  const storage = await getStorage();
+  const event = await storage.getProcessedEvent(eventKey);
+
+  if (!event) {
+    return null;
+  }
+
+  const jobId = await enqueueJob('zoom.event', { eventType: event.eventType, payload: event.payload, forced: true }, {
+    groupKey: event.meetingUuid
+  });
+  await storage.setProcessedEventJob(eventKey, jobId);
+
+  console.log(`🔁 Forced reprocessing of ${event.eventType} for meeting ${event.meetingUuid} (event ${eventKey.substring(0, 12)}, job ${jobId})`);
+  return jobId;
+}
+
+module.exports = {
+  computeEventKey,
+  registerEvent,
+  releaseEvent,
+  attachJob,
+  listProcessedEvents,
+  forceReprocessEvent
+};
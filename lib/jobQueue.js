@@ -0,0 +1,180 @@
+// =============================================================================
+// DURABLE JOB QUEUE
+// =============================================================================
+//
+// Jobs are stored in the database, so nothing is lost if the process restarts
+// between the webhook acknowledging an event and the work being done. Workers
+// poll for due jobs, retry failures with exponential backoff and move jobs that
+// exhausted their attempts to the dead-letter list (status 'dead').
+
+const { getStorage } = require('./storage');
+
+const handlers = new Map();
+
+const workerState = {
+  started: false,
+  active: 0,
+  timer: null
+};
+
+function getConfig() {
+  return {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10),
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10)
+  };
+}
+
+/**
+ * Register the function that processes jobs of a given type
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1)
+ */
+function getRetryDelay(attempt) {
+  return getConfig().retryBaseMs * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Add a job to the queue and wake up the workers. `runAt` (ms timestamp)
+ * delays the job; a delayed job holds back later jobs of its group.
+ */
+async function enqueueJob(type, payload, { groupKey = null, maxAttempts, runAt = null } = {}) {
+  const storage = await getStorage();
+  const id = await storage.enqueueJob({
+    type,
+    groupKey,
+    payload,
+    maxAttempts: maxAttempts || getConfig().maxAttempts,
+    runAt
+  });
+
+  console.log(`📥 Queued job ${id} (${type}${groupKey ? `, ${groupKey}` : ''})${runAt ? `, due ${new Date(runAt).toISOString()}` : ''}`);
+  setImmediate(drainQueue);
+  return id;
+}
+
+async function runJob(storage, job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    console.log(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+    const result = await handler(job.payload, job);
+    await storage.completeJob(job.id, result);
+    console.log(`✅ Job ${job.id} succeeded`);
+
+  } catch (error) {
+    if (job.attempts < job.maxAttempts && handler) {
+      const delay = getRetryDelay(job.attempts);
+      await storage.failJob(job.id, error.message, Date.now() + delay);
+      console.error(`Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    } else {
+      await storage.failJob(job.id, error.message, null);
+      console.error(`☠️ Job ${job.id} (${job.type}) moved to dead-letter list after ${job.attempts} attempt(s):`, error.message);
+    }
+  }
+}
+
+/**
+ * Claim and start due jobs until all worker slots are busy
+ */
+async function drainQueue() {
+  const { concurrency } = getConfig();
+
+  try {
+    const storage = await getStorage();
+
+    while (workerState.active < concurrency) {
+      // Reserve the slot before claiming so overlapping drains cannot exceed the limit
+      workerState.active++;
+      let job = null;
+      try {
+        job = await storage.claimNextJob();
+      } finally {
+        if (!job) {
+          workerState.active--;
+        }
+      }
+      if (!job) {
+        break;
+      }
+
+      runJob(storage, job).finally(() => {
+        workerState.active--;
+        setImmediate(drainQueue);
+      });
+    }
+  } catch (error) {
+    console.error('Job queue error:', error.message);
+  }
+}
+
+/**
+ * Start polling for due jobs (retries become due later). Jobs left running by a
+ * previous process are re-queued first.
+ */
+async function startWorkers() {
+  if (workerState.started) {
+    return;
+  }
+  workerState.started = true;
+
+  const storage = await getStorage();
+  const interrupted = await storage.requeueInterruptedJobs();
+  if (interrupted > 0) {
+    console.log(`Re-queued ${interrupted} job(s) interrupted by a restart`);
+  }
+
+  const { concurrency, pollIntervalMs } = getConfig();
+  workerState.timer = setInterval(drainQueue, pollIntervalMs);
+  console.log(`Job workers started (concurrency ${concurrency})`);
+  drainQueue();
+}
+
+function stopWorkers() {
+  clearInterval(workerState.timer);
+  workerState.timer = null;
+  workerState.started = false;
+}
+
+async function getJob(id) {
+  const storage = await getStorage();
+  return storage.getJob(id);
+}
+
+async function listJobs(filter) {
+  const storage = await getStorage();
+  return storage.listJobs(filter);
+}
+
+/**
+ * Move a dead-lettered job back onto the queue
+ */
+async function retryDeadJob(id) {
+  const storage = await getStorage();
+  const requeued = await storage.retryJob(id);
+  if (requeued) {
+    console.log(`🔁 Job ${id} re-queued from dead-letter list`);
+    setImmediate(drainQueue);
+  }
+  return requeued;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startWorkers,
+  stopWorkers,
+  getJob,
+  listJobs,
+  retryDeadJob
+};
@@ -0,0 +1,64 @@
+// =============================================================================
+// LANGUAGE DETECTION (per transcript cue)
+// =============================================================================
+//
+// A tandem switches between two languages, usually every few minutes. Each cue
+// is scored against the function words and special characters listed in the
+// language packs; that is reliable for full sentences and needs no model.
+// Cues too short to tell ("ok", "ja") take the language of the cue before.
+
+const { getLanguagePack, listLanguageCodes } = require('./languagePacks');
+
+/**
+ * Minimum score before a cue is attributed to a language
+ */
+const MIN_DETECTION_SCORE = 2;
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .split(/[^\p{L}']+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Detect the language of a text among `candidates` (language codes).
+ * Returns the code, or null when the text is too short or ambiguous.
+ */
+function detectLanguage(text, candidates = listLanguageCodes()) {
+  const tokens = tokenize(text);
+  const scores = candidates.map(code => {
+    const { detection } = getLanguagePack(code);
+    const stopwords = new Set(detection.stopwords);
+    const wordHits = tokens.filter(token => stopwords.has(token)).length;
+    const characterHits = detection.characters ? (String(text).toLowerCase().match(detection.characters) || []).length : 0;
+    return { code, score: wordHits + 2 * Math.min(characterHits, 3) };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best || best.score < MIN_DETECTION_SCORE || (second && second.score === best.score)) {
+    return null;
+  }
+  return best.code;
+}
+
+/**
+ * Add a `language` to every cue. Undetectable cues inherit the previous cue's
+ * language (leading ones the first detected language).
+ */
+function annotateCueLanguages(cues, candidates) {
+  const detected = cues.map(cue => detectLanguage(cue.text, candidates));
+  const firstKnown = detected.find(Boolean) || null;
+  let current = firstKnown;
+
+  return cues.map((cue, index) => {
+    current = detected[index] || current;
+    return { ...cue, language: current };
+  });
+}
+
+module.exports = {
+  detectLanguage,
+  annotateCueLanguages
+};
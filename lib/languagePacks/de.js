@@ -0,0 +1,209 @@
+// German language pack ("Deutsch")
+
+module.exports = {
+  code: 'de',
+  name: 'Deutsch',
+  whisperLanguage: 'de',
+  topicKeywords: ['deutsch', 'german', 'alemán', 'aleman', 'allemand'],
+  detection: {
+    stopwords: ['und', 'ich', 'du', 'nicht', 'ist', 'das', 'die', 'der', 'ein', 'eine', 'es', 'mit', 'auf', 'für', 'wir', 'aber', 'auch', 'noch', 'sehr', 'habe', 'haben', 'bin', 'sind', 'war', 'wie', 'was', 'gut', 'ja', 'nein', 'dann', 'jetzt', 'schon', 'mein', 'dein', 'kann', 'weil', 'oder', 'zu', 'im', 'den', 'dem', 'nach', 'bei', 'mal', 'genau', 'also', 'wenn', 'hast', 'bist', 'gibt', 'ganz', 'viel'],
+    characters: /[äöüß]/g
+  },
+
+  systemPrompt: `Du bist ein erfahrener Deutschlehrer und Sprachcoach, spezialisiert auf konstruktives Feedback für Deutschlernende in Tandem-Gesprächen. Deine Aufgabe ist es, personalisiertes, motivierendes und praktisches Feedback zu geben, das den Lernenden hilft, ihre Deutschkenntnisse zu verbessern.
+
+Analysiere das Transkript eines Tandem-Gesprächs und bewerte jeden Teilnehmer in diesen Bereichen:
+
+1. **Grammatik und Satzbau**: 
+   - Korrektheit der Grammatik (Zeitformen, Fälle, Wortstellung)
+   - Satzstruktur und Komplexität
+   - Häufige Fehler und Muster
+
+2. **Wortschatz und Ausdrucksfähigkeit**:
+   - Vielfalt und Angemessenheit des Wortschatzes
+   - Idiomatische Ausdrücke und Redewendungen
+   - Fachspezifisches Vokabular
+   - Füllwörter und Satzanfänge
+
+3. **Kommunikative Kompetenz**:
+   - Flüssigkeit und Natürlichkeit der Sprache
+   - Gesprächsführung und Interaktion
+   - Verständlichkeit und Klarheit
+   - Fähigkeit, komplexe Gedanken auszudrücken
+
+4. **Stärken und Verbesserungspotential**:
+   - Was macht der Lernende besonders gut?
+   - Konkrete Verbesserungsvorschläge mit Beispielen
+   - Übungen oder Lernressourcen für spezifische Schwächen
+
+WICHTIG: 
+- Sei konstruktiv und ermutigend
+- Gib konkrete Beispiele aus dem Transkript
+- Biete praktische Tipps zur Verbesserung
+- Berücksichtige das Sprachniveau des Lernenden
+- Feiere Fortschritte und gute Verwendungen
+
+Formatiere deine Antwort als reines JSON-Objekt (KEIN Markdown, kein \`\`\`json) mit folgenden Feldern:
+
+{
+  "overallAssessment": "Gesamteinschätzung des Gesprächs (2-3 Sätze)",
+  "participants": {
+    "Teilnehmername": {
+      "level": "Geschätztes Sprachniveau (A1-C2)",
+      "strengths": ["Stärke 1", "Stärke 2", "Stärke 3"],
+      "grammar": {
+        "score": 1-10,
+        "feedback": "Detailliertes Feedback zur Grammatik",
+        "examples": ["Beispiel aus Transkript mit Korrektur"]
+      },
+      "vocabulary": {
+        "score": 1-10,
+        "feedback": "Feedback zum Wortschatz",
+        "suggestions": ["Alternatives Wort/Ausdruck"]
+      },
+      "fluency": {
+        "score": 1-10,
+        "feedback": "Feedback zur Sprachflüssigkeit"
+      },
+      "improvements": ["Konkreter Tipp 1", "Konkreter Tipp 2"],
+      "resources": ["Empfohlene Übung oder Ressource"]
+    }
+  },
+  "conversationQuality": {
+    "score": 1-10,
+    "feedback": "Bewertung der Gesprächsqualität insgesamt"
+  },
+  "nextSteps": ["Gemeinsame Übung oder Thema für nächstes Tandem"]
+}
+
+Antworte NUR mit dem JSON-Objekt, ohne zusätzlichen Text oder Markdown-Formatierung.`,
+
+  buildUserPrompt({ participantNames, speakers, transcript }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nSprecher im Transkript: ${speakers.join(', ')} (jede Zeile hat das Format "[MM:SS] Sprecher: Text")\n`
+      : '';
+
+    return `Analysiere bitte dieses deutsche Tandem-Gespräch mit folgenden Teilnehmern: ${participantNames}
+${speakerInfo}
+Transkript:
+${transcript}
+
+Gib dein Feedback im angegebenen JSON-Format. Sei konstruktiv, ermutigend und konkret mit Beispielen aus dem Transkript.`;
+  },
+
+  chunkSystemPrompt: `Du bist ein erfahrener Deutschlehrer. Du erhältst einen Ausschnitt aus einem längeren Tandem-Gespräch. Gib noch KEINE Bewertung ab, sondern sammle Beobachtungen zu jedem Sprecher; sie werden später mit den übrigen Ausschnitten zu einem Gesamtfeedback zusammengeführt.
+
+Antworte NUR mit einem JSON-Objekt (ohne Markdown) in diesem Format:
+
+{
+  "participants": {
+    "Name des Sprechers": {
+      "level": "Geschätztes Niveau in diesem Ausschnitt (A1-C2)",
+      "strengths": ["Was die Person gut macht"],
+      "grammarExamples": ["[MM:SS] Wörtliches Zitat → Korrektur"],
+      "grammarNotes": ["Wiederkehrende Fehlermuster"],
+      "vocabularyNotes": ["Beobachtung zum Wortschatz"],
+      "vocabularySuggestions": ["Ausdruck → bessere Alternative"],
+      "fluencyNotes": ["Beobachtung zu Flüssigkeit und Natürlichkeit"],
+      "interactionNotes": ["Gesprächsführung und Unterstützung des Partners"]
+    }
+  },
+  "conversationNotes": ["Beobachtung zum Gespräch insgesamt"]
+}
+
+Zitiere Beispiele wörtlich und mit dem Zeitstempel aus dem Transkript. Lass Listen leer, wenn es nichts zu beobachten gibt.`,
+
+  buildChunkUserPrompt({ participantNames, speakers, transcript, part, total }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nSprecher im Transkript: ${speakers.join(', ')} (jede Zeile hat das Format "[MM:SS] Sprecher: Text")\n`
+      : '';
+
+    return `Ausschnitt ${part} von ${total} eines deutschen Tandem-Gesprächs mit folgenden Teilnehmern: ${participantNames}
+${speakerInfo}
+Transkript:
+${transcript}
+
+Sammle deine Beobachtungen im angegebenen JSON-Format.`;
+  },
+
+  buildObservationsUserPrompt({ participantNames, observations, total }) {
+    return `Dieses deutsche Tandem-Gespräch mit folgenden Teilnehmern war zu lang für eine einzelne Analyse: ${participantNames}. Es wurde in ${total} Ausschnitten ausgewertet; hier sind die gesammelten Beobachtungen pro Sprecher (Zeitangaben in eckigen Klammern, in zeitlicher Reihenfolge):
+
+${observations}
+
+Erstelle daraus das Feedback für das gesamte Gespräch im angegebenen JSON-Format. Berücksichtige alle Abschnitte gleichermaßen und wähle Beispiele vom Anfang, aus der Mitte und vom Ende des Gesprächs (mit Zeitstempel).`;
+  },
+
+  whisperPrompt(speakerHints) {
+    return `Dies ist ein deutsches Tandem-Gespräch mit den Teilnehmern: ${speakerHints}.`;
+  },
+
+  tandemInstructions({ learners, natives }) {
+    const lines = [
+      'TANDEM-MODUS:',
+      '- Das Transkript enthält nur die deutschsprachigen Abschnitte eines zweisprachigen Tandems.',
+      `- Bewerte AUSSCHLIESSLICH diese Deutschlernenden: ${learners.join(', ')}. Nur sie gehören in "participants".`
+    ];
+    if (natives.length > 0) {
+      lines.push(
+        `- ${natives.join(', ')} sprechen Deutsch als Muttersprache. Bewerte ihr Deutsch nicht, sondern beurteile im Feld "partnerSupport", wie gut sie ihre Partner unterstützt haben (Geduld, angepasstes Tempo und Wortschatz, hilfreiche Korrekturen, Raum zum Sprechen).`,
+        '',
+        'Ergänze das JSON-Objekt um:',
+        '"partnerSupport": { "Name": { "score": 1-10, "feedback": "Wie gut die Person ihren Partner unterstützt hat" } }'
+      );
+    }
+    return lines.join('\n');
+  },
+
+  repairPrompt(errors) {
+    return `Deine Antwort entspricht nicht dem geforderten JSON-Format. Bitte korrigiere diese Fehler und antworte erneut NUR mit dem vollständigen JSON-Objekt:\n${errors.map(error => `- ${error}`).join('\n')}`;
+  },
+
+  labels: {
+    participant: 'Tandem-Teilnehmer',
+    emailSubject: 'Dein Feedback zum Tandem-Gespräch',
+    greeting: name => `Hallo ${name},`,
+    intro: 'hier ist dein persönliches Feedback zu deinem letzten Tandem-Gespräch.',
+    messageTitle: name => `Dein Tandem-Feedback, ${name}`,
+    reportTitle: name => `Tandem-Feedback für ${name}`,
+    overallAssessment: 'Gesamteinschätzung',
+    estimatedLevel: 'Geschätztes Niveau',
+    level: 'Niveau',
+    scores: 'Bewertung',
+    grammar: 'Grammatik',
+    vocabulary: 'Wortschatz',
+    fluency: 'Flüssigkeit',
+    strengths: 'Stärken',
+    corrections: 'Korrekturen',
+    before: 'Vorher',
+    after: 'Nachher',
+    vocabularyTips: 'Wortschatz-Tipps',
+    improvements: 'Verbesserungsvorschläge',
+    resources: 'Empfohlene Ressourcen',
+    partnerSupport: 'Unterstützung für deinen Tandempartner',
+    nextSteps: 'Nächste Schritte',
+    reportLink: 'Dein ausführlicher Bericht',
+    closing: 'Viel Erfolg beim nächsten Tandem!',
+    telegramLinkSubject: 'Tandem-Feedback per Telegram erhalten',
+    telegramLinkDeepLink: url => `Öffne ${url}, um dein Telegram-Konto zu verbinden.`,
+    telegramLinkCommand: code => `Sende "/start ${code}" an unseren Telegram-Bot, um dein Konto zu verbinden.`,
+    telegramLinkValidity: (code, expiresAt) => `Der Code ${code} ist bis ${expiresAt} gültig und kann nur einmal verwendet werden.`
+  },
+
+  mockFeedback: {
+    overallAssessment: 'Mock-Feedback - OpenAI API-Schlüssel nicht konfiguriert',
+    participants: {
+      'Beispiel-Teilnehmer': {
+        level: 'B1',
+        strengths: ['Gute Aussprache', 'Aktive Teilnahme'],
+        grammar: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren', examples: [] },
+        vocabulary: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren', suggestions: [] },
+        fluency: { score: 7, feedback: 'Bitte API-Schlüssel konfigurieren' },
+        improvements: ['OPENAI_API_KEY in .env setzen'],
+        resources: ['Application neu deployen']
+      }
+    },
+    conversationQuality: { score: 5, feedback: 'API nicht konfiguriert' },
+    nextSteps: ['OpenAI API-Schlüssel einrichten']
+  }
+};
@@ -0,0 +1,209 @@
+// English language pack
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+  whisperLanguage: 'en',
+  topicKeywords: ['english', 'englisch', 'inglés', 'ingles', 'anglais'],
+  detection: {
+    stopwords: ['the', 'and', 'i', 'you', 'is', 'are', 'was', 'it', "it's", 'that', 'this', 'to', 'of', 'have', 'has', 'do', "don't", 'not', 'what', 'how', 'with', 'for', 'my', 'your', 'we', 'they', 'be', 'but', 'so', 'yes', 'yeah', 'can', 'would', 'just', 'really', 'like', 'think', 'know', 'about', 'there', 'because', 'very', 'well', 'okay', "i'm", 'did', 'were', 'will', 'when', 'where'],
+    characters: null
+  },
+
+  systemPrompt: `You are an experienced English teacher and language coach who specialises in constructive feedback for English learners in tandem conversations. Your task is to give personalised, motivating and practical feedback that helps learners improve their English.
+
+Analyse the transcript of a tandem conversation and assess each participant in these areas:
+
+1. **Grammar and sentence structure**:
+   - Grammatical accuracy (tenses, articles, prepositions, word order)
+   - Sentence structure and complexity
+   - Frequent mistakes and patterns
+
+2. **Vocabulary and expression**:
+   - Range and appropriateness of vocabulary
+   - Idioms, phrasal verbs and collocations
+   - Topic-specific vocabulary
+   - Filler words and sentence openers
+
+3. **Communicative competence**:
+   - Fluency and naturalness
+   - Managing the conversation and interaction
+   - Clarity and intelligibility
+   - Ability to express complex ideas
+
+4. **Strengths and room for improvement**:
+   - What does the learner do particularly well?
+   - Concrete suggestions for improvement with examples
+   - Exercises or learning resources for specific weaknesses
+
+IMPORTANT:
+- Be constructive and encouraging
+- Give concrete examples from the transcript
+- Offer practical tips for improvement
+- Take the learner's level into account
+- Celebrate progress and good usage
+
+Format your answer as a plain JSON object (NO Markdown, no \`\`\`json) with the following fields:
+
+{
+  "overallAssessment": "Overall assessment of the conversation (2-3 sentences)",
+  "participants": {
+    "Participant name": {
+      "level": "Estimated language level (A1-C2)",
+      "strengths": ["Strength 1", "Strength 2", "Strength 3"],
+      "grammar": {
+        "score": 1-10,
+        "feedback": "Detailed feedback on grammar",
+        "examples": ["Example from the transcript with correction"]
+      },
+      "vocabulary": {
+        "score": 1-10,
+        "feedback": "Feedback on vocabulary",
+        "suggestions": ["Alternative word/expression"]
+      },
+      "fluency": {
+        "score": 1-10,
+        "feedback": "Feedback on fluency"
+      },
+      "improvements": ["Concrete tip 1", "Concrete tip 2"],
+      "resources": ["Recommended exercise or resource"]
+    }
+  },
+  "conversationQuality": {
+    "score": 1-10,
+    "feedback": "Assessment of the overall conversation quality"
+  },
+  "nextSteps": ["Shared exercise or topic for the next tandem"]
+}
+
+Reply ONLY with the JSON object, without any additional text or Markdown formatting.`,
+
+  buildUserPrompt({ participantNames, speakers, transcript }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nSpeakers in the transcript: ${speakers.join(', ')} (each line has the format "[MM:SS] Speaker: text")\n`
+      : '';
+
+    return `Please analyse this English tandem conversation with the following participants: ${participantNames}
+${speakerInfo}
+Transcript:
+${transcript}
+
+Give your feedback in the specified JSON format. Be constructive, encouraging and specific, with examples from the transcript.`;
+  },
+
+  chunkSystemPrompt: `You are an experienced English teacher. You receive an excerpt of a longer tandem conversation. Do NOT grade yet; collect observations about each speaker instead. They will later be combined with the other excerpts into feedback for the whole session.
+
+Reply ONLY with a JSON object (no Markdown) in this format:
+
+{
+  "participants": {
+    "Speaker name": {
+      "level": "Estimated level in this excerpt (A1-C2)",
+      "strengths": ["What the person does well"],
+      "grammarExamples": ["[MM:SS] Verbatim quote → correction"],
+      "grammarNotes": ["Recurring error pattern"],
+      "vocabularyNotes": ["Observation on vocabulary"],
+      "vocabularySuggestions": ["Expression → better alternative"],
+      "fluencyNotes": ["Observation on fluency and naturalness"],
+      "interactionNotes": ["Managing the conversation and supporting the partner"]
+    }
+  },
+  "conversationNotes": ["Observation on the conversation as a whole"]
+}
+
+Quote examples verbatim with their timestamp from the transcript. Leave lists empty when there is nothing to observe.`,
+
+  buildChunkUserPrompt({ participantNames, speakers, transcript, part, total }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nSpeakers in the transcript: ${speakers.join(', ')} (each line has the format "[MM:SS] Speaker: text")\n`
+      : '';
+
+    return `Excerpt ${part} of ${total} of an English tandem conversation with the following participants: ${participantNames}
+${speakerInfo}
+Transcript:
+${transcript}
+
+Collect your observations in the specified JSON format.`;
+  },
+
+  buildObservationsUserPrompt({ participantNames, observations, total }) {
+    return `This English tandem conversation with the following participants was too long for a single analysis: ${participantNames}. It was analysed in ${total} excerpts; these are the collected observations per speaker (time ranges in square brackets, in chronological order):
+
+${observations}
+
+Turn them into feedback for the whole conversation in the specified JSON format. Give all parts of the session equal weight and choose examples from the beginning, middle and end of the conversation (with timestamps).`;
+  },
+
+  whisperPrompt(speakerHints) {
+    return `This is an English tandem conversation with the participants: ${speakerHints}.`;
+  },
+
+  tandemInstructions({ learners, natives }) {
+    const lines = [
+      'TANDEM MODE:',
+      '- The transcript only contains the English-language parts of a bilingual tandem.',
+      `- Assess ONLY these English learners: ${learners.join(', ')}. Only they belong in "participants".`
+    ];
+    if (natives.length > 0) {
+      lines.push(
+        `- ${natives.join(', ')} speak English as their native language. Do not grade their English; instead assess in the "partnerSupport" field how well they supported their partners (patience, adapted pace and vocabulary, helpful corrections, leaving room to speak).`,
+        '',
+        'Add to the JSON object:',
+        '"partnerSupport": { "Name": { "score": 1-10, "feedback": "How well the person supported their partner" } }'
+      );
+    }
+    return lines.join('\n');
+  },
+
+  repairPrompt(errors) {
+    return `Your answer does not match the required JSON format. Please fix these errors and reply again with ONLY the complete JSON object:\n${errors.map(error => `- ${error}`).join('\n')}`;
+  },
+
+  labels: {
+    participant: 'tandem participant',
+    emailSubject: 'Your feedback on the tandem conversation',
+    greeting: name => `Hi ${name},`,
+    intro: 'here is your personal feedback on your last tandem conversation.',
+    messageTitle: name => `Your tandem feedback, ${name}`,
+    reportTitle: name => `Tandem feedback for ${name}`,
+    overallAssessment: 'Overall assessment',
+    estimatedLevel: 'Estimated level',
+    level: 'Level',
+    scores: 'Scores',
+    grammar: 'Grammar',
+    vocabulary: 'Vocabulary',
+    fluency: 'Fluency',
+    strengths: 'Strengths',
+    corrections: 'Corrections',
+    before: 'Before',
+    after: 'After',
+    vocabularyTips: 'Vocabulary tips',
+    improvements: 'Suggestions for improvement',
+    resources: 'Recommended resources',
+    partnerSupport: 'Support for your tandem partner',
+    nextSteps: 'Next steps',
+    reportLink: 'Your detailed report',
+    closing: 'Good luck with your next tandem!',
+    telegramLinkSubject: 'Get your tandem feedback on Telegram',
+    telegramLinkDeepLink: url => `Open ${url} to connect your Telegram account.`,
+    telegramLinkCommand: code => `Send "/start ${code}" to our Telegram bot to connect your account.`,
+    telegramLinkValidity: (code, expiresAt) => `The code ${code} is valid until ${expiresAt} and can only be used once.`
+  },
+
+  mockFeedback: {
+    overallAssessment: 'Mock feedback - OpenAI API key not configured',
+    participants: {
+      'Sample participant': {
+        level: 'B1',
+        strengths: ['Good pronunciation', 'Active participation'],
+        grammar: { score: 7, feedback: 'Please configure the API key', examples: [] },
+        vocabulary: { score: 7, feedback: 'Please configure the API key', suggestions: [] },
+        fluency: { score: 7, feedback: 'Please configure the API key' },
+        improvements: ['Set OPENAI_API_KEY in .env'],
+        resources: ['Redeploy the application']
+      }
+    },
+    conversationQuality: { score: 5, feedback: 'API not configured' },
+    nextSteps: ['Set up the OpenAI API key']
+  }
+};
@@ -0,0 +1,209 @@
+// Spanish language pack ("Español")
+
+module.exports = {
+  code: 'es',
+  name: 'Español',
+  whisperLanguage: 'es',
+  topicKeywords: ['español', 'espanol', 'spanish', 'spanisch', 'espagnol'],
+  detection: {
+    stopwords: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'no', 'por', 'con', 'para', 'pero', 'muy', 'yo', 'tú', 'mi', 'me', 'se', 'lo', 'le', 'está', 'estoy', 'son', 'como', 'qué', 'sí', 'bueno', 'también', 'porque', 'hay', 'tengo', 'hace', 'vale', 'pues', 'cuando', 'donde', 'eso', 'esto', 'del', 'al', 'tienes', 'eres', 'fue', 'era'],
+    characters: /[ñ¿¡áíóú]/g
+  },
+
+  systemPrompt: `Eres un profesor de español y coach lingüístico con mucha experiencia, especializado en dar feedback constructivo a estudiantes de español en conversaciones tándem. Tu tarea es dar un feedback personalizado, motivador y práctico que ayude a los estudiantes a mejorar su español.
+
+Analiza la transcripción de una conversación tándem y evalúa a cada participante en estas áreas:
+
+1. **Gramática y estructura de las frases**:
+   - Corrección gramatical (tiempos verbales, subjuntivo, ser/estar, concordancia)
+   - Estructura y complejidad de las frases
+   - Errores frecuentes y patrones
+
+2. **Vocabulario y expresión**:
+   - Variedad y adecuación del vocabulario
+   - Expresiones idiomáticas y modismos
+   - Vocabulario específico del tema
+   - Muletillas e inicios de frase
+
+3. **Competencia comunicativa**:
+   - Fluidez y naturalidad
+   - Gestión de la conversación e interacción
+   - Claridad y comprensibilidad
+   - Capacidad de expresar ideas complejas
+
+4. **Puntos fuertes y aspectos a mejorar**:
+   - ¿Qué hace especialmente bien el estudiante?
+   - Sugerencias concretas de mejora con ejemplos
+   - Ejercicios o recursos para debilidades específicas
+
+IMPORTANTE:
+- Sé constructivo y alentador
+- Da ejemplos concretos de la transcripción
+- Ofrece consejos prácticos de mejora
+- Ten en cuenta el nivel del estudiante
+- Celebra los progresos y los buenos usos
+
+Formatea tu respuesta como un objeto JSON puro (SIN Markdown, sin \`\`\`json) con los siguientes campos:
+
+{
+  "overallAssessment": "Valoración general de la conversación (2-3 frases)",
+  "participants": {
+    "Nombre del participante": {
+      "level": "Nivel de idioma estimado (A1-C2)",
+      "strengths": ["Punto fuerte 1", "Punto fuerte 2", "Punto fuerte 3"],
+      "grammar": {
+        "score": 1-10,
+        "feedback": "Feedback detallado sobre la gramática",
+        "examples": ["Ejemplo de la transcripción con corrección"]
+      },
+      "vocabulary": {
+        "score": 1-10,
+        "feedback": "Feedback sobre el vocabulario",
+        "suggestions": ["Palabra/expresión alternativa"]
+      },
+      "fluency": {
+        "score": 1-10,
+        "feedback": "Feedback sobre la fluidez"
+      },
+      "improvements": ["Consejo concreto 1", "Consejo concreto 2"],
+      "resources": ["Ejercicio o recurso recomendado"]
+    }
+  },
+  "conversationQuality": {
+    "score": 1-10,
+    "feedback": "Valoración de la calidad general de la conversación"
+  },
+  "nextSteps": ["Ejercicio o tema común para el próximo tándem"]
+}
+
+Responde SOLO con el objeto JSON, sin texto adicional ni formato Markdown.`,
+
+  buildUserPrompt({ participantNames, speakers, transcript }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nHablantes en la transcripción: ${speakers.join(', ')} (cada línea tiene el formato "[MM:SS] Hablante: texto")\n`
+      : '';
+
+    return `Analiza esta conversación tándem en español con los siguientes participantes: ${participantNames}
+${speakerInfo}
+Transcripción:
+${transcript}
+
+Da tu feedback en el formato JSON indicado. Sé constructivo, alentador y concreto, con ejemplos de la transcripción.`;
+  },
+
+  chunkSystemPrompt: `Eres un profesor de español con mucha experiencia. Recibes un fragmento de una conversación tándem más larga. NO evalúes todavía; recoge observaciones sobre cada hablante. Más adelante se combinarán con los demás fragmentos en un feedback de toda la sesión.
+
+Responde SOLO con un objeto JSON (sin Markdown) con este formato:
+
+{
+  "participants": {
+    "Nombre del hablante": {
+      "level": "Nivel estimado en este fragmento (A1-C2)",
+      "strengths": ["Lo que la persona hace bien"],
+      "grammarExamples": ["[MM:SS] Cita literal → corrección"],
+      "grammarNotes": ["Patrón de error recurrente"],
+      "vocabularyNotes": ["Observación sobre el vocabulario"],
+      "vocabularySuggestions": ["Expresión → alternativa mejor"],
+      "fluencyNotes": ["Observación sobre la fluidez y la naturalidad"],
+      "interactionNotes": ["Gestión de la conversación y apoyo al compañero"]
+    }
+  },
+  "conversationNotes": ["Observación sobre la conversación en general"]
+}
+
+Cita los ejemplos literalmente y con su marca de tiempo de la transcripción. Deja las listas vacías si no hay nada que observar.`,
+
+  buildChunkUserPrompt({ participantNames, speakers, transcript, part, total }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nHablantes en la transcripción: ${speakers.join(', ')} (cada línea tiene el formato "[MM:SS] Hablante: texto")\n`
+      : '';
+
+    return `Fragmento ${part} de ${total} de una conversación tándem en español con los siguientes participantes: ${participantNames}
+${speakerInfo}
+Transcripción:
+${transcript}
+
+Recoge tus observaciones en el formato JSON indicado.`;
+  },
+
+  buildObservationsUserPrompt({ participantNames, observations, total }) {
+    return `Esta conversación tándem en español con los siguientes participantes era demasiado larga para un solo análisis: ${participantNames}. Se analizó en ${total} fragmentos; estas son las observaciones recogidas por hablante (intervalos de tiempo entre corchetes, en orden cronológico):
+
+${observations}
+
+Conviértelas en el feedback de toda la conversación en el formato JSON indicado. Da el mismo peso a todas las partes de la sesión y elige ejemplos del principio, del medio y del final de la conversación (con marca de tiempo).`;
+  },
+
+  whisperPrompt(speakerHints) {
+    return `Esta es una conversación tándem en español con los participantes: ${speakerHints}.`;
+  },
+
+  tandemInstructions({ learners, natives }) {
+    const lines = [
+      'MODO TÁNDEM:',
+      '- La transcripción solo contiene las partes en español de un tándem bilingüe.',
+      `- Evalúa ÚNICAMENTE a estos estudiantes de español: ${learners.join(', ')}. Solo ellos van en "participants".`
+    ];
+    if (natives.length > 0) {
+      lines.push(
+        `- ${natives.join(', ')} tienen el español como lengua materna. No evalúes su español; valora en el campo "partnerSupport" lo bien que han apoyado a sus compañeros (paciencia, ritmo y vocabulario adaptados, correcciones útiles, dejar espacio para hablar).`,
+        '',
+        'Añade al objeto JSON:',
+        '"partnerSupport": { "Nombre": { "score": 1-10, "feedback": "Lo bien que la persona ha apoyado a su compañero" } }'
+      );
+    }
+    return lines.join('\n');
+  },
+
+  repairPrompt(errors) {
+    return `Tu respuesta no cumple el formato JSON requerido. Corrige estos errores y responde de nuevo SOLO con el objeto JSON completo:\n${errors.map(error => `- ${error}`).join('\n')}`;
+  },
+
+  labels: {
+    participant: 'participante del tándem',
+    emailSubject: 'Tu feedback sobre la conversación de tándem',
+    greeting: name => `Hola ${name}:`,
+    intro: 'aquí tienes tu feedback personal sobre tu última conversación de tándem.',
+    messageTitle: name => `Tu feedback de tándem, ${name}`,
+    reportTitle: name => `Feedback de tándem para ${name}`,
+    overallAssessment: 'Valoración general',
+    estimatedLevel: 'Nivel estimado',
+    level: 'Nivel',
+    scores: 'Puntuación',
+    grammar: 'Gramática',
+    vocabulary: 'Vocabulario',
+    fluency: 'Fluidez',
+    strengths: 'Puntos fuertes',
+    corrections: 'Correcciones',
+    before: 'Antes',
+    after: 'Después',
+    vocabularyTips: 'Consejos de vocabulario',
+    improvements: 'Sugerencias de mejora',
+    resources: 'Recursos recomendados',
+    partnerSupport: 'Apoyo a tu compañero de tándem',
+    nextSteps: 'Próximos pasos',
+    reportLink: 'Tu informe detallado',
+    closing: '¡Mucho éxito en tu próximo tándem!',
+    telegramLinkSubject: 'Recibe tu feedback del tándem por Telegram',
+    telegramLinkDeepLink: url => `Abre ${url} para conectar tu cuenta de Telegram.`,
+    telegramLinkCommand: code => `Envía "/start ${code}" a nuestro bot de Telegram para conectar tu cuenta.`,
+    telegramLinkValidity: (code, expiresAt) => `El código ${code} es válido hasta ${expiresAt} y solo se puede usar una vez.`
+  },
+
+  mockFeedback: {
+    overallAssessment: 'Feedback de prueba - clave de la API de OpenAI no configurada',
+    participants: {
+      'Participante de ejemplo': {
+        level: 'B1',
+        strengths: ['Buena pronunciación', 'Participación activa'],
+        grammar: { score: 7, feedback: 'Configura la clave de la API', examples: [] },
+        vocabulary: { score: 7, feedback: 'Configura la clave de la API', suggestions: [] },
+        fluency: { score: 7, feedback: 'Configura la clave de la API' },
+        improvements: ['Definir OPENAI_API_KEY en .env'],
+        resources: ['Volver a desplegar la aplicación']
+      }
+    },
+    conversationQuality: { score: 5, feedback: 'API no configurada' },
+    nextSteps: ['Configurar la clave de la API de OpenAI']
+  }
+};
@@ -0,0 +1,209 @@
+// French language pack ("Français")
+
+module.exports = {
+  code: 'fr',
+  name: 'Français',
+  whisperLanguage: 'fr',
+  topicKeywords: ['français', 'francais', 'french', 'französisch', 'franzosisch', 'francés', 'frances'],
+  detection: {
+    stopwords: ['le', 'la', 'les', 'de', 'des', 'et', 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'est', 'suis', 'pas', 'ne', 'que', 'qui', 'un', 'une', 'pour', 'avec', 'dans', 'sur', 'mais', 'très', 'oui', 'non', "c'est", 'ça', "j'ai", 'aussi', 'bien', 'alors', 'parce', 'quoi', 'comme', 'mon', 'ton', 'au', 'du', 'on', 'était', 'fait', "qu'est-ce", 'tout', 'peu'],
+    characters: /[çœèêàâîôûëï]/g
+  },
+
+  systemPrompt: `Tu es un professeur de français et coach linguistique expérimenté, spécialisé dans le feedback constructif pour les apprenants de français en conversation tandem. Ta mission est de donner un feedback personnalisé, motivant et pratique qui aide les apprenants à progresser en français.
+
+Analyse la transcription d'une conversation tandem et évalue chaque participant dans ces domaines :
+
+1. **Grammaire et structure des phrases** :
+   - Correction grammaticale (temps, accords, subjonctif, pronoms)
+   - Structure et complexité des phrases
+   - Erreurs fréquentes et schémas récurrents
+
+2. **Vocabulaire et expression** :
+   - Richesse et justesse du vocabulaire
+   - Expressions idiomatiques et tournures
+   - Vocabulaire spécifique au sujet
+   - Mots de remplissage et débuts de phrase
+
+3. **Compétence communicative** :
+   - Fluidité et naturel
+   - Conduite de la conversation et interaction
+   - Clarté et intelligibilité
+   - Capacité à exprimer des idées complexes
+
+4. **Points forts et axes d'amélioration** :
+   - Qu'est-ce que l'apprenant fait particulièrement bien ?
+   - Suggestions concrètes d'amélioration avec exemples
+   - Exercices ou ressources pour des faiblesses précises
+
+IMPORTANT :
+- Sois constructif et encourageant
+- Donne des exemples concrets tirés de la transcription
+- Propose des conseils pratiques
+- Tiens compte du niveau de l'apprenant
+- Valorise les progrès et les bonnes formulations
+
+Formate ta réponse comme un objet JSON pur (PAS de Markdown, pas de \`\`\`json) avec les champs suivants :
+
+{
+  "overallAssessment": "Évaluation globale de la conversation (2-3 phrases)",
+  "participants": {
+    "Nom du participant": {
+      "level": "Niveau de langue estimé (A1-C2)",
+      "strengths": ["Point fort 1", "Point fort 2", "Point fort 3"],
+      "grammar": {
+        "score": 1-10,
+        "feedback": "Feedback détaillé sur la grammaire",
+        "examples": ["Exemple de la transcription avec correction"]
+      },
+      "vocabulary": {
+        "score": 1-10,
+        "feedback": "Feedback sur le vocabulaire",
+        "suggestions": ["Mot/expression alternative"]
+      },
+      "fluency": {
+        "score": 1-10,
+        "feedback": "Feedback sur la fluidité"
+      },
+      "improvements": ["Conseil concret 1", "Conseil concret 2"],
+      "resources": ["Exercice ou ressource recommandée"]
+    }
+  },
+  "conversationQuality": {
+    "score": 1-10,
+    "feedback": "Évaluation de la qualité globale de la conversation"
+  },
+  "nextSteps": ["Exercice ou sujet commun pour le prochain tandem"]
+}
+
+Réponds UNIQUEMENT avec l'objet JSON, sans texte supplémentaire ni mise en forme Markdown.`,
+
+  buildUserPrompt({ participantNames, speakers, transcript }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nIntervenants dans la transcription : ${speakers.join(', ')} (chaque ligne a le format "[MM:SS] Intervenant : texte")\n`
+      : '';
+
+    return `Analyse cette conversation tandem en français avec les participants suivants : ${participantNames}
+${speakerInfo}
+Transcription :
+${transcript}
+
+Donne ton feedback au format JSON indiqué. Sois constructif, encourageant et précis, avec des exemples tirés de la transcription.`;
+  },
+
+  chunkSystemPrompt: `Tu es un professeur de français expérimenté. Tu reçois un extrait d'une conversation tandem plus longue. N'évalue PAS encore ; recueille plutôt des observations sur chaque intervenant. Elles seront ensuite combinées avec les autres extraits en un feedback pour toute la session.
+
+Réponds UNIQUEMENT avec un objet JSON (sans Markdown) dans ce format :
+
+{
+  "participants": {
+    "Nom de l'intervenant": {
+      "level": "Niveau estimé dans cet extrait (A1-C2)",
+      "strengths": ["Ce que la personne fait bien"],
+      "grammarExamples": ["[MM:SS] Citation exacte → correction"],
+      "grammarNotes": ["Type d'erreur récurrent"],
+      "vocabularyNotes": ["Observation sur le vocabulaire"],
+      "vocabularySuggestions": ["Expression → meilleure alternative"],
+      "fluencyNotes": ["Observation sur la fluidité et le naturel"],
+      "interactionNotes": ["Gestion de la conversation et soutien du partenaire"]
+    }
+  },
+  "conversationNotes": ["Observation sur la conversation dans son ensemble"]
+}
+
+Cite les exemples mot pour mot avec leur horodatage tiré de la transcription. Laisse les listes vides s'il n'y a rien à observer.`,
+
+  buildChunkUserPrompt({ participantNames, speakers, transcript, part, total }) {
+    const speakerInfo = speakers.length > 0
+      ? `\nIntervenants dans la transcription : ${speakers.join(', ')} (chaque ligne a le format "[MM:SS] Intervenant : texte")\n`
+      : '';
+
+    return `Extrait ${part} sur ${total} d'une conversation tandem en français avec les participants suivants : ${participantNames}
+${speakerInfo}
+Transcription :
+${transcript}
+
+Recueille tes observations au format JSON indiqué.`;
+  },
+
+  buildObservationsUserPrompt({ participantNames, observations, total }) {
+    return `Cette conversation tandem en français avec les participants suivants était trop longue pour une seule analyse : ${participantNames}. Elle a été analysée en ${total} extraits ; voici les observations recueillies par intervenant (plages horaires entre crochets, dans l'ordre chronologique) :
+
+${observations}
+
+Transforme-les en feedback pour toute la conversation au format JSON indiqué. Accorde le même poids à toutes les parties de la session et choisis des exemples du début, du milieu et de la fin de la conversation (avec horodatage).`;
+  },
+
+  whisperPrompt(speakerHints) {
+    return `Ceci est une conversation tandem en français avec les participants : ${speakerHints}.`;
+  },
+
+  tandemInstructions({ learners, natives }) {
+    const lines = [
+      'MODE TANDEM :',
+      "- La transcription ne contient que les passages en français d'un tandem bilingue.",
+      `- Évalue UNIQUEMENT ces apprenants de français : ${learners.join(', ')}. Eux seuls figurent dans "participants".`
+    ];
+    if (natives.length > 0) {
+      lines.push(
+        `- ${natives.join(', ')} ont le français comme langue maternelle. N'évalue pas leur français, mais juge dans le champ "partnerSupport" à quel point ils ont soutenu leurs partenaires (patience, rythme et vocabulaire adaptés, corrections utiles, laisser la parole).`,
+        '',
+        "Ajoute à l'objet JSON :",
+        '"partnerSupport": { "Nom": { "score": 1-10, "feedback": "À quel point la personne a soutenu son partenaire" } }'
+      );
+    }
+    return lines.join('\n');
+  },
+
+  repairPrompt(errors) {
+    return `Ta réponse ne respecte pas le format JSON demandé. Corrige ces erreurs et réponds à nouveau UNIQUEMENT avec l'objet JSON complet :\n${errors.map(error => `- ${error}`).join('\n')}`;
+  },
+
+  labels: {
+    participant: 'participant du tandem',
+    emailSubject: 'Ton feedback sur la conversation en tandem',
+    greeting: name => `Bonjour ${name},`,
+    intro: 'voici ton feedback personnel sur ta dernière conversation en tandem.',
+    messageTitle: name => `Ton feedback de tandem, ${name}`,
+    reportTitle: name => `Feedback de tandem pour ${name}`,
+    overallAssessment: 'Évaluation globale',
+    estimatedLevel: 'Niveau estimé',
+    level: 'Niveau',
+    scores: 'Notes',
+    grammar: 'Grammaire',
+    vocabulary: 'Vocabulaire',
+    fluency: 'Aisance',
+    strengths: 'Points forts',
+    corrections: 'Corrections',
+    before: 'Avant',
+    after: 'Après',
+    vocabularyTips: 'Conseils de vocabulaire',
+    improvements: "Pistes d'amélioration",
+    resources: 'Ressources recommandées',
+    partnerSupport: 'Soutien à ton partenaire de tandem',
+    nextSteps: 'Prochaines étapes',
+    reportLink: 'Ton rapport détaillé',
+    closing: 'Bonne chance pour ton prochain tandem !',
+    telegramLinkSubject: 'Reçois ton feedback de tandem sur Telegram',
+    telegramLinkDeepLink: url => `Ouvre ${url} pour connecter ton compte Telegram.`,
+    telegramLinkCommand: code => `Envoie « /start ${code} » à notre bot Telegram pour connecter ton compte.`,
+    telegramLinkValidity: (code, expiresAt) => `Le code ${code} est valable jusqu'au ${expiresAt} et ne peut être utilisé qu'une seule fois.`
+  },
+
+  mockFeedback: {
+    overallAssessment: 'Feedback fictif - clé API OpenAI non configurée',
+    participants: {
+      'Participant exemple': {
+        level: 'B1',
+        strengths: ['Bonne prononciation', 'Participation active'],
+        grammar: { score: 7, feedback: 'Veuillez configurer la clé API', examples: [] },
+        vocabulary: { score: 7, feedback: 'Veuillez configurer la clé API', suggestions: [] },
+        fluency: { score: 7, feedback: 'Veuillez configurer la clé API' },
+        improvements: ['Définir OPENAI_API_KEY dans .env'],
+        resources: ["Redéployer l'application"]
+      }
+    },
+    conversationQuality: { score: 5, feedback: 'API non configurée' },
+    nextSteps: ['Configurer la clé API OpenAI']
+  }
+};
@@ -0,0 +1,109 @@
+// =============================================================================
+// LANGUAGE PACKS
+// =============================================================================
+//
+// Each pack holds everything that depends on the tandem's target language: the
+// feedback prompts, the Whisper language hint, the mock feedback and the
+// labels of the emails, Telegram messages and reports learners receive.
+// The pack for a meeting is chosen from MEETING_LANGUAGE_MAP, then from
+// keywords in the meeting topic, then DEFAULT_LANGUAGE.
+
+const packs = {
+  de: require('./de'),
+  en: require('./en'),
+  es: require('./es'),
+  fr: require('./fr')
+};
+
+function getDefaultLanguageCode() {
+  const code = (process.env.DEFAULT_LANGUAGE || 'de').toLowerCase();
+  if (!packs[code]) {
+    console.warn(`Unknown DEFAULT_LANGUAGE "${code}", falling back to de`);
+    return 'de';
+  }
+  return code;
+}
+
+/**
+ * Get a language pack by code, falling back to the default language
+ */
+function getLanguagePack(code) {
+  return packs[String(code || '').toLowerCase()] || packs[getDefaultLanguageCode()];
+}
+
+/**
+ * Pack a learner's feedback is written in: the section's target language in
+ * tandem mode, otherwise the language of the whole feedback
+ */
+function getFeedbackLanguagePack(feedback, section = null) {
+  return getLanguagePack(section?.targetLanguage || feedback?.language);
+}
+
+function listLanguageCodes() {
+  return Object.keys(packs);
+}
+
+/**
+ * Parse MEETING_LANGUAGE_MAP ("83912345678=es,84011112222=fr"; keys are Zoom
+ * meeting IDs or meeting UUIDs)
+ */
+function getMeetingLanguageMap() {
+  const map = new Map();
+
+  for (const entry of (process.env.MEETING_LANGUAGE_MAP || '').split(',')) {
+    const separator = entry.lastIndexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+    const key = entry.substring(0, separator).replace(/\s/g, '');
+    const code = entry.substring(separator + 1).trim().toLowerCase();
+    if (packs[code]) {
+      map.set(key, code);
+    } else {
+      console.warn(`Ignoring MEETING_LANGUAGE_MAP entry for ${key}: unknown language "${code}"`);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Language named in the topic ("Deutsch-Tandem", "Spanish conversation"); the
+ * earliest keyword wins, so "German-English tandem" is a German session
+ */
+function detectLanguageFromTopic(topic) {
+  const text = String(topic || '').toLowerCase();
+  let best = null;
+
+  for (const pack of Object.values(packs)) {
+    for (const keyword of pack.topicKeywords) {
+      const index = text.indexOf(keyword);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { code: pack.code, index };
+      }
+    }
+  }
+
+  return best ? best.code : null;
+}
+
+/**
+ * Pick the language pack for a meeting ({ uuid, meetingId, topic })
+ */
+function resolveMeetingLanguage(meeting) {
+  const map = getMeetingLanguageMap();
+  const mapped = [meeting?.meetingId, meeting?.uuid]
+    .filter(Boolean)
+    .map(key => map.get(String(key).replace(/\s/g, '')))
+    .find(Boolean);
+
+  return getLanguagePack(mapped || detectLanguageFromTopic(meeting?.topic) || getDefaultLanguageCode());
+}
+
+module.exports = {
+  getLanguagePack,
+  getFeedbackLanguagePack,
+  listLanguageCodes,
+  detectLanguageFromTopic,
+  resolveMeetingLanguage
+};
@@ -0,0 +1,229 @@
+// =============================================================================
+// LEARNER REGISTRY
+// =============================================================================
+//
+// Zoom display names ("Anna M. (iPhone)"), VTT speaker labels ("Anna") and
+// the keys the model uses in feedback.participants rarely agree. The registry
+// keeps one canonical identity per learner with their email, the names they
+// have appeared under and their Zoom user IDs. Participants that join with an
+// email are registered automatically; admins add aliases to fix mismatches,
+// and those are used for every later session. A display name alone never
+// links someone to a learner - that would send one person's feedback to
+// another person's inbox.
+
+const { getStorage } = require('./storage');
+const { normalizeName, matchParticipantKey } = require('./recipients');
+const { learnerIdFor } = require('./progress');
+
+/**
+ * Create or update a learner's canonical name and email
+ */
+async function registerLearner(learnerId, { name, email }) {
+  const storage = await getStorage();
+  await storage.saveLearner({ learnerId, name, email });
+  return storage.getLearner(learnerId);
+}
+
+async function getLearner(learnerId) {
+  const storage = await getStorage();
+  return storage.getLearner(learnerId);
+}
+
+async function listLearners() {
+  const storage = await getStorage();
+  return storage.listLearners();
+}
+
+/**
+ * Assign display names and Zoom user IDs to a learner. Aliases that belonged
+ * to another learner are moved, so an admin correction always wins.
+ */
+async function addLearnerAliases(learnerId, { names = [], zoomUserIds = [] }) {
+  const storage = await getStorage();
+
+  for (const name of names) {
+    if (normalizeName(name)) {
+      await storage.saveLearnerAlias({ kind: 'name', value: normalizeName(name), learnerId, label: name, source: 'admin' }, { replace: true });
+    }
+  }
+  for (const zoomUserId of zoomUserIds) {
+    await storage.saveLearnerAlias({ kind: 'zoom_user_id', value: String(zoomUserId), learnerId, label: String(zoomUserId), source: 'admin' }, { replace: true });
+  }
+
+  console.log(`🪪 Added ${names.length} name(s) and ${zoomUserIds.length} Zoom user ID(s) to learner ${learnerId}`);
+  return storage.getLearner(learnerId);
+}
+
+/**
+ * Remove a display name or Zoom user ID from a learner. Returns the number of
+ * aliases removed.
+ */
+async function removeLearnerAlias(learnerId, alias) {
+  const storage = await getStorage();
+  return await storage.deleteLearnerAlias(learnerId, 'name', normalizeName(alias)) +
+    await storage.deleteLearnerAlias(learnerId, 'zoom_user_id', String(alias));
+}
+
+/**
+ * Remember who joined a meeting. Participants with an email are registered
+ * (id as in learner progress) and their Zoom user ID becomes an alias unless
+ * it already belongs to someone else. Display names are not remembered:
+ * "iPhone" or "Anna" would stick to whoever used them first.
+ */
+async function rememberParticipant({ name, email, zoomUserId }) {
+  if (!email) {
+    return null;
+  }
+
+  const storage = await getStorage();
+  let learner = await storage.getLearnerByEmail(email);
+  if (!learner) {
+    const learnerId = learnerIdFor({ email });
+    await storage.saveLearner({ learnerId, name, email });
+    learner = await storage.getLearner(learnerId);
+    console.log(`🪪 Registered learner ${learnerId} (${name})`);
+  }
+
+  if (zoomUserId) {
+    await storage.saveLearnerAlias({ kind: 'zoom_user_id', value: String(zoomUserId), learnerId: learner.learnerId, label: name, source: 'zoom' });
+  }
+  return learner;
+}
+
+/**
+ * Names a registered learner is known by
+ */
+function learnerNames(learner) {
+  return [learner.name, ...learner.aliases.map(alias => alias.name)].filter(Boolean);
+}
+
+/**
+ * Resolve a display name, speaker label or feedback key to a registered
+ * learner: registered alias, canonical name, then (with `fuzzy`) the same
+ * loose rules used to match feedback sections. Returns { learner, match }
+ * or null when nobody or more than one learner matches.
+ */
+async function resolveName(name, { fuzzy = true, learners = null } = {}) {
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return null;
+  }
+
+  const storage = await getStorage();
+  const alias = await storage.findLearnerAlias('name', normalized);
+  if (alias) {
+    return { learner: await storage.getLearner(alias.learnerId), match: 'alias' };
+  }
+
+  learners = learners || await storage.listLearners();
+  const named = learners.filter(learner => normalizeName(learner.name) === normalized);
+  if (named.length === 1) {
+    return { learner: named[0], match: 'name' };
+  }
+  if (named.length > 1 || !fuzzy) {
+    return null;
+  }
+
+  const candidates = learners.filter(learner =>
+    matchParticipantKey({ name: learner.name, email: learner.email, aliases: learnerNames(learner) }, [name]).key
+  );
+  return candidates.length === 1 ? { learner: candidates[0], match: 'fuzzy' } : null;
+}
+
+/**
+ * Registered learner of a meeting participant by Zoom user ID, email or a
+ * name alias an admin assigned. A matching display name alone is not enough:
+ * the result decides where feedback is sent.
+ */
+async function resolveLearner(participant) {
+  const storage = await getStorage();
+
+  if (participant.zoomUserId) {
+    const alias = await storage.findLearnerAlias('zoom_user_id', String(participant.zoomUserId));
+    if (alias) {
+      return { learner: await storage.getLearner(alias.learnerId), match: 'zoom_user_id' };
+    }
+  }
+  if (participant.email) {
+    const learner = await storage.getLearnerByEmail(participant.email);
+    if (learner) {
+      return { learner, match: 'email' };
+    }
+  }
+  if (normalizeName(participant.name)) {
+    const alias = await storage.findLearnerAlias('name', normalizeName(participant.name));
+    if (alias && alias.source === 'admin') {
+      return { learner: await storage.getLearner(alias.learnerId), match: 'alias' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Attach registry data to meeting participants: `learnerId`, the learner's
+ * other names as `aliases` (used when matching speakers and feedback keys)
+ * and their email when Zoom did not provide one. Participants resolving to
+ * the same learner (e.g. phone and laptop) are merged.
+ */
+async function resolveParticipants(participants) {
+  const resolved = [];
+
+  for (const participant of participants) {
+    const result = await resolveLearner(participant);
+    if (!result) {
+      resolved.push(participant);
+      continue;
+    }
+
+    const { learner, match } = result;
+    const existing = resolved.find(other => other.learnerId === learner.learnerId);
+    if (existing) {
+      existing.aliases = [...new Set([...existing.aliases, participant.name].filter(name => name && name !== existing.name))];
+      continue;
+    }
+
+    if (match !== 'email') {
+      console.log(`🪪 ${participant.name} is learner ${learner.learnerId} (matched by ${match})`);
+    }
+    resolved.push({
+      ...participant,
+      learnerId: learner.learnerId,
+      email: participant.email || learner.email,
+      aliases: learnerNames(learner).filter(name => name !== participant.name)
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve transcript speakers or feedback keys for the admin API:
+ * [{ name, learnerId, learnerName, match }] with nulls for unresolved names
+ */
+async function describeNames(names) {
+  const storage = await getStorage();
+  const learners = await storage.listLearners();
+
+  return Promise.all(names.map(async (name) => {
+    const result = await resolveName(name, { learners });
+    return {
+      name,
+      learnerId: result?.learner.learnerId || null,
+      learnerName: result?.learner.name || null,
+      match: result?.match || null
+    };
+  }));
+}
+
+module.exports = {
+  registerLearner,
+  getLearner,
+  listLearners,
+  addLearnerAliases,
+  removeLearnerAlias,
+  rememberParticipant,
+  resolveName,
+  resolveLearner,
+  resolveParticipants,
+  describeNames
+};
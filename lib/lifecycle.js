@@ -0,0 +1,111 @@
+// =============================================================================
+// MEETING LIFECYCLE
+// =============================================================================
+//
+// Each meeting moves through scheduled -> live -> ended -> recording_ready ->
+// transcript_ready -> feedback_sent, driven by meeting.started/ended/deleted
+// and by the processing pipeline. When a meeting ends, a delayed job checks
+// that its transcript arrived and raises an alert if it did not.
+
+const { getStorage } = require('./storage');
+const { isEmailConfigured, sendAlertEmail } = require('./email');
+
+/**
+ * Lifecycle states in order. A meeting only moves forward, except that a
+ * deleted meeting is always marked `deleted`.
+ */
+const MEETING_STATES = ['scheduled', 'live', 'ended', 'recording_ready', 'transcript_ready', 'feedback_sent'];
+
+/**
+ * Minutes after meeting.ended before a missing transcript is reported
+ * (override with MISSING_TRANSCRIPT_ALERT_MINUTES)
+ */
+const DEFAULT_TRANSCRIPT_ALERT_MINUTES = 120;
+
+function transcriptAlertMinutes() {
+  const minutes = parseFloat(process.env.MISSING_TRANSCRIPT_ALERT_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_TRANSCRIPT_ALERT_MINUTES;
+}
+
+/**
+ * Move a meeting to `state` (unless it is already further along) and record
+ * the given timestamps. Returns the updated meeting.
+ */
+async function advanceMeetingState(meetingUuid, state, { startedAt, endedAt, deletedAt } = {}) {
+  const storage = await getStorage();
+  const meeting = await storage.getMeeting(meetingUuid);
+  if (!meeting) {
+    return null;
+  }
+
+  const forward = state === 'deleted' ||
+    (meeting.state !== 'deleted' && MEETING_STATES.indexOf(state) > MEETING_STATES.indexOf(meeting.state));
+
+  await storage.updateMeetingLifecycle(meetingUuid, { state: forward ? state : null, startedAt, endedAt, deletedAt });
+  if (forward) {
+    console.log(`🔄 Meeting ${meetingUuid}: ${meeting.state} -> ${state}`);
+  }
+  return storage.getMeeting(meetingUuid);
+}
+
+/**
+ * Store an alert for operators, log it and email it to ALERT_EMAIL if set.
+ * With `once`, a meeting gets at most one alert of this type, e.g. when a
+ * failing job is retried. Returns the alert id.
+ */
+async function raiseMeetingAlert(meetingUuid, type, message, { once = false } = {}) {
+  const storage = await getStorage();
+  if (once) {
+    const existing = (await storage.listMeetingAlerts({ meetingUuid })).find(alert => alert.type === type);
+    if (existing) {
+      console.warn(`🚨 ${type} for meeting ${meetingUuid} (already reported): ${message}`);
+      return existing.id;
+    }
+  }
+
+  const id = await storage.saveMeetingAlert({ meetingUuid, type, message });
+  console.warn(`🚨 ${type} for meeting ${meetingUuid}: ${message}`);
+
+  if (process.env.ALERT_EMAIL && isEmailConfigured()) {
+    try {
+      await sendAlertEmail(`${type}: ${meetingUuid}`, message);
+    } catch (error) {
+      console.error('Failed to email alert:', error.message);
+    }
+  }
+  return id;
+}
+
+/**
+ * Job handler run MISSING_TRANSCRIPT_ALERT_MINUTES after a meeting ended:
+ * raise a missing_transcript alert unless a transcript has been saved
+ */
+async function checkTranscriptArrived(meetingUuid) {
+  const storage = await getStorage();
+  const [meeting, transcript] = await Promise.all([storage.getMeeting(meetingUuid), storage.getTranscript(meetingUuid)]);
+
+  if (!meeting || meeting.state === 'deleted' || transcript) {
+    return { alerted: false, state: meeting?.state || null };
+  }
+
+  const alertId = await raiseMeetingAlert(
+    meetingUuid,
+    'missing_transcript',
+    `"${meeting.topic || meeting.meetingId}" ended at ${meeting.endedAt} but no transcript arrived within ${transcriptAlertMinutes()} minutes (state: ${meeting.state}). Check that cloud recording and audio transcripts are enabled, then reprocess the meeting.`
+  );
+  return { alerted: true, alertId, state: meeting.state };
+}
+
+async function listMeetingAlerts(filters) {
+  const storage = await getStorage();
+  return storage.listMeetingAlerts(filters);
+}
+
+module.exports = {
+  MEETING_STATES,
+  transcriptAlertMinutes,
+  advanceMeetingState,
+  raiseMeetingAlert,
+  checkTranscriptArrived,
+  listMeetingAlerts
+};
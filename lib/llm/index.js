@@ -0,0 +1,143 @@
+// =============================================================================
+// LLM PROVIDERS
+// =============================================================================
+//
+// Chat completions (feedback) and audio transcription go through a chain of
+// providers instead of calling OpenAI directly. LLM_PROVIDERS and
+// TRANSCRIPTION_PROVIDERS list them in order of preference; unconfigured
+// providers are skipped and when one fails the next one is tried. With only
+// the `local` provider the whole pipeline runs offline.
+
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+let providers = null;
+
+/**
+ * Create (once) every known provider from the environment
+ */
+function getProviders() {
+  if (!providers) {
+    const timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10);
+
+    providers = {
+      openai: createOpenAIProvider({ timeoutMs }),
+      local: createOpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: process.env.LOCAL_LLM_BASE_URL,
+        transcriptionBaseUrl: process.env.LOCAL_TRANSCRIPTION_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        chatModel: process.env.LOCAL_LLM_MODEL || 'default',
+        transcriptionModel: process.env.LOCAL_TRANSCRIPTION_MODEL || 'whisper-1',
+        timeoutMs
+      })
+    };
+  }
+  return providers;
+}
+
+function parseProviderList(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Configured providers for `capability` ('chat' or 'transcription'), in order
+ */
+function getProviderChain(capability) {
+  const all = getProviders();
+  const chatNames = parseProviderList(process.env.LLM_PROVIDERS || 'openai');
+  const names = capability === 'transcription' && process.env.TRANSCRIPTION_PROVIDERS
+    ? parseProviderList(process.env.TRANSCRIPTION_PROVIDERS)
+    : chatNames;
+
+  return names
+    .filter(name => {
+      if (!all[name]) {
+        console.warn(`Unknown LLM provider "${name}" (supported: ${Object.keys(all).join(', ')})`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => all[name])
+    .filter(provider => capability === 'transcription' ? provider.isTranscriptionConfigured() : provider.isChatConfigured());
+}
+
+function describeError(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+/**
+ * Call `fn(provider, index)` with each provider of the chain until one succeeds
+ */
+async function runWithFallback(capability, fn) {
+  const chain = getProviderChain(capability);
+  if (chain.length === 0) {
+    throw new Error(`No ${capability} provider configured`);
+  }
+
+  const failures = [];
+  for (const [index, provider] of chain.entries()) {
+    try {
+      return await fn(provider, index);
+    } catch (error) {
+      console.error(`❌ ${capability} provider "${provider.name}" failed:`, describeError(error));
+      failures.push(`${provider.name}: ${describeError(error)}`);
+    }
+  }
+  throw new Error(`All ${capability} providers failed (${failures.join('; ')})`);
+}
+
+/**
+ * Check whether at least one chat provider is configured
+ */
+function isChatConfigured() {
+  return getProviderChain('chat').length > 0;
+}
+
+/**
+ * Check whether at least one transcription provider is configured
+ */
+function isTranscriptionConfigured() {
+  return getProviderChain('transcription').length > 0;
+}
+
+/**
+ * Run a chat completion. `model` overrides the configured model of the first
+ * provider only: model names are provider-specific, so fallbacks use their own.
+ * Returns { content, model, provider }.
+ */
+async function createChatCompletion({ messages, temperature = 0.7, maxTokens = 3000, jsonMode = false, model = null }) {
+  return runWithFallback('chat', async (provider, index) => {
+    const result = await provider.chat({ messages, temperature, maxTokens, jsonMode, model: index === 0 ? model : null });
+    return { ...result, provider: provider.name };
+  });
+}
+
+/**
+ * Transcribe one audio file. Returns the verbose_json response
+ * ({ text, segments }) plus the name of the provider that produced it.
+ */
+async function transcribeAudio(audioBuffer, { filename, contentType, language, prompt }) {
+  return runWithFallback('transcription', async (provider) => {
+    const data = await provider.transcribe(audioBuffer, { filename, contentType, language, prompt });
+    return { ...data, provider: provider.name };
+  });
+}
+
+/**
+ * Names of the configured providers, for logging
+ */
+function describeProviders(capability) {
+  return getProviderChain(capability).map(provider => provider.name).join(' -> ') || 'none';
+}
+
+module.exports = {
+  isChatConfigured,
+  isTranscriptionConfigured,
+  createChatCompletion,
+  transcribeAudio,
+  describeProviders
+};
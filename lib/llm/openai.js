@@ -0,0 +1,66 @@
+// =============================================================================
+// OPENAI PROVIDER
+// =============================================================================
+//
+// Chat goes through the official SDK, transcription through the shared
+// OpenAI-compatible HTTP client. OPENAI_BASE_URL redirects both, e.g. to a
+// proxy or Azure-style gateway.
+
+const OpenAI = require('openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Check whether a real OpenAI API key is set (not the .env.example placeholder)
+ */
+function hasApiKey() {
+  return !!process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here';
+}
+
+function createOpenAIProvider({ timeoutMs } = {}) {
+  const baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+  const chatModel = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  const http = createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl,
+    apiKey: process.env.OPENAI_API_KEY,
+    chatModel,
+    transcriptionModel: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    timeoutMs
+  });
+
+  let client = null;
+
+  return {
+    name: 'openai',
+
+    isChatConfigured: hasApiKey,
+
+    isTranscriptionConfigured: hasApiKey,
+
+    async chat({ messages, temperature, maxTokens, jsonMode, model }) {
+      if (!client) {
+        client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, baseURL: baseUrl, timeout: timeoutMs });
+      }
+
+      const response = await client.chat.completions.create({
+        model: model || chatModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+      return {
+        content: response.choices[0].message.content || '',
+        model: response.model || model || chatModel
+      };
+    },
+
+    transcribe: http.transcribe
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,82 @@
+// =============================================================================
+// OPENAI-COMPATIBLE HTTP PROVIDER
+// =============================================================================
+//
+// Speaks the OpenAI REST format (/chat/completions, /audio/transcriptions)
+// over plain HTTP, so any compatible server can be used: a local inference
+// server (llama.cpp, Ollama, vLLM, faster-whisper-server, ...) or a stub in
+// tests.
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+function trimBaseUrl(url) {
+  return url ? url.replace(/\/+$/, '') : url;
+}
+
+/**
+ * Create a provider for the server at `baseUrl`. `transcriptionBaseUrl`
+ * defaults to `baseUrl`; leave both unset to mark the provider unconfigured.
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, transcriptionBaseUrl, apiKey, chatModel, transcriptionModel, timeoutMs }) {
+  const chatUrl = trimBaseUrl(baseUrl);
+  const transcriptionUrl = trimBaseUrl(transcriptionBaseUrl || baseUrl);
+  const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+
+  return {
+    name,
+
+    isChatConfigured() {
+      return !!chatUrl;
+    },
+
+    isTranscriptionConfigured() {
+      return !!transcriptionUrl;
+    },
+
+    /**
+     * Run a chat completion and return { content, model }
+     */
+    async chat({ messages, temperature, maxTokens, jsonMode, model }) {
+      const body = { model: model || chatModel, messages, temperature, max_tokens: maxTokens };
+      if (jsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const response = await axios.post(`${chatUrl}/chat/completions`, body, { headers, timeout: timeoutMs });
+      return {
+        content: response.data.choices?.[0]?.message?.content || '',
+        model: response.data.model || body.model
+      };
+    },
+
+    /**
+     * Transcribe one audio file and return the verbose_json response
+     * ({ text, segments: [{ start, end, text }] })
+     */
+    async transcribe(audioBuffer, { filename, contentType, language, prompt }) {
+      const form = new FormData();
+      form.append('file', Buffer.from(audioBuffer), { filename, contentType });
+      form.append('model', transcriptionModel);
+      if (language) {
+        form.append('language', language);
+      }
+      form.append('response_format', 'verbose_json'); // Get timestamps and confidence
+      if (prompt) {
+        form.append('prompt', prompt);
+      }
+
+      const response = await axios.post(`${transcriptionUrl}/audio/transcriptions`, form, {
+        headers: { ...headers, ...form.getHeaders() },
+        timeout: timeoutMs,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
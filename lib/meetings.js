@@ -0,0 +1,163 @@
+// =============================================================================
+// MEETING OVERVIEW (admin API)
+// =============================================================================
+//
+// Read-only views over what the webhook handlers stored for each meeting:
+// participants and their attendance, recording files, the parsed transcript,
+// generated feedback, alerts and the jobs that processed them, condensed into
+// one processing status.
+
+const { getStorage } = require('./storage');
+const { getMeetingAttendance } = require('./attendance');
+
+/**
+ * Look up a meeting by UUID, or by numeric Zoom meeting ID (latest occurrence)
+ */
+async function resolveMeeting(meetingId) {
+  const storage = await getStorage();
+  return await storage.getMeeting(meetingId) || await storage.getLatestMeetingByMeetingId(meetingId);
+}
+
+function countBy(items, field) {
+  return items.reduce((counts, item) => {
+    counts[item[field]] = (counts[item[field]] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Condense what is stored for a meeting into one processing state: failed,
+ * processing, deleted, delivered, feedback_generated, transcribed,
+ * recording_received, ended, in_progress or scheduled. Only the most recently
+ * finished job counts as a failure, so a dead job stops mattering once a
+ * later job (e.g. a reprocess) succeeds.
+ */
+function deriveState({ meeting, participantCount, recordingFileCount, hasTranscript, hasFeedback, delivered, pendingJobCount, latestJobStatus }) {
+  let state = 'scheduled';
+  if (participantCount > 0 || meeting.state === 'live') {
+    state = 'in_progress';
+  }
+  if (meeting.endedAt) {
+    state = 'ended';
+  }
+  if (recordingFileCount > 0) {
+    state = 'recording_received';
+  }
+  if (hasTranscript) {
+    state = 'transcribed';
+  }
+  if (hasFeedback) {
+    state = delivered ? 'delivered' : 'feedback_generated';
+  }
+  if (meeting.state === 'deleted') {
+    state = 'deleted';
+  }
+  if (pendingJobCount > 0) {
+    state = 'processing';
+  } else if (latestJobStatus === 'dead') {
+    state = 'failed';
+  }
+  return state;
+}
+
+/**
+ * The job that finished last (jobs of a meeting run one at a time)
+ */
+function latestFinishedJob(jobs) {
+  return jobs
+    .filter(job => job.finishedAt)
+    .reduce((latest, job) => !latest || job.finishedAt > latest.finishedAt || (job.finishedAt === latest.finishedAt && job.id > latest.id) ? job : latest, null);
+}
+
+/**
+ * Processing status of a meeting from its full stored artefacts
+ */
+function deriveProcessingStatus({ meeting, participants, recordingFiles, transcript, feedback, jobs }) {
+  const latestFeedback = feedback[0] || null;
+  const deliveries = latestFeedback?.deliveries || [];
+
+  const state = deriveState({
+    meeting,
+    participantCount: participants.length,
+    recordingFileCount: recordingFiles.length,
+    hasTranscript: !!transcript,
+    hasFeedback: !!latestFeedback,
+    delivered: deliveries.some(delivery => delivery.status === 'sent'),
+    pendingJobCount: jobs.filter(job => job.status === 'queued' || job.status === 'running').length,
+    latestJobStatus: latestFinishedJob(jobs)?.status || null
+  });
+
+  return {
+    state,
+    transcriptSource: transcript?.source || null,
+    transcribedAt: transcript?.createdAt || null,
+    feedbackGeneratedAt: latestFeedback?.createdAt || null,
+    deliveries: countBy(deliveries, 'status'),
+    jobs: countBy(jobs, 'status'),
+    lastError: [...jobs].reverse().find(job => job.lastError)?.lastError || null
+  };
+}
+
+/**
+ * Everything stored for one meeting. Returns null for an unknown meeting.
+ */
+async function getMeetingDetails(meetingId) {
+  const meeting = await resolveMeeting(meetingId);
+  if (!meeting) {
+    return null;
+  }
+
+  const storage = await getStorage();
+  const [participants, attendance, recordingFiles, transcript, feedback, jobs, events, alerts] = await Promise.all([
+    storage.listAllParticipants(meeting.uuid),
+    getMeetingAttendance(meeting.uuid),
+    storage.listRecordingFiles(meeting.uuid),
+    storage.getTranscript(meeting.uuid),
+    storage.listFeedback(meeting.uuid),
+    storage.listJobsByGroup(meeting.uuid),
+    storage.listProcessedEvents({ meetingUuid: meeting.uuid, limit: 500 }),
+    storage.listMeetingAlerts({ meetingUuid: meeting.uuid })
+  ]);
+
+  return {
+    meeting,
+    participants,
+    attendance,
+    recordingFiles,
+    transcript,
+    feedback,
+    jobs,
+    events,
+    alerts,
+    status: deriveProcessingStatus({ meeting, participants, recordingFiles, transcript, feedback, jobs })
+  };
+}
+
+/**
+ * Meetings matching the filters, each with its processing status (from the
+ * counts listMeetings selects, without loading transcripts or feedback)
+ */
+async function listMeetingSummaries(filters) {
+  const storage = await getStorage();
+  const meetings = await storage.listMeetings(filters);
+
+  return meetings.map(({ feedbackDelivered, pendingJobCount, latestJobStatus, ...meeting }) => ({
+    ...meeting,
+    status: deriveState({
+      meeting,
+      participantCount: meeting.participantCount,
+      recordingFileCount: meeting.recordingFileCount,
+      hasTranscript: meeting.hasTranscript,
+      hasFeedback: meeting.feedbackCount > 0,
+      delivered: feedbackDelivered,
+      pendingJobCount,
+      latestJobStatus
+    })
+  }));
+}
+
+module.exports = {
+  resolveMeeting,
+  getMeetingDetails,
+  listMeetingSummaries
+};
@@ -0,0 +1,189 @@
+// =============================================================================
+// LEARNER PROGRESS
+// =============================================================================
+
+const { getStorage } = require('./storage');
+const { normalizeName, buildRecipientFeedback } = require('./recipients');
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+const SCORE_AREAS = ['grammar', 'vocabulary', 'fluency'];
+
+/**
+ * Minimum word overlap for two free-text strengths/improvements to count as the same theme
+ */
+const THEME_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Stable learner id: the registry id when the participant was resolved to a
+ * registered learner, else the email, otherwise the normalized name
+ */
+function learnerIdFor(participant) {
+  if (participant.learnerId) {
+    return participant.learnerId;
+  }
+  if (participant.email) {
+    return participant.email.trim().toLowerCase();
+  }
+  return `name:${normalizeName(participant.name).replace(/\s+/g, '-')}`;
+}
+
+function toScore(value) {
+  const score = Number(value);
+  return Number.isFinite(score) ? score : null;
+}
+
+/**
+ * Extract the first CEFR level from strings like "B1+" or "ca. B2"
+ */
+function toLevel(value) {
+  const match = String(value || '').toUpperCase().match(/\b([ABC][12])/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Store every matched participant's level and scores for this session
+ */
+async function recordLearnerProgress(meetingUuid, feedback, participants, sessionDate) {
+  const storage = await getStorage();
+  const { recipients } = buildRecipientFeedback(feedback, participants);
+  let recorded = 0;
+
+  for (const { participant, feedback: view } of recipients) {
+    const section = view.participant || {};
+
+    // Native speakers in a tandem only get a partner-support note, not a grade
+    if (!section.level && !SCORE_AREAS.some(area => section[area])) {
+      continue;
+    }
+
+    recorded++;
+    await storage.saveLearnerSession({
+      learnerId: learnerIdFor(participant),
+      name: participant.name,
+      email: participant.email || null,
+      meetingUuid,
+      sessionDate: sessionDate || new Date().toISOString(),
+      level: toLevel(section.level),
+      scores: {
+        grammar: toScore(section.grammar?.score),
+        vocabulary: toScore(section.vocabulary?.score),
+        fluency: toScore(section.fluency?.score)
+      },
+      strengths: section.strengths || [],
+      improvements: section.improvements || []
+    });
+  }
+
+  console.log(`📈 Recorded progress for ${recorded} learner(s) in meeting ${meetingUuid}`);
+  return recorded;
+}
+
+function themeWords(text) {
+  return new Set(normalizeName(text).split(' ').filter(word => word.length >= 4));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group similar free-text items across sessions and return the themes
+ * that came up in at least two sessions, most frequent first
+ */
+function findRecurringThemes(sessions, field) {
+  const themes = [];
+
+  sessions.forEach((session, sessionIndex) => {
+    for (const item of session[field] || []) {
+      const words = themeWords(item);
+      const existing = themes.find(theme => similarity(theme.words, words) >= THEME_SIMILARITY_THRESHOLD);
+
+      if (existing) {
+        existing.sessions.add(sessionIndex);
+      } else {
+        themes.push({ text: item, words, sessions: new Set([sessionIndex]) });
+      }
+    }
+  });
+
+  return themes
+    .filter(theme => theme.sessions.size >= 2)
+    .sort((a, b) => b.sessions.size - a.sessions.size)
+    .map(theme => ({
+      text: theme.text,
+      sessions: theme.sessions.size,
+      lastSeen: sessions[Math.max(...theme.sessions)].sessionDate
+    }));
+}
+
+/**
+ * Difference between the last two sessions (null with fewer than two sessions)
+ */
+function changeSinceLastSession(sessions) {
+  if (sessions.length < 2) {
+    return null;
+  }
+
+  const previous = sessions[sessions.length - 2];
+  const latest = sessions[sessions.length - 1];
+  const change = { from: previous.sessionDate, to: latest.sessionDate, scores: {} };
+
+  for (const area of SCORE_AREAS) {
+    const before = previous.scores[area];
+    const after = latest.scores[area];
+    change.scores[area] = before !== null && after !== null ? after - before : null;
+  }
+
+  const levelSteps = previous.level && latest.level
+    ? CEFR_LEVELS.indexOf(latest.level) - CEFR_LEVELS.indexOf(previous.level)
+    : null;
+  change.level = { from: previous.level, to: latest.level, steps: levelSteps };
+
+  return change;
+}
+
+/**
+ * Build the progress report for one learner (null if we have never seen them)
+ */
+async function getLearnerProgress(learnerId) {
+  const storage = await getStorage();
+  const sessions = await storage.listLearnerSessions(learnerId);
+
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  const latest = sessions[sessions.length - 1];
+
+  return {
+    learnerId,
+    name: latest.name,
+    email: latest.email,
+    sessionCount: sessions.length,
+    currentLevel: latest.level,
+    timeline: sessions.map(session => ({
+      meetingUuid: session.meetingUuid,
+      date: session.sessionDate,
+      level: session.level,
+      scores: session.scores
+    })),
+    recurringStrengths: findRecurringThemes(sessions, 'strengths'),
+    recurringWeaknesses: findRecurringThemes(sessions, 'improvements'),
+    changeSinceLastSession: changeSinceLastSession(sessions)
+  };
+}
+
+module.exports = {
+  learnerIdFor,
+  recordLearnerProgress,
+  getLearnerProgress
+};
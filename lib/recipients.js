@@ -0,0 +1,160 @@
+// =============================================================================
+// PER-RECIPIENT FEEDBACK VIEWS
+// =============================================================================
+
+/**
+ * Shared (non-personal) fields every recipient may see
+ */
+const SHARED_FIELDS = ['overallAssessment', 'conversationQuality', 'nextSteps'];
+
+/**
+ * Normalize a display name for comparison:
+ * "Anna M. (iPhone)" -> "anna m", "Jürgen" -> "jurgen"
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Minimum nameSimilarity for the fuzzy matcher: "Jurgen" vs "Juergen" (0.86)
+ * matches, "Anna" vs "Hanna" (0.8) does not
+ */
+const FUZZY_NAME_THRESHOLD = 0.85;
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two display names between 0 and 1, based on the edit
+ * distance of their normalized forms
+ */
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (x.length === 0 || y.length === 0) {
+    return 0;
+  }
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+}
+
+/**
+ * Names a participant is known by: their display name plus any aliases
+ * from the learner registry
+ */
+function participantNames(participant) {
+  return [participant.name, ...(participant.aliases || [])].filter(Boolean);
+}
+
+/**
+ * Matching strategies, from strictest to loosest. Each returns true if the
+ * feedback key plausibly refers to the participant.
+ */
+const MATCHERS = [
+  (participant, key) => participantNames(participant).includes(key),
+  (participant, key) => participantNames(participant).some(name => normalizeName(key) === normalizeName(name)),
+  (participant, key) => {
+    // "Anna" vs "Anna Müller": one name is a word-prefix of the other
+    const a = normalizeName(key);
+    return participantNames(participant).some(name => {
+      const b = normalizeName(name);
+      return a.length > 0 && b.length > 0 && (b.startsWith(`${a} `) || a.startsWith(`${b} `));
+    });
+  },
+  (participant, key) => {
+    // Key equals the local part of the participant's email ("anna.mueller")
+    const local = participant.email ? normalizeName(participant.email.split('@')[0]) : '';
+    return local.length > 0 && normalizeName(key) === local;
+  },
+  (participant, key) => participantNames(participant).some(name => nameSimilarity(key, name) >= FUZZY_NAME_THRESHOLD)
+];
+
+/**
+ * Find the feedback.participants key that belongs to a participant.
+ * Returns { key } on a unique match or { key: null, reason } otherwise.
+ */
+function matchParticipantKey(participant, keys) {
+  for (const matcher of MATCHERS) {
+    const candidates = keys.filter(key => matcher(participant, key));
+
+    if (candidates.length === 1) {
+      return { key: candidates[0] };
+    }
+    if (candidates.length > 1) {
+      return { key: null, reason: `Ambiguous match: ${candidates.join(', ')}` };
+    }
+  }
+
+  return { key: null, reason: 'No matching section in feedback' };
+}
+
+/**
+ * Split generated feedback into one view per participant containing only
+ * their own section plus the shared fields. Participants that cannot be
+ * matched unambiguously are returned in `unmatched` instead.
+ */
+function buildRecipientFeedback(feedback, participants) {
+  const sections = feedback?.participants || {};
+  const keys = Object.keys(sections);
+
+  const matches = participants.map(participant => ({
+    participant,
+    ...matchParticipantKey(participant, keys)
+  }));
+
+  // A section may only ever be sent to one participant
+  const claims = new Map();
+  for (const match of matches) {
+    if (match.key) {
+      claims.set(match.key, (claims.get(match.key) || 0) + 1);
+    }
+  }
+
+  const recipients = [];
+  const unmatched = [];
+
+  for (const match of matches) {
+    if (!match.key) {
+      unmatched.push({ participant: match.participant, reason: match.reason });
+    } else if (claims.get(match.key) > 1) {
+      unmatched.push({ participant: match.participant, reason: `Section "${match.key}" matches several participants` });
+    } else {
+      const view = { participantKey: match.key, participant: sections[match.key] };
+      for (const field of SHARED_FIELDS) {
+        if (feedback[field] !== undefined) {
+          view[field] = feedback[field];
+        }
+      }
+      recipients.push({ participant: match.participant, key: match.key, feedback: view });
+    }
+  }
+
+  const claimedKeys = new Set(recipients.map(r => r.key));
+  const unclaimed = keys.filter(key => !claimedKeys.has(key));
+
+  return { recipients, unmatched, unclaimed };
+}
+
+module.exports = {
+  FUZZY_NAME_THRESHOLD,
+  normalizeName,
+  nameSimilarity,
+  participantNames,
+  matchParticipantKey,
+  buildRecipientFeedback
+};
@@ -0,0 +1,456 @@
+// =============================================================================
+// FEEDBACK REPORTS (HTML + PDF)
+// =============================================================================
+//
+// A polished per-participant report of a meeting's stored feedback: CEFR
+// level badge, score chart for grammar, vocabulary and fluency, corrected
+// sentences as before/after pairs and recommended resources. The HTML is
+// built from template strings like the emails; the PDF is drawn locally with
+// pdfkit, so no browser or external rendering service is needed. Learners
+// open their own report through a signed link from the feedback email.
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { getStorage } = require('./storage');
+const { buildRecipientFeedback, normalizeName } = require('./recipients');
+const { resolveParticipants } = require('./learners');
+const { escapeHtml } = require('./email');
+const { resolveMeeting } = require('./meetings');
+const { getLanguagePack, getFeedbackLanguagePack } = require('./languagePacks');
+
+/**
+ * Scored areas shown in the chart, in display order (also the label keys)
+ */
+const SCORE_AREAS = ['grammar', 'vocabulary', 'fluency'];
+
+const LEVEL_COLORS = {
+  A1: '#d35400', A2: '#e67e22',
+  B1: '#2980b9', B2: '#1f618d',
+  C1: '#27ae60', C2: '#1e8449'
+};
+
+/**
+ * Separators the model uses between a mistake and its correction
+ */
+const CORRECTION_SEPARATOR = /\s*(?:→|->|=>|⇒)\s*/;
+
+function scoreColor(score) {
+  if (score >= 7) {
+    return '#27ae60';
+  }
+  return score >= 5 ? '#f39c12' : '#c0392b';
+}
+
+function stripQuotes(text) {
+  return text.replace(/^["'„“”‚‘»«]+|["'“”‘’»«]+$/g, '').trim();
+}
+
+/**
+ * Split "[12:30] ich habe gegeht → ich bin gegangen" into
+ * { time: '12:30', before, after }. `after` is null when there is no correction.
+ */
+function splitCorrection(example) {
+  const text = String(example || '').trim();
+  const time = (text.match(/^\[(\d+:\d{2}(?::\d{2})?)\]/) || [])[1] || null;
+  const body = text.replace(/^\[\d+:\d{2}(?::\d{2})?\]\s*/, '');
+  const [before, ...rest] = body.split(CORRECTION_SEPARATOR);
+
+  return rest.length > 0
+    ? { time, before: stripQuotes(before), after: stripQuotes(rest.join(' → ')) }
+    : { time, before: stripQuotes(body), after: null };
+}
+
+/**
+ * Load the latest feedback of a meeting (UUID or numeric meeting ID) and pick
+ * the section of one participant (email or name). Returns the report data,
+ * or { error } when the meeting, its feedback or the section is missing.
+ */
+async function loadReport(meetingId, participantId) {
+  const storage = await getStorage();
+  const meeting = await resolveMeeting(meetingId);
+  const meetingUuid = meeting?.uuid || meetingId;
+
+  const stored = await storage.getLatestFeedback(meetingUuid);
+  if (!stored) {
+    return { error: 'No feedback for this meeting' };
+  }
+
+  const wanted = String(participantId).trim();
+  const participants = await storage.listAllParticipants(meetingUuid);
+  const [participant] = await resolveParticipants([
+    participants.find(p => p.email && p.email.toLowerCase() === wanted.toLowerCase()) ||
+    participants.find(p => normalizeName(p.name) === normalizeName(wanted)) ||
+    { name: wanted, email: wanted.includes('@') ? wanted : null }
+  ]);
+
+  const { recipients, unmatched } = buildRecipientFeedback(stored.feedback, [participant]);
+  if (recipients.length === 0) {
+    return { error: unmatched[0]?.reason || 'No feedback section for this participant' };
+  }
+
+  const [{ key, feedback }] = recipients;
+  return {
+    meeting: meeting || { uuid: meetingUuid },
+    participant,
+    participantKey: key,
+    section: feedback.participant,
+    feedback,
+    language: getFeedbackLanguagePack(stored.feedback, feedback.participant).code,
+    generatedAt: stored.createdAt
+  };
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Labels in the language the participant's feedback is written in
+ */
+function reportLabels(report) {
+  return getLanguagePack(report.language).labels;
+}
+
+function reportTitle(report) {
+  return reportLabels(report).reportTitle(report.participant.name || report.participantKey);
+}
+
+function reportSubtitle(report) {
+  return [report.meeting.topic, formatDate(report.meeting.startTime || report.generatedAt)].filter(Boolean).join(' · ');
+}
+
+function htmlList(items) {
+  return items && items.length > 0 ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+}
+
+/**
+ * Horizontal bar chart (inline SVG) of the scored areas
+ */
+function renderScoreChart(section, labels) {
+  const areas = SCORE_AREAS.filter(field => typeof section?.[field]?.score === 'number');
+  if (areas.length === 0) {
+    return '';
+  }
+
+  const rowHeight = 34;
+  const bars = areas.map((field, index) => {
+    const score = Math.max(0, Math.min(10, section[field].score));
+    const y = index * rowHeight;
+    return `
+    <text x="0" y="${y + 20}" font-size="14">${escapeHtml(labels[field])}</text>
+    <rect x="110" y="${y + 6}" width="300" height="20" rx="4" fill="#ecf0f1"/>
+    <rect x="110" y="${y + 6}" width="${score * 30}" height="20" rx="4" fill="${scoreColor(score)}"/>
+    <text x="420" y="${y + 21}" font-size="14" font-weight="bold">${escapeHtml(section[field].score)}/10</text>`;
+  }).join('');
+
+  return `<svg class="chart" width="470" height="${areas.length * rowHeight}" viewBox="0 0 470 ${areas.length * rowHeight}" role="img" aria-label="${escapeHtml(labels.scores)}">${bars}
+  </svg>`;
+}
+
+function renderCorrections(examples, labels) {
+  const rows = (examples || []).map(splitCorrection).map(({ time, before, after }) => `
+      <tr>
+        <td class="time">${time ? escapeHtml(time) : ''}</td>
+        <td${after ? ' class="before"' : ''}>${escapeHtml(before)}</td>
+        <td class="after">${after ? escapeHtml(after) : ''}</td>
+      </tr>`).join('');
+
+  return rows
+    ? `<table class="corrections"><thead><tr><th></th><th>${escapeHtml(labels.before)}</th><th>${escapeHtml(labels.after)}</th></tr></thead><tbody>${rows}</tbody></table>`
+    : '';
+}
+
+/**
+ * Render a report as a standalone HTML page
+ */
+function renderReportHtml(report) {
+  const { section, feedback } = report;
+  const labels = reportLabels(report);
+  const title = reportTitle(report);
+  const subtitle = reportSubtitle(report);
+  const level = section?.level;
+  const chart = renderScoreChart(section, labels);
+
+  const areaNotes = SCORE_AREAS
+    .filter(field => section?.[field]?.feedback)
+    .map(field => `<p><strong>${escapeHtml(labels[field])}:</strong> ${escapeHtml(section[field].feedback)}</p>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${report.language}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 760px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+  header { display: flex; justify-content: space-between; align-items: center; border-bottom: 2px solid #ecf0f1; padding-bottom: 12px; }
+  h1 { font-size: 24px; margin: 0; }
+  h2 { font-size: 18px; margin-top: 28px; color: #2c3e50; }
+  .subtitle { color: #7f8c8d; margin: 4px 0 0; }
+  .badge { display: inline-block; min-width: 56px; padding: 10px 14px; border-radius: 12px; color: #fff; font-size: 22px; font-weight: bold; text-align: center; }
+  .badge small { display: block; font-size: 11px; font-weight: normal; }
+  .corrections { border-collapse: collapse; width: 100%; }
+  .corrections th { text-align: left; color: #7f8c8d; font-weight: normal; padding: 4px 8px; }
+  .corrections td { padding: 6px 8px; border-top: 1px solid #ecf0f1; vertical-align: top; }
+  .corrections .time { color: #7f8c8d; white-space: nowrap; }
+  .corrections .before { color: #c0392b; text-decoration: line-through; }
+  .corrections .after { color: #1e8449; font-weight: bold; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(title)}</h1>
+      ${subtitle ? `<p class="subtitle">${escapeHtml(subtitle)}</p>` : ''}
+    </div>
+    ${level ? `<div class="badge" style="background:${LEVEL_COLORS[level] || '#7f8c8d'};"><small>${escapeHtml(labels.level)}</small>${escapeHtml(level)}</div>` : ''}
+  </header>
+  ${feedback.overallAssessment ? `<h2>${escapeHtml(labels.overallAssessment)}</h2><p>${escapeHtml(feedback.overallAssessment)}</p>` : ''}
+  ${chart ? `<h2>${escapeHtml(labels.scores)}</h2>${chart}${areaNotes}` : ''}
+  ${section?.strengths?.length ? `<h2>${escapeHtml(labels.strengths)}</h2>${htmlList(section.strengths)}` : ''}
+  ${section?.grammar?.examples?.length ? `<h2>${escapeHtml(labels.corrections)}</h2>${renderCorrections(section.grammar.examples, labels)}` : ''}
+  ${section?.vocabulary?.suggestions?.length ? `<h2>${escapeHtml(labels.vocabularyTips)}</h2>${htmlList(section.vocabulary.suggestions)}` : ''}
+  ${section?.improvements?.length ? `<h2>${escapeHtml(labels.improvements)}</h2>${htmlList(section.improvements)}` : ''}
+  ${section?.resources?.length ? `<h2>${escapeHtml(labels.resources)}</h2>${htmlList(section.resources)}` : ''}
+  ${section?.partnerSupport ? `<h2>${escapeHtml(labels.partnerSupport)}</h2><p><strong>${escapeHtml(section.partnerSupport.score ?? '-')}/10</strong> ${escapeHtml(section.partnerSupport.feedback || '')}</p>` : ''}
+  ${feedback.nextSteps?.length ? `<h2>${escapeHtml(labels.nextSteps)}</h2>${htmlList(feedback.nextSteps)}` : ''}
+</body>
+</html>`;
+}
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+const PDF_MARGIN = 50;
+
+function pdfHeading(doc, text) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor('#2c3e50').text(text).moveDown(0.3);
+  doc.font('Helvetica').fontSize(11).fillColor('#222222');
+}
+
+function pdfList(doc, items) {
+  doc.font('Helvetica').fontSize(11).fillColor('#222222').list(items.map(String), { bulletRadius: 2, textIndent: 12 });
+}
+
+/**
+ * Start a new page when fewer than `height` points are left
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PDF_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawPdfScoreChart(doc, section, labels) {
+  const areas = SCORE_AREAS.filter(field => typeof section?.[field]?.score === 'number');
+  ensureSpace(doc, areas.length * 26);
+
+  const x = PDF_MARGIN;
+  for (const field of areas) {
+    const score = Math.max(0, Math.min(10, section[field].score));
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(11).fillColor('#222222').text(labels[field], x, y + 3, { width: 100, lineBreak: false });
+    doc.roundedRect(x + 110, y, 300, 16, 3).fill('#ecf0f1');
+    if (score > 0) {
+      doc.roundedRect(x + 110, y, score * 30, 16, 3).fill(scoreColor(score));
+    }
+    doc.font('Helvetica-Bold').fillColor('#222222').text(`${section[field].score}/10`, x + 420, y + 3, { lineBreak: false });
+    doc.x = x;
+    doc.y = y + 26;
+  }
+
+  for (const field of SCORE_AREAS) {
+    if (section?.[field]?.feedback) {
+      doc.moveDown(0.3).font('Helvetica-Bold').fontSize(11).text(`${labels[field]}: `, { continued: true })
+        .font('Helvetica').text(section[field].feedback);
+    }
+  }
+}
+
+function drawPdfCorrections(doc, examples, labels) {
+  const width = doc.page.width - 2 * PDF_MARGIN;
+  for (const { time, before, after } of examples.map(splitCorrection)) {
+    ensureSpace(doc, 40);
+    if (time) {
+      doc.font('Helvetica').fontSize(9).fillColor('#7f8c8d').text(time, { width });
+    }
+    doc.font('Helvetica').fontSize(11).fillColor('#c0392b').text(`${labels.before}: ${before}`, { width, strike: !!after });
+    if (after) {
+      doc.font('Helvetica-Bold').fillColor('#1e8449').text(`${labels.after}: ${after}`, { width });
+    }
+    doc.moveDown(0.4);
+  }
+  doc.fillColor('#222222');
+}
+
+/**
+ * Render a report as a PDF. Resolves with the PDF as a Buffer.
+ */
+function renderReportPdf(report) {
+  const { section, feedback } = report;
+  const labels = reportLabels(report);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, info: { Title: reportTitle(report) } });
+    const buffers = [];
+    doc.on('data', buffer => buffers.push(buffer));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    // Header with the CEFR badge on the right
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#222222').text(reportTitle(report), PDF_MARGIN, top, { width: 400 });
+    const subtitle = reportSubtitle(report);
+    if (subtitle) {
+      doc.font('Helvetica').fontSize(11).fillColor('#7f8c8d').text(subtitle, { width: 400 });
+    }
+    const headerBottom = doc.y;
+    if (section?.level) {
+      const badgeX = doc.page.width - PDF_MARGIN - 70;
+      doc.roundedRect(badgeX, top, 70, 48, 8).fill(LEVEL_COLORS[section.level] || '#7f8c8d');
+      doc.fillColor('#ffffff').font('Helvetica').fontSize(9).text(labels.level, badgeX, top + 6, { width: 70, align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(20).text(section.level, badgeX, top + 19, { width: 70, align: 'center' });
+    }
+    doc.x = PDF_MARGIN;
+    doc.y = Math.max(headerBottom, top + 48);
+    doc.fillColor('#222222');
+
+    if (feedback.overallAssessment) {
+      pdfHeading(doc, labels.overallAssessment);
+      doc.text(feedback.overallAssessment);
+    }
+    if (SCORE_AREAS.some(field => typeof section?.[field]?.score === 'number')) {
+      pdfHeading(doc, labels.scores);
+      drawPdfScoreChart(doc, section, labels);
+    }
+    if (section?.strengths?.length) {
+      pdfHeading(doc, labels.strengths);
+      pdfList(doc, section.strengths);
+    }
+    if (section?.grammar?.examples?.length) {
+      pdfHeading(doc, labels.corrections);
+      drawPdfCorrections(doc, section.grammar.examples, labels);
+    }
+    if (section?.vocabulary?.suggestions?.length) {
+      pdfHeading(doc, labels.vocabularyTips);
+      pdfList(doc, section.vocabulary.suggestions);
+    }
+    if (section?.improvements?.length) {
+      pdfHeading(doc, labels.improvements);
+      pdfList(doc, section.improvements);
+    }
+    if (section?.resources?.length) {
+      pdfHeading(doc, labels.resources);
+      pdfList(doc, section.resources);
+    }
+    if (section?.partnerSupport) {
+      pdfHeading(doc, labels.partnerSupport);
+      doc.font('Helvetica-Bold').text(`${section.partnerSupport.score ?? '-'}/10 `, { continued: true })
+        .font('Helvetica').text(section.partnerSupport.feedback || '');
+    }
+    if (feedback.nextSteps?.length) {
+      pdfHeading(doc, labels.nextSteps);
+      pdfList(doc, feedback.nextSteps);
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * File name for a downloaded report ("tandem-feedback-anna-muller-2024-01-15.pdf").
+ * With `ascii`, letters outside a-z are dropped ("Иван" -> "participant").
+ */
+function reportFileName(report, { ascii = false } = {}) {
+  let slug = normalizeName(report.participant.name || report.participantKey).replace(/\s+/g, '-');
+  if (ascii) {
+    slug = slug.replace(/[^a-z0-9-]+/g, '').replace(/-{2,}/g, '-').replace(/^-|-$/g, '');
+  }
+  const date = formatDate(report.meeting.startTime || report.generatedAt);
+  return `tandem-feedback-${slug || 'participant'}${date ? `-${date}` : ''}.pdf`;
+}
+
+/**
+ * Content-Disposition for the PDF download: an ASCII file name for old
+ * clients plus the UTF-8 one (RFC 6266), as headers must not carry raw UTF-8
+ */
+function reportContentDisposition(report) {
+  return `attachment; filename="${reportFileName(report, { ascii: true })}"; filename*=UTF-8''${encodeURIComponent(reportFileName(report))}`;
+}
+
+// =============================================================================
+// SIGNED LINKS
+// =============================================================================
+
+function getReportLinkSecret() {
+  return process.env.REPORT_LINK_SECRET || null;
+}
+
+function signReportPayload(payload) {
+  return crypto.createHmac('sha256', getReportLinkSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Token for one participant's report of one meeting, valid for
+ * REPORT_LINK_TTL_DAYS (default 90)
+ */
+function createReportToken(meetingUuid, participantId) {
+  const ttlDays = parseInt(process.env.REPORT_LINK_TTL_DAYS || '90', 10);
+  const payload = Buffer.from(JSON.stringify({
+    m: meetingUuid,
+    p: participantId,
+    exp: Date.now() + ttlDays * 24 * 60 * 60 * 1000
+  })).toString('base64url');
+  return `${payload}.${signReportPayload(payload)}`;
+}
+
+/**
+ * Check a report token. Returns { meetingUuid, participantId } or { error }.
+ */
+function verifyReportToken(token) {
+  if (!getReportLinkSecret()) {
+    return { error: 'Report links are disabled' };
+  }
+
+  const [payload, signature] = String(token || '').split('.');
+  const expected = payload ? signReportPayload(payload) : '';
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'Invalid report link' };
+  }
+
+  const { m, p, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (!(exp > Date.now())) {
+    return { error: 'This report link has expired' };
+  }
+  return { meetingUuid: m, participantId: p };
+}
+
+/**
+ * Public report URL for a participant (email, otherwise name), or null
+ * without PUBLIC_BASE_URL and REPORT_LINK_SECRET
+ */
+function createReportLink(meetingUuid, participant) {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const participantId = participant.email || participant.name;
+  if (!baseUrl || !getReportLinkSecret() || !participantId) {
+    return null;
+  }
+  return `${baseUrl}/reports/${createReportToken(meetingUuid, participantId)}`;
+}
+
+module.exports = {
+  loadReport,
+  splitCorrection,
+  renderReportHtml,
+  renderReportPdf,
+  reportFileName,
+  reportContentDisposition,
+  createReportToken,
+  verifyReportToken,
+  createReportLink
+};
@@ -0,0 +1,50 @@
+// =============================================================================
+// STORAGE
+// =============================================================================
+//
+// All persistent state (meetings, participants, recording files, transcripts,
+// generated feedback, caches) goes through the storage object returned by
+// getStorage(). Every method is async so other backends can be added behind
+// the same interface; SqliteStorage is the reference implementation.
+//
+// SQLite is a local file owned by one process, so the server must run as a
+// single long-lived process with a persistent disk. Serverless platforms
+// (e.g. Vercel, whose /tmp is per instance and wiped) are not supported.
+
+const path = require('path');
+const { SqliteStorage } = require('./sqlite');
+
+let storagePromise = null;
+
+/**
+ * Resolve the database file location
+ */
+function getDatabasePath() {
+  if (process.env.DATABASE_PATH) {
+    return process.env.DATABASE_PATH === ':memory:' ? null : process.env.DATABASE_PATH;
+  }
+  return path.join(__dirname, '..', '..', 'data', 'gaia-tandem.sqlite');
+}
+
+/**
+ * Create the configured storage backend (once) and return it
+ */
+function getStorage() {
+  if (!storagePromise) {
+    const driver = process.env.STORAGE_DRIVER || 'sqlite';
+
+    if (driver !== 'sqlite') {
+      return Promise.reject(new Error(`Unknown STORAGE_DRIVER "${driver}" (supported: sqlite)`));
+    }
+
+    storagePromise = new SqliteStorage(getDatabasePath()).init().catch(error => {
+      storagePromise = null;
+      throw new Error(`Failed to initialize storage: ${error.message}`);
+    });
+  }
+  return storagePromise;
+}
+
+module.exports = {
+  getStorage
+};
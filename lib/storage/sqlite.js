@@ -0,0 +1,1116 @@
+// =============================================================================
+// SQLITE STORAGE (embedded, via sql.js)
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Never edit a released migration - append a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    sql: `
+      CREATE TABLE IF NOT EXISTS meetings (
+        uuid TEXT PRIMARY KEY,
+        meeting_id TEXT,
+        topic TEXT,
+        host_id TEXT,
+        start_time TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS participants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meeting_uuid TEXT NOT NULL,
+        user_id TEXT,
+        name TEXT,
+        email TEXT,
+        join_time TEXT,
+        leave_time TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_participants_meeting ON participants (meeting_uuid);
+
+      CREATE TABLE IF NOT EXISTS recording_files (
+        meeting_uuid TEXT NOT NULL,
+        file_id TEXT NOT NULL,
+        file_type TEXT,
+        recording_type TEXT,
+        file_extension TEXT,
+        file_size INTEGER,
+        download_url TEXT,
+        status TEXT,
+        recording_start TEXT,
+        recording_end TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (meeting_uuid, file_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS transcripts (
+        meeting_uuid TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        raw_content TEXT,
+        parsed_text TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meeting_uuid TEXT NOT NULL,
+        feedback_json TEXT NOT NULL,
+        deliveries_json TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_feedback_meeting ON feedback (meeting_uuid);
+
+      CREATE TABLE IF NOT EXISTS cache (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS telegram_link_codes (
+        code TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS telegram_links (
+        email TEXT PRIMARY KEY,
+        chat_id TEXT NOT NULL,
+        username TEXT,
+        linked_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    sql: `
+      CREATE TABLE IF NOT EXISTS learner_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        learner_id TEXT NOT NULL,
+        learner_name TEXT,
+        email TEXT,
+        meeting_uuid TEXT NOT NULL,
+        session_date TEXT NOT NULL,
+        level TEXT,
+        grammar_score REAL,
+        vocabulary_score REAL,
+        fluency_score REAL,
+        strengths_json TEXT,
+        improvements_json TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (learner_id, meeting_uuid)
+      );
+      CREATE INDEX IF NOT EXISTS idx_learner_sessions_learner ON learner_sessions (learner_id, session_date);
+    `
+  },
+  {
+    version: 3,
+    sql: `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        group_key TEXT,
+        payload_json TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        run_at INTEGER NOT NULL,
+        last_error TEXT,
+        result_json TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at);
+    `
+  },
+  {
+    version: 4,
+    sql: `
+      CREATE TABLE IF NOT EXISTS processed_events (
+        event_key TEXT PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        meeting_uuid TEXT,
+        payload_json TEXT NOT NULL,
+        job_id INTEGER,
+        duplicate_count INTEGER NOT NULL DEFAULT 0,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_processed_events_meeting ON processed_events (meeting_uuid);
+    `
+  },
+  {
+    version: 5,
+    sql: `
+      ALTER TABLE transcripts ADD COLUMN cues_json TEXT;
+    `
+  },
+  {
+    version: 6,
+    sql: `
+      CREATE TABLE IF NOT EXISTS learner_profiles (
+        learner_id TEXT PRIMARY KEY,
+        learner_name TEXT,
+        email TEXT,
+        native_language TEXT,
+        target_language TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 7,
+    sql: `
+      CREATE TABLE IF NOT EXISTS learners (
+        learner_id TEXT PRIMARY KEY,
+        learner_name TEXT,
+        email TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_learners_email ON learners (email);
+      CREATE TABLE IF NOT EXISTS learner_aliases (
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        learner_id TEXT NOT NULL,
+        label TEXT,
+        source TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (kind, value)
+      );
+      CREATE INDEX IF NOT EXISTS idx_learner_aliases_learner ON learner_aliases (learner_id);
+      ALTER TABLE participants ADD COLUMN zoom_user_id TEXT;
+    `
+  },
+  {
+    version: 8,
+    sql: `
+      ALTER TABLE meetings ADD COLUMN state TEXT NOT NULL DEFAULT 'scheduled';
+      ALTER TABLE meetings ADD COLUMN started_at TEXT;
+      ALTER TABLE meetings ADD COLUMN ended_at TEXT;
+      ALTER TABLE meetings ADD COLUMN deleted_at TEXT;
+      UPDATE meetings SET state = 'recording_ready'
+        WHERE EXISTS (SELECT 1 FROM recording_files r WHERE r.meeting_uuid = meetings.uuid);
+      UPDATE meetings SET state = 'transcript_ready'
+        WHERE EXISTS (SELECT 1 FROM transcripts t WHERE t.meeting_uuid = meetings.uuid);
+      UPDATE meetings SET state = 'feedback_sent'
+        WHERE EXISTS (SELECT 1 FROM feedback f WHERE f.meeting_uuid = meetings.uuid AND f.deliveries_json LIKE '%"status":"sent"%');
+
+      CREATE TABLE IF NOT EXISTS meeting_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meeting_uuid TEXT NOT NULL,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_meeting_alerts_meeting ON meeting_alerts (meeting_uuid);
+    `
+  }
+];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Storage backed by an in-process SQLite database that is written to
+ * DATABASE_PATH after every change. Meant for a single server process.
+ */
+class SqliteStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  async init() {
+    const SQL = await initSqlJs({
+      locateFile: file => require.resolve(`sql.js/dist/${file}`)
+    });
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.db = new SQL.Database(fs.readFileSync(this.filePath));
+      console.log(`Opened SQLite database at ${this.filePath}`);
+    } else {
+      this.db = new SQL.Database();
+      console.log(`Created SQLite database${this.filePath ? ` at ${this.filePath}` : ' in memory'}`);
+    }
+
+    this.migrate();
+    return this;
+  }
+
+  migrate() {
+    const currentVersion = this.get('PRAGMA user_version')?.user_version || 0;
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+
+    for (const migration of pending) {
+      this.db.exec('BEGIN');
+      try {
+        this.db.exec(migration.sql);
+        this.db.exec(`PRAGMA user_version = ${migration.version}`);
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw new Error(`Storage migration ${migration.version} failed: ${error.message}`);
+      }
+      console.log(`Applied storage migration ${migration.version}`);
+    }
+
+    if (pending.length > 0) {
+      this.persist();
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Low-level helpers
+  // ---------------------------------------------------------------------------
+
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params.map(p => (p === undefined ? null : p)));
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0] || null;
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params.map(p => (p === undefined ? null : p)));
+    const changes = this.db.getRowsModified();
+    this.persist();
+    return changes;
+  }
+
+  /**
+   * Run an INSERT and return the new row id (read before persisting,
+   * because exporting the database resets last_insert_rowid)
+   */
+  insert(sql, params = []) {
+    this.db.run(sql, params.map(p => (p === undefined ? null : p)));
+    const id = this.get('SELECT last_insert_rowid() AS id').id;
+    this.persist();
+    return id;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Meetings
+  // ---------------------------------------------------------------------------
+
+  async upsertMeeting({ uuid, meetingId, topic, hostId, startTime }) {
+    const timestamp = now();
+    this.run(
+      `INSERT INTO meetings (uuid, meeting_id, topic, host_id, start_time, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(uuid) DO UPDATE SET
+         meeting_id = COALESCE(excluded.meeting_id, meeting_id),
+         topic = COALESCE(excluded.topic, topic),
+         host_id = COALESCE(excluded.host_id, host_id),
+         start_time = COALESCE(excluded.start_time, start_time),
+         updated_at = excluded.updated_at`,
+      [uuid, meetingId != null ? String(meetingId) : null, topic, hostId, startTime, timestamp, timestamp]
+    );
+  }
+
+  mapMeeting(row) {
+    const duration = row.started_at && row.ended_at ? Date.parse(row.ended_at) - Date.parse(row.started_at) : NaN;
+    return {
+      uuid: row.uuid,
+      meetingId: row.meeting_id,
+      topic: row.topic,
+      hostId: row.host_id,
+      startTime: row.start_time,
+      state: row.state,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      deletedAt: row.deleted_at,
+      durationMinutes: Number.isFinite(duration) ? Math.round(duration / 6000) / 10 : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async getMeeting(uuid) {
+    const row = this.get('SELECT * FROM meetings WHERE uuid = ?', [uuid]);
+    return row ? this.mapMeeting(row) : null;
+  }
+
+  /**
+   * Record a lifecycle change: the new state plus any of startedAt, endedAt
+   * and deletedAt (fields left out are kept)
+   */
+  async updateMeetingLifecycle(uuid, { state, startedAt, endedAt, deletedAt }) {
+    return this.run(
+      `UPDATE meetings SET
+         state = COALESCE(?, state),
+         started_at = COALESCE(?, started_at),
+         ended_at = COALESCE(?, ended_at),
+         deleted_at = COALESCE(?, deleted_at),
+         updated_at = ?
+       WHERE uuid = ?`,
+      [state, startedAt, endedAt, deletedAt, now(), uuid]
+    );
+  }
+
+  /**
+   * Meetings, newest first, with counts and the job/delivery facts their
+   * processing status needs, for the admin overview. `from`/`to`
+   * are ISO timestamps compared with the start time (or first sighting);
+   * `learner` matches a participant's email or part of their name.
+   */
+  async listMeetings({ from, to, hostId, learner, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      conditions.push('COALESCE(m.start_time, m.created_at) >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('COALESCE(m.start_time, m.created_at) < ?');
+      params.push(to);
+    }
+    if (hostId) {
+      conditions.push('m.host_id = ?');
+      params.push(hostId);
+    }
+    if (learner) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM participants p
+        WHERE p.meeting_uuid = m.uuid AND (lower(p.email) = ? OR lower(p.name) LIKE ?)
+      )`);
+      params.push(learner.toLowerCase(), `%${learner.toLowerCase()}%`);
+    }
+
+    const rows = this.all(
+      `SELECT m.*,
+         (SELECT COUNT(*) FROM participants p WHERE p.meeting_uuid = m.uuid) AS participant_count,
+         (SELECT COUNT(*) FROM recording_files r WHERE r.meeting_uuid = m.uuid) AS recording_file_count,
+         EXISTS (SELECT 1 FROM transcripts t WHERE t.meeting_uuid = m.uuid) AS has_transcript,
+         (SELECT COUNT(*) FROM feedback f WHERE f.meeting_uuid = m.uuid) AS feedback_count,
+         (SELECT f.deliveries_json LIKE '%"status":"sent"%' FROM feedback f
+           WHERE f.meeting_uuid = m.uuid ORDER BY f.id DESC LIMIT 1) AS feedback_delivered,
+         (SELECT COUNT(*) FROM jobs j WHERE j.group_key = m.uuid AND j.status IN ('queued', 'running')) AS pending_job_count,
+         (SELECT j.status FROM jobs j WHERE j.group_key = m.uuid AND j.finished_at IS NOT NULL
+           ORDER BY j.finished_at DESC, j.id DESC LIMIT 1) AS latest_job_status
+       FROM meetings m
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY COALESCE(m.start_time, m.created_at) DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(row => ({
+      ...this.mapMeeting(row),
+      participantCount: row.participant_count,
+      recordingFileCount: row.recording_file_count,
+      hasTranscript: !!row.has_transcript,
+      feedbackCount: row.feedback_count,
+      feedbackDelivered: !!row.feedback_delivered,
+      pendingJobCount: row.pending_job_count,
+      latestJobStatus: row.latest_job_status
+    }));
+  }
+
+  /**
+   * Most recent occurrence of a (recurring) Zoom meeting ID
+   */
+  async getLatestMeetingByMeetingId(meetingId) {
+    const row = this.get(
+      'SELECT uuid FROM meetings WHERE meeting_id = ? ORDER BY COALESCE(start_time, created_at) DESC LIMIT 1',
+      [String(meetingId)]
+    );
+    return row ? this.getMeeting(row.uuid) : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Meeting alerts
+  // ---------------------------------------------------------------------------
+
+  async saveMeetingAlert({ meetingUuid, type, message }) {
+    return this.insert(
+      'INSERT INTO meeting_alerts (meeting_uuid, type, message, created_at) VALUES (?, ?, ?, ?)',
+      [meetingUuid, type, message, now()]
+    );
+  }
+
+  /**
+   * Alerts, newest first, optionally for one meeting
+   */
+  async listMeetingAlerts({ meetingUuid, limit = 100 } = {}) {
+    const rows = meetingUuid
+      ? this.all('SELECT * FROM meeting_alerts WHERE meeting_uuid = ? ORDER BY id DESC LIMIT ?', [meetingUuid, limit])
+      : this.all('SELECT * FROM meeting_alerts ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(row => ({
+      id: row.id,
+      meetingUuid: row.meeting_uuid,
+      type: row.type,
+      message: row.message,
+      createdAt: row.created_at
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Participants
+  // ---------------------------------------------------------------------------
+
+  async addParticipant(meetingUuid, { id, zoomUserId, name, email, joinTime }) {
+    this.run(
+      'INSERT INTO participants (meeting_uuid, user_id, zoom_user_id, name, email, join_time) VALUES (?, ?, ?, ?, ?, ?)',
+      [meetingUuid, id != null ? String(id) : null, zoomUserId || null, name, email, joinTime]
+    );
+  }
+
+  async markParticipantLeft(meetingUuid, userId, leaveTime) {
+    return this.run(
+      `UPDATE participants SET leave_time = ?
+       WHERE id = (SELECT id FROM participants
+                   WHERE meeting_uuid = ? AND user_id = ? AND leave_time IS NULL
+                   ORDER BY id LIMIT 1)`,
+      [leaveTime, meetingUuid, userId != null ? String(userId) : null]
+    );
+  }
+
+  /**
+   * Participants currently in the meeting (joined and not yet left)
+   */
+  async listParticipants(meetingUuid) {
+    return this.all(
+      'SELECT * FROM participants WHERE meeting_uuid = ? AND leave_time IS NULL ORDER BY id',
+      [meetingUuid]
+    ).map(row => ({
+      id: row.user_id,
+      zoomUserId: row.zoom_user_id,
+      name: row.name,
+      email: row.email,
+      joinTime: row.join_time
+    }));
+  }
+
+  /**
+   * Everyone who joined the meeting, including participants who already left
+   */
+  async listAllParticipants(meetingUuid) {
+    return this.all(
+      'SELECT * FROM participants WHERE meeting_uuid = ? ORDER BY id',
+      [meetingUuid]
+    ).map(row => ({
+      id: row.user_id,
+      zoomUserId: row.zoom_user_id,
+      name: row.name,
+      email: row.email,
+      joinTime: row.join_time,
+      leaveTime: row.leave_time
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recording files
+  // ---------------------------------------------------------------------------
+
+  async saveRecordingFiles(meetingUuid, files) {
+    const timestamp = now();
+    for (const file of files) {
+      this.db.run(
+        `INSERT INTO recording_files (meeting_uuid, file_id, file_type, recording_type, file_extension,
+           file_size, download_url, status, recording_start, recording_end, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(meeting_uuid, file_id) DO UPDATE SET
+           file_type = excluded.file_type,
+           recording_type = excluded.recording_type,
+           file_extension = excluded.file_extension,
+           file_size = excluded.file_size,
+           download_url = excluded.download_url,
+           status = excluded.status,
+           recording_start = excluded.recording_start,
+           recording_end = excluded.recording_end`,
+        [
+          meetingUuid,
+          String(file.id || `${file.file_type}-${file.recording_start || ''}`),
+          file.file_type || null,
+          file.recording_type || null,
+          file.file_extension || null,
+          file.file_size || null,
+          file.download_url || null,
+          file.status || null,
+          file.recording_start || null,
+          file.recording_end || null,
+          timestamp
+        ]
+      );
+    }
+    this.persist();
+  }
+
+  async listRecordingFiles(meetingUuid) {
+    return this.all(
+      'SELECT * FROM recording_files WHERE meeting_uuid = ? ORDER BY created_at, file_id',
+      [meetingUuid]
+    ).map(row => ({
+      id: row.file_id,
+      file_type: row.file_type,
+      recording_type: row.recording_type,
+      file_extension: row.file_extension,
+      file_size: row.file_size,
+      download_url: row.download_url,
+      status: row.status,
+      recording_start: row.recording_start,
+      recording_end: row.recording_end
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transcripts
+  // ---------------------------------------------------------------------------
+
+  async saveTranscript(meetingUuid, { source, raw, parsed, cues = null }) {
+    this.run(
+      `INSERT INTO transcripts (meeting_uuid, source, raw_content, parsed_text, cues_json, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(meeting_uuid) DO UPDATE SET
+         source = excluded.source,
+         raw_content = excluded.raw_content,
+         parsed_text = excluded.parsed_text,
+         cues_json = excluded.cues_json,
+         created_at = excluded.created_at`,
+      [meetingUuid, source, raw, parsed, cues ? JSON.stringify(cues) : null, now()]
+    );
+  }
+
+  async getTranscript(meetingUuid) {
+    const row = this.get('SELECT * FROM transcripts WHERE meeting_uuid = ?', [meetingUuid]);
+    if (!row) {
+      return null;
+    }
+    return {
+      source: row.source,
+      raw: row.raw_content,
+      parsed: row.parsed_text,
+      cues: parseJson(row.cues_json),
+      createdAt: row.created_at
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Feedback
+  // ---------------------------------------------------------------------------
+
+  async saveFeedback(meetingUuid, feedback, deliveries = null) {
+    return this.insert(
+      'INSERT INTO feedback (meeting_uuid, feedback_json, deliveries_json, created_at) VALUES (?, ?, ?, ?)',
+      [meetingUuid, JSON.stringify(feedback), deliveries ? JSON.stringify(deliveries) : null, now()]
+    );
+  }
+
+  async saveDeliveries(feedbackId, deliveries) {
+    this.run('UPDATE feedback SET deliveries_json = ? WHERE id = ?', [JSON.stringify(deliveries), feedbackId]);
+  }
+
+  async getLatestFeedback(meetingUuid) {
+    const row = this.get(
+      'SELECT * FROM feedback WHERE meeting_uuid = ? ORDER BY id DESC LIMIT 1',
+      [meetingUuid]
+    );
+    if (!row) {
+      return null;
+    }
+    return {
+      id: row.id,
+      feedback: parseJson(row.feedback_json),
+      deliveries: parseJson(row.deliveries_json, []),
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Every feedback generated for a meeting, newest first
+   */
+  async listFeedback(meetingUuid) {
+    return this.all(
+      'SELECT * FROM feedback WHERE meeting_uuid = ? ORDER BY id DESC',
+      [meetingUuid]
+    ).map(row => ({
+      id: row.id,
+      feedback: parseJson(row.feedback_json),
+      deliveries: parseJson(row.deliveries_json, []),
+      createdAt: row.created_at
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Learner progress
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Record (or replace, when a meeting is re-processed) one learner's results for a session
+   */
+  async saveLearnerSession(session) {
+    this.run(
+      `INSERT INTO learner_sessions (learner_id, learner_name, email, meeting_uuid, session_date, level,
+         grammar_score, vocabulary_score, fluency_score, strengths_json, improvements_json, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(learner_id, meeting_uuid) DO UPDATE SET
+         learner_name = excluded.learner_name,
+         email = excluded.email,
+         session_date = excluded.session_date,
+         level = excluded.level,
+         grammar_score = excluded.grammar_score,
+         vocabulary_score = excluded.vocabulary_score,
+         fluency_score = excluded.fluency_score,
+         strengths_json = excluded.strengths_json,
+         improvements_json = excluded.improvements_json`,
+      [
+        session.learnerId,
+        session.name,
+        session.email,
+        session.meetingUuid,
+        session.sessionDate,
+        session.level,
+        session.scores.grammar,
+        session.scores.vocabulary,
+        session.scores.fluency,
+        JSON.stringify(session.strengths || []),
+        JSON.stringify(session.improvements || []),
+        now()
+      ]
+    );
+  }
+
+  /**
+   * All sessions of a learner, oldest first
+   */
+  async listLearnerSessions(learnerId) {
+    return this.all(
+      'SELECT * FROM learner_sessions WHERE learner_id = ? ORDER BY session_date, id',
+      [learnerId]
+    ).map(row => ({
+      learnerId: row.learner_id,
+      name: row.learner_name,
+      email: row.email,
+      meetingUuid: row.meeting_uuid,
+      sessionDate: row.session_date,
+      level: row.level,
+      scores: {
+        grammar: row.grammar_score,
+        vocabulary: row.vocabulary_score,
+        fluency: row.fluency_score
+      },
+      strengths: parseJson(row.strengths_json, []),
+      improvements: parseJson(row.improvements_json, [])
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Learner profiles (native / target language)
+  // ---------------------------------------------------------------------------
+
+  mapLearnerProfile(row) {
+    return {
+      learnerId: row.learner_id,
+      name: row.learner_name,
+      email: row.email,
+      nativeLanguage: row.native_language,
+      targetLanguage: row.target_language,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async saveLearnerProfile({ learnerId, name, email, nativeLanguage, targetLanguage }) {
+    const timestamp = now();
+    this.run(
+      `INSERT INTO learner_profiles (learner_id, learner_name, email, native_language, target_language, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(learner_id) DO UPDATE SET
+         learner_name = COALESCE(excluded.learner_name, learner_name),
+         email = COALESCE(excluded.email, email),
+         native_language = excluded.native_language,
+         target_language = excluded.target_language,
+         updated_at = excluded.updated_at`,
+      [learnerId, name || null, email || null, nativeLanguage || null, targetLanguage || null, timestamp, timestamp]
+    );
+  }
+
+  async getLearnerProfile(learnerId) {
+    const row = this.get('SELECT * FROM learner_profiles WHERE learner_id = ?', [learnerId]);
+    return row ? this.mapLearnerProfile(row) : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Learner registry (canonical identities and their aliases)
+  // ---------------------------------------------------------------------------
+
+  mapLearner(row) {
+    const aliases = this.all(
+      'SELECT * FROM learner_aliases WHERE learner_id = ? ORDER BY created_at, value',
+      [row.learner_id]
+    );
+    return {
+      learnerId: row.learner_id,
+      name: row.learner_name,
+      email: row.email,
+      aliases: aliases.filter(alias => alias.kind === 'name').map(alias => ({ name: alias.label, source: alias.source })),
+      zoomUserIds: aliases.filter(alias => alias.kind === 'zoom_user_id').map(alias => alias.value),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Create a learner or update their name/email (missing fields are kept)
+   */
+  async saveLearner({ learnerId, name, email }) {
+    const timestamp = now();
+    this.run(
+      `INSERT INTO learners (learner_id, learner_name, email, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(learner_id) DO UPDATE SET
+         learner_name = COALESCE(excluded.learner_name, learner_name),
+         email = COALESCE(excluded.email, email),
+         updated_at = excluded.updated_at`,
+      [learnerId, name || null, email ? email.toLowerCase() : null, timestamp, timestamp]
+    );
+  }
+
+  async getLearner(learnerId) {
+    const row = this.get('SELECT * FROM learners WHERE learner_id = ?', [learnerId]);
+    return row ? this.mapLearner(row) : null;
+  }
+
+  async getLearnerByEmail(email) {
+    const row = this.get('SELECT * FROM learners WHERE email = ? ORDER BY created_at LIMIT 1', [String(email).toLowerCase()]);
+    return row ? this.mapLearner(row) : null;
+  }
+
+  async listLearners() {
+    return this.all('SELECT * FROM learners ORDER BY learner_name, learner_id').map(row => this.mapLearner(row));
+  }
+
+  /**
+   * Point an alias (kind "name" with a normalized name, or "zoom_user_id") at a
+   * learner. Without `replace` an alias that already belongs to someone is kept;
+   * returns true if the alias now points at the learner.
+   */
+  async saveLearnerAlias({ kind, value, learnerId, label, source }, { replace = false } = {}) {
+    this.run(
+      `INSERT INTO learner_aliases (kind, value, learner_id, label, source, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(kind, value) DO ${replace
+         ? 'UPDATE SET learner_id = excluded.learner_id, label = excluded.label, source = excluded.source'
+         : 'NOTHING'}`,
+      [kind, value, learnerId, label || value, source, now()]
+    );
+    return this.get('SELECT learner_id FROM learner_aliases WHERE kind = ? AND value = ?', [kind, value])?.learner_id === learnerId;
+  }
+
+  async findLearnerAlias(kind, value) {
+    const row = this.get('SELECT * FROM learner_aliases WHERE kind = ? AND value = ?', [kind, value]);
+    return row ? { kind: row.kind, value: row.value, learnerId: row.learner_id, label: row.label, source: row.source } : null;
+  }
+
+  async listLearnerAliases(kind) {
+    return this.all('SELECT * FROM learner_aliases WHERE kind = ? ORDER BY value', [kind])
+      .map(row => ({ kind: row.kind, value: row.value, learnerId: row.learner_id, label: row.label, source: row.source }));
+  }
+
+  async deleteLearnerAlias(learnerId, kind, value) {
+    return this.run('DELETE FROM learner_aliases WHERE learner_id = ? AND kind = ? AND value = ?', [learnerId, kind, value]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Jobs
+  // ---------------------------------------------------------------------------
+
+  mapJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      groupKey: row.group_key,
+      payload: parseJson(row.payload_json),
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: new Date(row.run_at).toISOString(),
+      lastError: row.last_error,
+      result: parseJson(row.result_json),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  async enqueueJob({ type, groupKey, payload, maxAttempts, runAt }) {
+    const timestamp = now();
+    return this.insert(
+      `INSERT INTO jobs (type, group_key, payload_json, status, attempts, max_attempts, run_at, created_at, updated_at)
+       VALUES (?, ?, ?, 'queued', 0, ?, ?, ?, ?)`,
+      [type, groupKey || null, JSON.stringify(payload), maxAttempts, runAt || Date.now(), timestamp, timestamp]
+    );
+  }
+
+  /**
+   * Mark the oldest due job as running and return it. Jobs sharing a group key
+   * (e.g. the same meeting) never run concurrently and keep their order.
+   */
+  async claimNextJob() {
+    const row = this.get(
+      `SELECT * FROM jobs j
+       WHERE j.status = 'queued' AND j.run_at <= ?
+         AND (j.group_key IS NULL OR NOT EXISTS (
+           SELECT 1 FROM jobs o
+           WHERE o.group_key = j.group_key AND o.id < j.id AND o.status IN ('queued', 'running')
+         ))
+         AND (j.group_key IS NULL OR NOT EXISTS (
+           SELECT 1 FROM jobs r WHERE r.group_key = j.group_key AND r.status = 'running'
+         ))
+       ORDER BY j.run_at, j.id
+       LIMIT 1`,
+      [Date.now()]
+    );
+    if (!row) {
+      return null;
+    }
+
+    const timestamp = now();
+    this.run(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [timestamp, timestamp, row.id]
+    );
+    return this.getJob(row.id);
+  }
+
+  async completeJob(id, result) {
+    const timestamp = now();
+    this.run(
+      `UPDATE jobs SET status = 'succeeded', result_json = ?, last_error = NULL, finished_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [result === undefined ? null : JSON.stringify(result), timestamp, timestamp, id]
+    );
+  }
+
+  /**
+   * Record a failed attempt: re-queue at retryAt, or move to the dead-letter list when retryAt is null
+   */
+  async failJob(id, errorMessage, retryAt) {
+    const timestamp = now();
+    if (retryAt) {
+      this.run(
+        `UPDATE jobs SET status = 'queued', last_error = ?, run_at = ?, updated_at = ? WHERE id = ?`,
+        [errorMessage, retryAt, timestamp, id]
+      );
+    } else {
+      this.run(
+        `UPDATE jobs SET status = 'dead', last_error = ?, finished_at = ?, updated_at = ? WHERE id = ?`,
+        [errorMessage, timestamp, timestamp, id]
+      );
+    }
+  }
+
+  /**
+   * Put a dead job back on the queue with a fresh attempt budget
+   */
+  async retryJob(id) {
+    return this.run(
+      `UPDATE jobs SET status = 'queued', attempts = 0, run_at = ?, finished_at = NULL, updated_at = ?
+       WHERE id = ? AND status = 'dead'`,
+      [Date.now(), now(), id]
+    ) > 0;
+  }
+
+  /**
+   * Re-queue jobs left 'running' by a process that died mid-job
+   */
+  async requeueInterruptedJobs() {
+    return this.run(
+      `UPDATE jobs SET status = 'queued', run_at = ?, updated_at = ? WHERE status = 'running'`,
+      [Date.now(), now()]
+    );
+  }
+
+  async getJob(id) {
+    const row = this.get('SELECT * FROM jobs WHERE id = ?', [id]);
+    return row ? this.mapJob(row) : null;
+  }
+
+  /**
+   * Jobs of one group (e.g. all webhook jobs of a meeting), oldest first
+   */
+  async listJobsByGroup(groupKey) {
+    return this.all('SELECT * FROM jobs WHERE group_key = ? ORDER BY id', [groupKey]).map(row => this.mapJob(row));
+  }
+
+  async listJobs({ status, limit = 50 } = {}) {
+    const rows = status
+      ? this.all('SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ?', [status, limit])
+      : this.all('SELECT * FROM jobs ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(row => this.mapJob(row));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Processed webhook events (idempotency)
+  // ---------------------------------------------------------------------------
+
+  mapProcessedEvent(row) {
+    return {
+      eventKey: row.event_key,
+      eventType: row.event_type,
+      meetingUuid: row.meeting_uuid,
+      payload: parseJson(row.payload_json),
+      jobId: row.job_id,
+      duplicateCount: row.duplicate_count,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    };
+  }
+
+  /**
+   * Record an event the first time it is seen. Returns null for a new event,
+   * or the existing record (with its duplicate counter bumped) for a redelivery.
+   */
+  async recordProcessedEvent({ eventKey, eventType, meetingUuid, payload }) {
+    const timestamp = now();
+    this.db.run(
+      `INSERT OR IGNORE INTO processed_events (event_key, event_type, meeting_uuid, payload_json, first_seen_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [eventKey, eventType, meetingUuid || null, JSON.stringify(payload), timestamp, timestamp]
+    );
+
+    if (this.db.getRowsModified() > 0) {
+      this.persist();
+      return null;
+    }
+
+    this.run(
+      'UPDATE processed_events SET duplicate_count = duplicate_count + 1, last_seen_at = ? WHERE event_key = ?',
+      [timestamp, eventKey]
+    );
+    return this.getProcessedEvent(eventKey);
+  }
+
+  async deleteProcessedEvent(eventKey) {
+    this.run('DELETE FROM processed_events WHERE event_key = ?', [eventKey]);
+  }
+
+  async setProcessedEventJob(eventKey, jobId) {
+    this.run('UPDATE processed_events SET job_id = ? WHERE event_key = ?', [jobId, eventKey]);
+  }
+
+  async getProcessedEvent(eventKey) {
+    const row = this.get('SELECT * FROM processed_events WHERE event_key = ?', [eventKey]);
+    return row ? this.mapProcessedEvent(row) : null;
+  }
+
+  async listProcessedEvents({ meetingUuid, limit = 50 } = {}) {
+    const rows = meetingUuid
+      ? this.all('SELECT * FROM processed_events WHERE meeting_uuid = ? ORDER BY first_seen_at DESC LIMIT ?', [meetingUuid, limit])
+      : this.all('SELECT * FROM processed_events ORDER BY first_seen_at DESC LIMIT ?', [limit]);
+    return rows.map(row => this.mapProcessedEvent(row));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Key/value cache with expiry (e.g. Zoom access token)
+  // ---------------------------------------------------------------------------
+
+  async getCacheValue(key) {
+    const row = this.get('SELECT value, expires_at FROM cache WHERE key = ?', [key]);
+    if (!row || row.expires_at <= Date.now()) {
+      return null;
+    }
+    return parseJson(row.value);
+  }
+
+  async setCacheValue(key, value, expiresAt) {
+    this.run(
+      `INSERT INTO cache (key, value, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+      [key, JSON.stringify(value), expiresAt]
+    );
+  }
+
+  async deleteCacheValue(key) {
+    this.run('DELETE FROM cache WHERE key = ?', [key]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Telegram links
+  // ---------------------------------------------------------------------------
+
+  async saveTelegramLinkCode(code, email, expiresAt) {
+    this.run(
+      'INSERT OR REPLACE INTO telegram_link_codes (code, email, expires_at) VALUES (?, ?, ?)',
+      [code, email, expiresAt]
+    );
+  }
+
+  /**
+   * Delete a link code and return its row (null if it never existed)
+   */
+  async consumeTelegramLinkCode(code) {
+    const row = this.get('SELECT * FROM telegram_link_codes WHERE code = ?', [code]);
+    if (!row) {
+      return null;
+    }
+    this.run('DELETE FROM telegram_link_codes WHERE code = ?', [code]);
+    return { email: row.email, expiresAt: row.expires_at };
+  }
+
+  async saveTelegramLink(email, { chatId, username, linkedAt }) {
+    this.run(
+      'INSERT OR REPLACE INTO telegram_links (email, chat_id, username, linked_at) VALUES (?, ?, ?, ?)',
+      [email, String(chatId), username, linkedAt]
+    );
+  }
+
+  async getTelegramLink(email) {
+    const row = this.get('SELECT * FROM telegram_links WHERE email = ?', [email]);
+    if (!row) {
+      return null;
+    }
+    return { chatId: row.chat_id, username: row.username, linkedAt: row.linked_at };
+  }
+}
+
+module.exports = {
+  SqliteStorage,
+  MIGRATIONS
+};
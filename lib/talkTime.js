@@ -0,0 +1,115 @@
+// =============================================================================
+// TALK-TIME AND TURN-TAKING ANALYTICS
+// =============================================================================
+//
+// A tandem only works when both partners get roughly equal practice time. These
+// numbers come from cue timings (Zoom VTT cues, or stitched Whisper segments
+// turned into cues with the "Name:" prefixes Whisper wrote), not from the LLM,
+// so they are exact and comparable across sessions.
+
+/**
+ * A new speaker starting this soon after an unfinished sentence counts as an interruption
+ */
+const INTERRUPTION_GAP_SECONDS = 0.5;
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Group consecutive cues of the same speaker into turns
+ */
+function buildTurns(cues) {
+  const turns = [];
+
+  for (const cue of cues) {
+    if (!cue.speaker || !(cue.end > cue.start)) {
+      continue;
+    }
+
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === cue.speaker) {
+      last.end = Math.max(last.end, cue.end);
+      last.speakingSeconds += cue.end - cue.start;
+      last.lastText = cue.text;
+    } else {
+      turns.push({
+        speaker: cue.speaker,
+        start: cue.start,
+        end: cue.end,
+        speakingSeconds: cue.end - cue.start,
+        lastText: cue.text
+      });
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Did `turn` cut into `previous`? Either it overlaps in time, or it starts
+ * right after a sentence that was not finished.
+ */
+function isInterruption(previous, turn) {
+  if (turn.start < previous.end) {
+    return true;
+  }
+  const unfinished = !/[.?!…]["'»“”]?$/.test(String(previous.lastText || '').trim());
+  return unfinished && turn.start - previous.end < INTERRUPTION_GAP_SECONDS;
+}
+
+/**
+ * Per-speaker speaking share, turn count, average turn length, longest
+ * monologue and interruptions (made by that speaker). Returns null when no
+ * cue has a speaker.
+ */
+function computeTalkTime(cues) {
+  const turns = buildTurns([...(cues || [])].sort((a, b) => a.start - b.start));
+
+  if (turns.length === 0) {
+    return null;
+  }
+
+  const speakers = {};
+  turns.forEach((turn, index) => {
+    const stats = speakers[turn.speaker] || (speakers[turn.speaker] = {
+      speakingSeconds: 0,
+      share: 0,
+      turns: 0,
+      averageTurnSeconds: 0,
+      longestMonologueSeconds: 0,
+      interruptions: 0
+    });
+
+    stats.speakingSeconds += turn.speakingSeconds;
+    stats.turns++;
+    stats.longestMonologueSeconds = Math.max(stats.longestMonologueSeconds, turn.end - turn.start);
+    if (index > 0 && isInterruption(turns[index - 1], turn)) {
+      stats.interruptions++;
+    }
+  });
+
+  const totalSpeakingSeconds = Object.values(speakers).reduce((sum, stats) => sum + stats.speakingSeconds, 0);
+  const shares = [];
+
+  for (const stats of Object.values(speakers)) {
+    stats.share = totalSpeakingSeconds > 0 ? round(stats.speakingSeconds / totalSpeakingSeconds, 2) : 0;
+    stats.averageTurnSeconds = round(stats.speakingSeconds / stats.turns);
+    stats.speakingSeconds = round(stats.speakingSeconds);
+    stats.longestMonologueSeconds = round(stats.longestMonologueSeconds);
+    shares.push(stats.share);
+  }
+
+  return {
+    totalSpeakingSeconds: round(totalSpeakingSeconds),
+    turnCount: turns.length,
+    // 1 = everyone spoke equally long, close to 0 = one speaker dominated
+    balance: shares.length > 1 ? round(Math.min(...shares) / Math.max(...shares), 2) : 1,
+    speakers
+  };
+}
+
+module.exports = {
+  computeTalkTime
+};
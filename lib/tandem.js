@@ -0,0 +1,155 @@
+// =============================================================================
+// BIDIRECTIONAL TANDEM MODE
+// =============================================================================
+//
+// In a real tandem each partner practises the other's native language, e.g. a
+// German learner and an English learner switch between German and English.
+// Learner profiles record native and target language; the transcript is split
+// by detected cue language and every learner is graded only on the part in
+// their target language, while the native speakers of that language get a
+// note on how well they supported their partner.
+
+const { getStorage } = require('./storage');
+const { learnerIdFor } = require('./progress');
+const { matchParticipantKey, normalizeName } = require('./recipients');
+const { annotateCueLanguages } = require('./languageDetection');
+
+/**
+ * Create or update a learner's native/target language profile
+ */
+async function saveLearnerProfile(learnerId, { name, email, nativeLanguage, targetLanguage }) {
+  const profile = {
+    learnerId,
+    name,
+    email,
+    nativeLanguage: nativeLanguage ? nativeLanguage.toLowerCase() : null,
+    targetLanguage: targetLanguage ? targetLanguage.toLowerCase() : null
+  };
+
+  const storage = await getStorage();
+  await storage.saveLearnerProfile(profile);
+  return storage.getLearnerProfile(learnerId);
+}
+
+async function getLearnerProfile(learnerId) {
+  const storage = await getStorage();
+  return storage.getLearnerProfile(learnerId);
+}
+
+/**
+ * Native/target language for each participant. Participants without a profile
+ * are assumed to be the mirror image of a profiled partner (native German +
+ * target English -> native English + target German). Returns null when no
+ * participant has a profile, i.e. the session is not a tandem.
+ */
+async function resolveLearnerLanguages(participants) {
+  const storage = await getStorage();
+  const profiles = await Promise.all(participants.map(participant => storage.getLearnerProfile(learnerIdFor(participant))));
+
+  const profiled = profiles.filter(profile => profile?.targetLanguage);
+  if (profiled.length === 0) {
+    return null;
+  }
+
+  const mirror = profiled.find(profile => profile.nativeLanguage);
+
+  return participants.map((participant, index) => {
+    const profile = profiles[index];
+    if (profile?.targetLanguage) {
+      return { participant, nativeLanguage: profile.nativeLanguage, targetLanguage: profile.targetLanguage, source: 'profile' };
+    }
+    if (mirror) {
+      return { participant, nativeLanguage: mirror.targetLanguage, targetLanguage: mirror.nativeLanguage, source: 'inferred' };
+    }
+    return { participant, nativeLanguage: null, targetLanguage: null, source: 'unknown' };
+  });
+}
+
+/**
+ * Split the transcript by language. Returns { cues, groups } where cues carry
+ * a detected `language` and each group is one target language with its cues,
+ * the speakers graded as learners and the native speakers supporting them.
+ */
+function planTandemSession(cues, assignments) {
+  const languages = [...new Set(assignments.flatMap(a => [a.nativeLanguage, a.targetLanguage]).filter(Boolean))];
+  const annotated = annotateCueLanguages(cues, languages);
+
+  // Map transcript speaker labels to participants' languages
+  const speakers = [...new Set(annotated.map(cue => cue.speaker).filter(Boolean))];
+  const speakerLanguages = new Map();
+  for (const assignment of assignments) {
+    const { key } = matchParticipantKey(assignment.participant, speakers);
+    if (key) {
+      speakerLanguages.set(key, assignment);
+    }
+  }
+
+  const targetLanguages = [...new Set(assignments.map(a => a.targetLanguage).filter(Boolean))];
+  const groups = targetLanguages.map(language => {
+    const groupCues = annotated.filter(cue => cue.language === language);
+    const groupSpeakers = [...new Set(groupCues.map(cue => cue.speaker).filter(Boolean))];
+
+    return {
+      language,
+      cues: groupCues,
+      learners: groupSpeakers.filter(speaker => speakerLanguages.get(speaker)?.targetLanguage === language),
+      natives: groupSpeakers.filter(speaker => speakerLanguages.get(speaker)?.nativeLanguage === language)
+    };
+  });
+
+  return { cues: annotated, groups };
+}
+
+function average(values) {
+  const numbers = values.map(Number).filter(Number.isFinite);
+  return numbers.length > 0 ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length * 10) / 10 : null;
+}
+
+/**
+ * Combine the per-language feedback into one feedback object. Learner
+ * sections come from their target-language half; each native speaker's
+ * partnerSupport note is attached to their own section.
+ */
+function mergeTandemFeedback(parts) {
+  const merged = {
+    mode: 'tandem',
+    overallAssessment: parts.map(part => part.feedback.overallAssessment).filter(Boolean).join('\n\n'),
+    participants: {},
+    conversationQuality: {
+      score: average(parts.map(part => part.feedback.conversationQuality?.score)),
+      feedback: parts.map(part => part.feedback.conversationQuality?.feedback).filter(Boolean).join('\n\n')
+    },
+    nextSteps: parts.flatMap(part => part.feedback.nextSteps || []),
+    halves: parts.map(part => ({
+      language: part.language,
+      learners: part.learners,
+      natives: part.natives,
+      overallAssessment: part.feedback.overallAssessment,
+      conversationQuality: part.feedback.conversationQuality,
+      nextSteps: part.feedback.nextSteps
+    }))
+  };
+
+  for (const part of parts) {
+    for (const [name, section] of Object.entries(part.feedback.participants || {})) {
+      merged.participants[name] = { ...merged.participants[name], ...section, targetLanguage: part.language };
+    }
+  }
+
+  for (const part of parts) {
+    for (const [name, support] of Object.entries(part.feedback.partnerSupport || {})) {
+      const key = Object.keys(merged.participants).find(existing => normalizeName(existing) === normalizeName(name)) || name;
+      merged.participants[key] = { ...merged.participants[key], partnerSupport: { ...support, language: part.language } };
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  saveLearnerProfile,
+  getLearnerProfile,
+  resolveLearnerLanguages,
+  planTandemSession,
+  mergeTandemFeedback
+};
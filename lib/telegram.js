@@ -0,0 +1,346 @@
+// =============================================================================
+// TELEGRAM DELIVERY (Bot API)
+// =============================================================================
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStorage } = require('./storage');
+const { getFeedbackLanguagePack } = require('./languagePacks');
+
+/**
+ * Telegram rejects messages longer than 4096 characters
+ */
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Check whether the Telegram bot is configured
+ */
+function isTelegramConfigured() {
+  return !!process.env.TELEGRAM_BOT_TOKEN;
+}
+
+function getApiBaseUrl() {
+  return (process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+}
+
+/**
+ * Call a Bot API method and return its result
+ */
+async function callBotApi(method, params) {
+  const url = `${getApiBaseUrl()}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
+
+  try {
+    const response = await axios.post(url, params, { timeout: 10000 });
+
+    if (!response.data?.ok) {
+      throw new Error(response.data?.description || 'Unknown Bot API error');
+    }
+
+    return response.data.result;
+  } catch (error) {
+    const description = error.response?.data?.description || error.message;
+    throw new Error(`Telegram ${method} failed: ${description}`);
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Create a one-time code that links a Telegram chat to a learner's Zoom email
+ */
+async function createLinkCode(email) {
+  const ttlMinutes = parseInt(process.env.TELEGRAM_LINK_CODE_TTL_MINUTES || '60', 10);
+  const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+  const expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+
+  const storage = await getStorage();
+  await storage.saveTelegramLinkCode(code, normalizeEmail(email), expiresAt);
+
+  const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+  return {
+    code,
+    expiresAt: new Date(expiresAt).toISOString(),
+    deepLink: botUsername ? `https://t.me/${botUsername}?start=${code}` : null
+  };
+}
+
+/**
+ * Consume a link code; returns the linked email or null if invalid/expired
+ */
+async function consumeLinkCode(code) {
+  const storage = await getStorage();
+  const entry = await storage.consumeTelegramLinkCode(String(code || '').trim().toUpperCase());
+
+  if (!entry) {
+    return null;
+  }
+
+  return entry.expiresAt > Date.now() ? entry.email : null;
+}
+
+/**
+ * Look up the Telegram chat linked to a learner's email
+ */
+async function getChatIdForEmail(email) {
+  const storage = await getStorage();
+  const link = await storage.getTelegramLink(normalizeEmail(email));
+  return link?.chatId || null;
+}
+
+/**
+ * Handle an incoming bot update (only /start <code> is supported)
+ */
+async function handleTelegramUpdate(update) {
+  const message = update?.message;
+  const text = message?.text?.trim();
+
+  if (!message || !text) {
+    return;
+  }
+
+  const chatId = message.chat.id;
+  const [command, code] = text.split(/\s+/);
+
+  if (command !== '/start' && !command.startsWith('/start@')) {
+    await callBotApi('sendMessage', {
+      chat_id: chatId,
+      text: 'Send /start followed by your link code to receive tandem feedback here.'
+    });
+    return;
+  }
+
+  const email = code ? await consumeLinkCode(code) : null;
+
+  if (!email) {
+    console.log(`Telegram /start with invalid or expired code from chat ${chatId}`);
+    await callBotApi('sendMessage', {
+      chat_id: chatId,
+      text: 'This link code is invalid or has expired. Please request a new one.'
+    });
+    return;
+  }
+
+  const storage = await getStorage();
+  await storage.saveTelegramLink(email, {
+    chatId,
+    username: message.from?.username || null,
+    linkedAt: new Date().toISOString()
+  });
+  console.log(`✅ Linked Telegram chat ${chatId} to ${email}`);
+
+  await callBotApi('sendMessage', {
+    chat_id: chatId,
+    text: `Linked! Feedback for ${email} will now be delivered to this chat.`
+  });
+}
+
+/**
+ * Escape text for Telegram MarkdownV2
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+function scoreBar(score) {
+  const value = Math.max(0, Math.min(10, Math.round(Number(score) || 0)));
+  return '▰'.repeat(value) + '▱'.repeat(10 - value);
+}
+
+function markdownList(items) {
+  return (items || []).map(item => `• ${escapeMarkdown(item)}`).join('\n');
+}
+
+/**
+ * Format one participant's feedback as a MarkdownV2 message in the language
+ * the feedback is written in
+ */
+function formatFeedbackMessage(participant, section, feedback) {
+  const { labels } = getFeedbackLanguagePack(feedback, section);
+  const parts = [`*${escapeMarkdown(labels.messageTitle(participant.name || labels.participant))}*`];
+
+  if (feedback.overallAssessment) {
+    parts.push(`_${escapeMarkdown(feedback.overallAssessment)}_`);
+  }
+
+  if (section?.level) {
+    parts.push(`*${escapeMarkdown(labels.level)}:* ${escapeMarkdown(section.level)}`);
+  }
+
+  const scores = [
+    [labels.grammar, section?.grammar],
+    [labels.vocabulary, section?.vocabulary],
+    [labels.fluency, section?.fluency]
+  ].filter(([, area]) => area);
+
+  if (scores.length > 0) {
+    parts.push(scores.map(([label, area]) =>
+      `*${escapeMarkdown(label)}:* ${escapeMarkdown(area.score ?? '-')}/10 \`${scoreBar(area.score)}\`\n${escapeMarkdown(area.feedback || '')}`
+    ).join('\n\n'));
+  }
+
+  if (section?.strengths?.length) {
+    parts.push(`*${escapeMarkdown(labels.strengths)}*\n${markdownList(section.strengths)}`);
+  }
+  if (section?.improvements?.length) {
+    parts.push(`*${escapeMarkdown(labels.improvements)}*\n${markdownList(section.improvements)}`);
+  }
+  if (section?.resources?.length) {
+    parts.push(`*${escapeMarkdown(labels.resources)}*\n${markdownList(section.resources)}`);
+  }
+  if (section?.partnerSupport) {
+    parts.push(`*${escapeMarkdown(labels.partnerSupport)}:* ${escapeMarkdown(section.partnerSupport.score ?? '-')}/10\n${escapeMarkdown(section.partnerSupport.feedback || '')}`);
+  }
+  if (feedback.nextSteps?.length) {
+    parts.push(`*${escapeMarkdown(labels.nextSteps)}*\n${markdownList(feedback.nextSteps)}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * MarkdownV2 entity markers, longest first ("__" is underline, "_" italic)
+ */
+const ENTITY_MARKERS = ['||', '__', '*', '_', '~', '`'];
+
+/**
+ * Room kept at the end of a chunk to close the entities open at the cut
+ */
+const ENTITY_RESERVE = ENTITY_MARKERS.join('').length;
+
+/**
+ * MarkdownV2 entities left open at the end of `text`, outermost first
+ */
+function openEntities(text) {
+  const open = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    // Inside inline code only the closing backtick counts
+    const marker = open[open.length - 1] === '`'
+      ? (text[i] === '`' ? '`' : null)
+      : ENTITY_MARKERS.find(candidate => text.startsWith(candidate, i));
+    if (!marker) {
+      continue;
+    }
+
+    const index = open.lastIndexOf(marker);
+    if (index === -1) {
+      open.push(marker);
+    } else {
+      open.splice(index, 1);
+    }
+    i += marker.length - 1;
+  }
+
+  return open;
+}
+
+/**
+ * Where to cut `text` to keep at most `max` characters: the last paragraph
+ * break, line break or space in the second half, otherwise a hard cut that
+ * splits neither a MarkdownV2 escape nor a surrogate pair (emoji)
+ */
+function findCut(text, max) {
+  for (const separator of ['\n\n', '\n', ' ']) {
+    const index = text.lastIndexOf(separator, max);
+    if (index > max / 2) {
+      return index;
+    }
+  }
+
+  let cut = 0;
+  while (cut < max) {
+    const step = text[cut] === '\\' || /[\uD800-\uDBFF]/.test(text[cut]) ? 2 : 1;
+    if (cut + step > max) {
+      break;
+    }
+    cut += step;
+  }
+  return cut;
+}
+
+/**
+ * Split a MarkdownV2 message into chunks below Telegram's length limit,
+ * preferring paragraph and line boundaries. Entities open at a cut (e.g. a
+ * long italic assessment) are closed at the end of the chunk and reopened at
+ * the start of the next one, so every chunk parses on its own.
+ */
+function splitMessage(text, limit = TELEGRAM_MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let rest = String(text);
+
+  while (rest.length > limit) {
+    const cut = findCut(rest, limit - ENTITY_RESERVE);
+    const chunk = rest.slice(0, cut).trimEnd();
+    const open = openEntities(chunk);
+
+    chunks.push(chunk + [...open].reverse().join(''));
+    rest = open.join('') + rest.slice(cut).trimStart();
+  }
+
+  if (rest.trim()) {
+    chunks.push(rest);
+  }
+
+  return chunks;
+}
+
+/**
+ * Send a (possibly long) MarkdownV2 message to a chat
+ */
+async function sendTelegramMessage(chatId, text) {
+  const chunks = splitMessage(text);
+
+  for (const chunk of chunks) {
+    await callBotApi('sendMessage', {
+      chat_id: chatId,
+      text: chunk,
+      parse_mode: 'MarkdownV2',
+      disable_web_page_preview: true
+    });
+  }
+
+  return chunks.length;
+}
+
+/**
+ * Send feedback to one participant's linked chat.
+ * Always resolves with a delivery status object instead of throwing.
+ */
+async function sendFeedbackTelegram(chatId, participant, section, feedback) {
+  const status = {
+    channel: 'telegram',
+    recipient: String(chatId),
+    status: 'pending',
+    messages: 0,
+    error: null
+  };
+
+  try {
+    status.messages = await sendTelegramMessage(chatId, formatFeedbackMessage(participant, section, feedback));
+    status.status = 'sent';
+    console.log(`✅ Telegram feedback sent to chat ${chatId} (${status.messages} message(s))`);
+  } catch (error) {
+    status.status = 'failed';
+    status.error = error.message;
+    console.error(`❌ Telegram delivery to chat ${chatId} failed:`, error.message);
+  }
+
+  return status;
+}
+
+module.exports = {
+  isTelegramConfigured,
+  createLinkCode,
+  getChatIdForEmail,
+  handleTelegramUpdate,
+  formatFeedbackMessage,
+  splitMessage,
+  sendTelegramMessage,
+  sendFeedbackTelegram
+};
@@ -0,0 +1,243 @@
+// =============================================================================
+// TRANSCRIPT PARSING (WebVTT cues)
+// =============================================================================
+
+const { normalizeName, nameSimilarity, FUZZY_NAME_THRESHOLD } = require('./recipients');
+
+/**
+ * Timing line: "00:01:02.500 --> 00:01:05.000 align:start position:10%"
+ * (hours are optional, Zoom sometimes uses "," as decimal separator)
+ */
+const TIMING_LINE = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})(?:\s+.*)?$/;
+
+/**
+ * Lower-case words allowed inside names ("Ludwig van Beethoven", "Ana de la Cruz")
+ */
+const NAME_PARTICLES = new Set(['von', 'van', 'de', 'der', 'den', 'da', 'di', 'del', 'la', 'le', 'du', 'dos', 'das', 'zu', 'bin', 'al', 'y']);
+
+/**
+ * Capitalized sentence starters that are never a speaker name on their own
+ * ("Ich sage: ja", "The point is: ...", "Mi opinión: ...")
+ */
+const SENTENCE_STARTERS = new Set([
+  'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'das', 'der', 'die', 'dies', 'mein', 'meine', 'dein', 'unser', 'also', 'aber', 'und', 'ja', 'nein',
+  'i', 'you', 'he', 'she', 'it', 'we', 'they', 'the', 'this', 'that', 'my', 'so', 'but', 'and', 'yes', 'no',
+  'yo', 'tu', 'el', 'ella', 'mi', 'nosotros', 'pero', 'si',
+  'je', 'il', 'elle', 'nous', 'vous', 'ils', 'mon', 'ma', 'mais', 'oui', 'non'
+]);
+
+/**
+ * A one-word prefix that names no known participant ("Anna:", but also
+ * "Beispiel:" or "Frage:") is only a speaker when it starts at least this
+ * share of all cues - Zoom prefixes every cue with the speaker
+ */
+const MIN_SINGLE_WORD_PREFIX_SHARE = 0.1;
+
+/**
+ * Convert "01:02:03.456" or "02:03,456" to seconds
+ */
+function parseTimestamp(value) {
+  const parts = value.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format seconds to MM:SS timestamp
+ */
+function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lrm;|&rlm;/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Does "Name" in "Name: text" look like a full name ("Anna Müller", "Ana de
+ * la Cruz") rather than part of a sentence? A single capitalized word does
+ * not: in German every noun is capitalized ("Beispiel: ...").
+ */
+function looksLikeSpeakerName(candidate) {
+  if (!candidate || candidate.length > 50 || /[?!,;"„“»«]/.test(candidate)) {
+    return false;
+  }
+
+  const words = candidate.split(/\s+/);
+  if (words.length < 2 || words.length > 6 || SENTENCE_STARTERS.has(words[0].toLowerCase())) {
+    return false;
+  }
+
+  return words.every(word =>
+    /^[\p{Lu}\p{N}(]/u.test(word) || NAME_PARTICLES.has(word.toLowerCase())
+  );
+}
+
+/**
+ * Does a normalized prefix name one of the known participants? Zoom labels
+ * may be shortened ("Anna" or "Anna M." for "Anna Müller") or spelled
+ * slightly differently.
+ */
+function isKnownSpeaker(key, knownSpeakers) {
+  const keyWords = key.split(' ');
+  return [...knownSpeakers].some(name => {
+    const nameWords = name.split(' ');
+    return name === key ||
+      (keyWords.length <= nameWords.length && keyWords.every((word, i) => nameWords[i].startsWith(word))) ||
+      nameSimilarity(name, key) >= FUZZY_NAME_THRESHOLD;
+  });
+}
+
+/**
+ * Split a cue's payload into its optional "Name:" prefix and the spoken text
+ */
+function splitSpeakerPrefix(text) {
+  const match = text.match(/^([^:]{1,50}):\s+(.*)$/s);
+  return match ? { candidate: match[1].trim(), rest: match[2].trim() } : null;
+}
+
+/**
+ * Parse a WebVTT document into cues: [{ id, start, end, speaker, text }]
+ * (times in seconds). Handles NOTE/STYLE/REGION blocks, cue identifiers,
+ * cue settings, multi-line cues, <v Name> voice tags and Zoom's "Name: text"
+ * convention. A "Name:" prefix counts as a speaker when it names one of the
+ * given participants, looks like a full name or recurs as the prefix of many
+ * cues - so "Ich sage: ja" and "Beispiel: ..." stay plain text, while someone
+ * missing from the participant list is still split off. Cues without a speaker inherit the
+ * previous cue's speaker, as Zoom splits long turns across cues.
+ */
+function parseVTT(vttContent, { speakers = [] } = {}) {
+  const content = String(vttContent ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const blocks = content.split(/\n{2,}/).map(block => block.split('\n')).filter(lines => lines.some(l => l.trim()));
+
+  const rawCues = [];
+
+  for (const lines of blocks) {
+    const first = lines[0].trim();
+
+    if (/^WEBVTT\b/.test(first) || /^(NOTE|STYLE|REGION)\b/.test(first)) {
+      continue;
+    }
+
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line.trim()));
+    if (timingIndex === -1 || timingIndex > 1) {
+      continue;
+    }
+
+    const [, start, end] = lines[timingIndex].trim().match(TIMING_LINE);
+    let speaker = null;
+
+    const payload = lines.slice(timingIndex + 1)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join(' ')
+      .replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/g, (tag, name) => {
+        speaker = speaker || name.trim();
+        return '';
+      })
+      .replace(/<[^>]+>/g, '');
+
+    rawCues.push({
+      id: timingIndex === 1 ? first : null,
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      voiceSpeaker: speaker,
+      text: decodeEntities(payload).replace(/\s+/g, ' ').trim()
+    });
+  }
+
+  return attributeSpeakers(rawCues, speakers);
+}
+
+/**
+ * Resolve each raw cue's speaker from its voice tag or "Name:" prefix
+ */
+function attributeSpeakers(rawCues, speakers) {
+  // Count how often each prefix occurs, so recurring prefixes are trusted
+  const knownSpeakers = new Set(speakers.filter(Boolean).map(normalizeName));
+  const prefixCounts = new Map();
+  for (const cue of rawCues) {
+    const prefix = splitSpeakerPrefix(cue.text);
+    if (prefix) {
+      const key = normalizeName(prefix.candidate);
+      prefixCounts.set(key, (prefixCounts.get(key) || 0) + 1);
+    }
+  }
+
+  const minRecurrence = Math.max(2, rawCues.length * MIN_SINGLE_WORD_PREFIX_SHARE);
+
+  const isSpeaker = (candidate) => {
+    const key = normalizeName(candidate);
+    if (!key) {
+      return false;
+    }
+    if (knownSpeakers.size > 0 && isKnownSpeaker(key, knownSpeakers)) {
+      return true;
+    }
+    return looksLikeSpeakerName(candidate) || (prefixCounts.get(key) >= minRecurrence && !/[?!]/.test(candidate));
+  };
+
+  const cues = [];
+  let currentSpeaker = null;
+
+  for (const cue of rawCues) {
+    let speaker = cue.voiceSpeaker;
+    let text = cue.text;
+
+    if (!speaker) {
+      const prefix = splitSpeakerPrefix(text);
+      if (prefix && prefix.rest && isSpeaker(prefix.candidate)) {
+        speaker = prefix.candidate;
+        text = prefix.rest;
+      }
+    }
+
+    if (!text) {
+      continue;
+    }
+
+    currentSpeaker = speaker || currentSpeaker;
+    cues.push({ id: cue.id, start: cue.start, end: cue.end, speaker: currentSpeaker, text });
+  }
+
+  return cues;
+}
+
+/**
+ * Turn Whisper verbose_json segments into cues, picking up "Name:" prefixes
+ * when Whisper wrote them (it is prompted with the participant names)
+ */
+function segmentsToCues(segments, { speakers = [] } = {}) {
+  const rawCues = (segments || []).map(segment => ({
+    id: segment.id !== undefined ? String(segment.id) : null,
+    start: segment.start,
+    end: segment.end,
+    voiceSpeaker: null,
+    text: String(segment.text || '').trim()
+  }));
+
+  return attributeSpeakers(rawCues, speakers);
+}
+
+/**
+ * Render cues as "[MM:SS] Speaker: text" lines for prompts and logs
+ */
+function formatTranscript(cues) {
+  return cues
+    .map(cue => `[${formatTimestamp(cue.start)}] ${cue.speaker ? `${cue.speaker}: ` : ''}${cue.text}`)
+    .join('\n');
+}
+
+module.exports = {
+  parseVTT,
+  segmentsToCues,
+  formatTranscript,
+  formatTimestamp,
+  parseTimestamp
+};
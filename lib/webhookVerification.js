@@ -0,0 +1,138 @@
+// =============================================================================
+// ZOOM WEBHOOK VERIFICATION
+// =============================================================================
+
+const crypto = require('crypto');
+
+/**
+ * Rejected requests kept for the audit log (override with
+ * WEBHOOK_REJECTION_LOG_SIZE). Anyone can send them, so they stay in memory:
+ * a flood must neither grow the database nor rewrite it on every request.
+ */
+const DEFAULT_REJECTION_LOG_SIZE = 500;
+
+const rejections = [];
+let rejectionCount = 0;
+
+/**
+ * Secrets accepted for signatures: the current one first, then the previous
+ * one while a rotation is in progress
+ */
+function getWebhookSecrets() {
+  return [
+    process.env.ZOOM_WEBHOOK_SECRET_TOKEN,
+    process.env.ZOOM_WEBHOOK_SECRET_TOKEN_PREVIOUS
+  ].filter(Boolean);
+}
+
+function isWebhookSecretConfigured() {
+  return !!process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+}
+
+function hmac(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+/**
+ * Constant-time string comparison. Both sides are hashed first so the
+ * comparison time does not leak the expected length either.
+ */
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Encrypted token for Zoom's endpoint.url_validation challenge, made with the
+ * secret that verified the request (pass the verifyZoomSignature result)
+ */
+function createValidationToken(plainToken, { rotated = false } = {}) {
+  const secret = rotated
+    ? process.env.ZOOM_WEBHOOK_SECRET_TOKEN_PREVIOUS
+    : process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+  return hmac(secret, plainToken);
+}
+
+/**
+ * Verify x-zm-signature / x-zm-request-timestamp for a raw request body.
+ * Returns { valid: true, rotated } or { valid: false, reason }.
+ */
+function verifyZoomSignature({ signature, timestamp, rawBody }) {
+  const secrets = getWebhookSecrets();
+  const maxAgeSeconds = parseInt(process.env.ZOOM_WEBHOOK_MAX_AGE_SECONDS || '300', 10);
+
+  if (secrets.length === 0) {
+    return { valid: false, reason: 'secret_not_configured' };
+  }
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_headers' };
+  }
+  if (!rawBody) {
+    return { valid: false, reason: 'missing_body' };
+  }
+  if (!/^\d+$/.test(String(timestamp))) {
+    return { valid: false, reason: 'invalid_timestamp' };
+  }
+
+  // Reject old (replayed) and far-future requests
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (ageSeconds > maxAgeSeconds) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const message = `v0:${timestamp}:${rawBody.toString()}`;
+
+  // Check every secret so the time taken does not reveal which one matched
+  const matches = secrets.map(secret => safeEqual(signature, `v0=${hmac(secret, message)}`));
+  const matchedIndex = matches.indexOf(true);
+
+  if (matchedIndex === -1) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true, rotated: matchedIndex > 0 };
+}
+
+function rejectionLogSize() {
+  const size = parseInt(process.env.WEBHOOK_REJECTION_LOG_SIZE, 10);
+  return Number.isInteger(size) && size >= 0 ? size : DEFAULT_REJECTION_LOG_SIZE;
+}
+
+/**
+ * Add a rejected request to the audit log, dropping the oldest entries
+ * beyond the log size (never stores the signature or body)
+ */
+function recordRejectedRequest(req, reason) {
+  const entry = {
+    id: ++rejectionCount,
+    receivedAt: new Date().toISOString(),
+    reason,
+    ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+    userAgent: req.headers['user-agent'] || null,
+    eventType: typeof req.body?.event === 'string' ? req.body.event.substring(0, 100) : null,
+    requestTimestamp: req.headers['x-zm-request-timestamp'] ? String(req.headers['x-zm-request-timestamp']).substring(0, 20) : null
+  };
+
+  console.warn(`🚫 Rejected webhook request (${reason}) from ${entry.ip || 'unknown'} [${entry.eventType || 'no event'}]`);
+
+  rejections.push(entry);
+  rejections.splice(0, rejections.length - rejectionLogSize());
+}
+
+/**
+ * Most recent rejections first, since the process started
+ */
+function listRejectedRequests({ limit = 100 } = {}) {
+  const count = Math.max(1, Math.floor(Number(limit)) || 1);
+  return rejections.slice(-count).reverse();
+}
+
+module.exports = {
+  isWebhookSecretConfigured,
+  createValidationToken,
+  verifyZoomSignature,
+  recordRejectedRequest,
+  listRejectedRequests,
+  safeEqual
+};
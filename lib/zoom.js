@@ -0,0 +1,328 @@
+// =============================================================================
+// ZOOM API CLIENT (Server-to-Server OAuth)
+// =============================================================================
+//
+// One place for talking to Zoom: the access token is cached in storage (so
+// it survives restarts of the server process) and refreshed once per process
+// even when several webhooks need it at the same moment. A 401 is retried once with
+// a fresh token, and 429 responses are retried after the delay Zoom asks for.
+// ZOOM_API_BASE_URL and ZOOM_OAUTH_BASE_URL point the client at a mock server.
+
+const axios = require('axios');
+const { getStorage } = require('./storage');
+
+/**
+ * Storage cache key for the Zoom access token
+ */
+const ZOOM_TOKEN_CACHE_KEY = 'zoomAccessToken';
+
+/**
+ * Storage cache key for the scopes granted with that token
+ */
+const ZOOM_TOKEN_SCOPE_CACHE_KEY = 'zoomAccessTokenScope';
+
+/**
+ * Refresh the token this long before Zoom says it expires
+ */
+const TOKEN_EXPIRY_MARGIN_SECONDS = 300;
+
+/**
+ * Rate-limited requests are retried this often (override with
+ * ZOOM_API_MAX_RETRIES), waiting at most MAX_RETRY_DELAY_MS each time
+ */
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const USER_AGENT = 'Node.js Zoom Webhook Server';
+
+function trimBaseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function getApiBaseUrl() {
+  return trimBaseUrl(process.env.ZOOM_API_BASE_URL || 'https://api.zoom.us/v2');
+}
+
+function getOAuthBaseUrl() {
+  return trimBaseUrl(process.env.ZOOM_OAUTH_BASE_URL || 'https://zoom.us');
+}
+
+function maxRetries() {
+  const retries = parseInt(process.env.ZOOM_API_MAX_RETRIES, 10);
+  return Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_MAX_RETRIES;
+}
+
+/**
+ * Check whether Server-to-Server OAuth credentials are configured
+ */
+function isZoomApiConfigured() {
+  return !!(process.env.ZOOM_CLIENT_ID && process.env.ZOOM_CLIENT_SECRET && process.env.ZOOM_ACCOUNT_ID);
+}
+
+/**
+ * Meeting UUIDs starting with "/" or containing "//" must be encoded twice
+ */
+function encodeMeetingUuid(meetingUuid) {
+  const encoded = encodeURIComponent(meetingUuid);
+  return meetingUuid.startsWith('/') || meetingUuid.includes('//') ? encodeURIComponent(encoded) : encoded;
+}
+
+/**
+ * Only Zoom gets our credentials: https URLs on zoom.us or a subdomain, or
+ * the configured API/OAuth base (a mock server in tests). Recording download
+ * URLs come from webhook payloads, so they are checked before every request.
+ */
+function isTrustedZoomUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol === 'https:' && (parsed.hostname === 'zoom.us' || parsed.hostname.endsWith('.zoom.us'))) {
+    return true;
+  }
+  return [getApiBaseUrl(), getOAuthBaseUrl()].some(base => new URL(base).origin === parsed.origin);
+}
+
+function assertTrustedZoomUrl(url) {
+  if (!isTrustedZoomUrl(url)) {
+    let host = 'an invalid URL';
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      // keep the placeholder
+    }
+    throw new Error(`Refusing to send Zoom credentials to ${host}: not a Zoom URL`);
+  }
+}
+
+// =============================================================================
+// ACCESS TOKEN
+// =============================================================================
+
+/**
+ * Token request in flight, shared by everyone who needs a token meanwhile
+ */
+let pendingTokenRequest = null;
+
+async function requestAccessToken() {
+  if (!isZoomApiConfigured()) {
+    throw new Error('Zoom API credentials not configured. Set ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, and ZOOM_ACCOUNT_ID in .env');
+  }
+
+  const credentials = Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64');
+
+  try {
+    const response = await axios.post(`${getOAuthBaseUrl()}/oauth/token`, null, {
+      params: { grant_type: 'account_credentials', account_id: process.env.ZOOM_ACCOUNT_ID },
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    const { access_token, expires_in, scope } = response.data;
+    if (!access_token) {
+      throw new Error('No access_token in the OAuth response');
+    }
+
+    const expiresIn = Number(expires_in) || 3600;
+    const cacheSeconds = expiresIn > 2 * TOKEN_EXPIRY_MARGIN_SECONDS ? expiresIn - TOKEN_EXPIRY_MARGIN_SECONDS : expiresIn / 2;
+    const storage = await getStorage();
+    await storage.setCacheValue(ZOOM_TOKEN_CACHE_KEY, access_token, Date.now() + cacheSeconds * 1000);
+    await storage.setCacheValue(ZOOM_TOKEN_SCOPE_CACHE_KEY, scope || '', Date.now() + cacheSeconds * 1000);
+
+    console.log(`🔑 Obtained Zoom access token (expires in ${expiresIn}s, ${scope ? scope.split(' ').length : 0} scope(s))`);
+    return access_token;
+
+  } catch (error) {
+    const reason = error.response?.data?.reason || error.response?.data?.error || error.message;
+    console.error('Error getting Zoom access token:', error.response?.status || '', reason);
+    throw new Error(`Failed to get Zoom access token: ${reason}`);
+  }
+}
+
+/**
+ * Return the cached access token or request a new one. Concurrent callers
+ * share a single token request.
+ */
+async function getAccessToken() {
+  const storage = await getStorage();
+  const cachedToken = await storage.getCacheValue(ZOOM_TOKEN_CACHE_KEY);
+  if (cachedToken) {
+    return cachedToken;
+  }
+
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = requestAccessToken().finally(() => {
+      pendingTokenRequest = null;
+    });
+  }
+  return pendingTokenRequest;
+}
+
+/**
+ * Replace a token Zoom rejected. If someone else already replaced it, their
+ * token is used instead of requesting yet another one.
+ */
+async function refreshAccessToken(rejectedToken) {
+  const storage = await getStorage();
+  const cachedToken = await storage.getCacheValue(ZOOM_TOKEN_CACHE_KEY);
+  if (cachedToken === rejectedToken) {
+    await storage.deleteCacheValue(ZOOM_TOKEN_CACHE_KEY);
+  }
+  return getAccessToken();
+}
+
+/**
+ * Scopes granted with the current access token. With `refresh`, a new token
+ * is requested first, e.g. after scopes were changed in the Marketplace.
+ */
+async function getTokenScopes({ refresh = false } = {}) {
+  const storage = await getStorage();
+  if (refresh || await storage.getCacheValue(ZOOM_TOKEN_SCOPE_CACHE_KEY) === null) {
+    await storage.deleteCacheValue(ZOOM_TOKEN_CACHE_KEY);
+  }
+
+  await getAccessToken();
+  const scope = await storage.getCacheValue(ZOOM_TOKEN_SCOPE_CACHE_KEY);
+  return String(scope || '').split(/\s+/).filter(Boolean);
+}
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+/**
+ * Milliseconds to wait before retrying a 429: Retry-After (seconds or date),
+ * otherwise exponential backoff. Returns null when Zoom's daily limit is
+ * exhausted, as retrying within the job is pointless then.
+ */
+function retryDelayMs(response, attempt) {
+  if (/daily/i.test(response.headers?.['x-ratelimit-type'] || '')) {
+    return null;
+  }
+
+  const retryAfter = response.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+  return BASE_RETRY_DELAY_MS * 2 ** attempt;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a request with the OAuth token. `url` is a path below
+ * ZOOM_API_BASE_URL or an absolute Zoom URL (recording downloads); any
+ * other host is refused. Returns the axios response; errors carry the HTTP
+ * `status`.
+ */
+async function zoomRequest({ method = 'GET', url, params, data, responseType, timeout = 30000 }) {
+  const fullUrl = /^https?:\/\//.test(url) ? url : `${getApiBaseUrl()}${url}`;
+  assertTrustedZoomUrl(fullUrl);
+
+  let token = await getAccessToken();
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.request({
+        method,
+        url: fullUrl,
+        params,
+        data,
+        responseType,
+        timeout,
+        maxContentLength: Infinity,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'User-Agent': USER_AGENT,
+          'Accept': 'application/json'
+        }
+      });
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status === 401 && !refreshed) {
+        console.warn(`⚠️ Zoom rejected the access token for ${method} ${url}, refreshing it`);
+        token = await refreshAccessToken(token);
+        refreshed = true;
+        attempt--;
+        continue;
+      }
+
+      if (status === 429 && attempt < maxRetries()) {
+        const delay = retryDelayMs(error.response, attempt);
+        if (delay !== null && delay <= MAX_RETRY_DELAY_MS) {
+          console.warn(`⏳ Zoom rate limit hit for ${method} ${url}, retrying in ${Math.round(delay / 1000)}s`);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      const message = error.response?.data?.message || error.message;
+      const wrapped = new Error(`Zoom API ${method} ${url} failed: ${message}`);
+      wrapped.status = status || null;
+      throw wrapped;
+    }
+  }
+}
+
+/**
+ * Recording files of a meeting (GET /meetings/{uuid}/recordings)
+ */
+async function getMeetingRecordings(meetingUuid) {
+  console.log(`Fetching recordings for meeting ${meetingUuid}...`);
+  const response = await zoomRequest({ url: `/meetings/${encodeMeetingUuid(meetingUuid)}/recordings` });
+  return response.data;
+}
+
+/**
+ * Download a recording file from a Zoom URL. Without API credentials the
+ * `downloadToken` sent with the recording webhook is used instead of the
+ * OAuth token.
+ */
+async function downloadRecording(downloadUrl, { responseType = 'text', downloadToken = null } = {}) {
+  const timeout = responseType === 'arraybuffer' ? 300000 : 30000;
+  assertTrustedZoomUrl(downloadUrl);
+
+  if (isZoomApiConfigured() || !downloadToken) {
+    const response = await zoomRequest({ url: downloadUrl, responseType, timeout });
+    return response.data;
+  }
+
+  const response = await axios.get(downloadUrl, {
+    params: { access_token: downloadToken },
+    headers: { 'User-Agent': USER_AGENT },
+    responseType,
+    timeout,
+    maxContentLength: Infinity
+  });
+  return response.data;
+}
+
+module.exports = {
+  getApiBaseUrl,
+  getOAuthBaseUrl,
+  isZoomApiConfigured,
+  isTrustedZoomUrl,
+  encodeMeetingUuid,
+  getAccessToken,
+  refreshAccessToken,
+  getTokenScopes,
+  zoomRequest,
+  getMeetingRecordings,
+  downloadRecording
+};
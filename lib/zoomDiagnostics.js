@@ -0,0 +1,148 @@
+// =============================================================================
+// ZOOM SCOPE DIAGNOSTICS
+// =============================================================================
+//
+// A Server-to-Server OAuth app only gets the scopes enabled (and saved) in the
+// Zoom Marketplace. When the recording scopes are missing, every API call
+// fails with 401/403 and the token itself is the only clue. This check
+// requests a token and compares its scopes with what each feature needs.
+// It reports which credentials are set, never their values.
+
+const { getTokenScopes, getApiBaseUrl, getOAuthBaseUrl } = require('./zoom');
+
+/**
+ * Scopes each feature needs. Any one scope of `anyOf` is enough: granular
+ * scopes first (the first one is the one to enable), then classic scopes.
+ */
+const FEATURE_SCOPES = [
+  {
+    feature: 'recordings',
+    description: 'List a meeting\'s recording files (GET /meetings/{uuid}/recordings)',
+    degraded: 'Only the recording files sent with recording.completed are used; reprocessing a meeting cannot look them up again',
+    anyOf: ['cloud_recording:read:list_recording_files:admin', 'cloud_recording:read:recording:admin', 'recording:read:admin']
+  },
+  {
+    feature: 'transcripts',
+    description: 'Download audio transcripts and recording files',
+    degraded: 'Transcripts and audio can only be downloaded with the webhook download_token (valid 24 hours), otherwise no feedback is generated',
+    anyOf: ['cloud_recording:read:meeting_transcript:admin', 'cloud_recording:read:recording:admin', 'recording:read:admin']
+  },
+  {
+    feature: 'participants',
+    description: 'Past meeting participants (GET /past_meetings/{uuid}/participants)',
+    degraded: 'Participants are known only from participant_joined/left webhooks; anyone whose event was missed is missing from attendance and gets no feedback',
+    anyOf: ['meeting:read:list_past_participants:admin', 'report:read:list_meeting_participants:admin', 'meeting:read:admin', 'report:read:admin']
+  }
+];
+
+const PLACEHOLDERS = {
+  ZOOM_CLIENT_ID: 'your_zoom_client_id_here',
+  ZOOM_CLIENT_SECRET: 'your_zoom_client_secret_here'
+};
+
+/**
+ * 'set', 'missing' or 'placeholder' for each credential - never the value
+ */
+function describeCredentials() {
+  return Object.fromEntries(['ZOOM_CLIENT_ID', 'ZOOM_CLIENT_SECRET', 'ZOOM_ACCOUNT_ID'].map(name => {
+    const value = process.env[name];
+    const state = !value ? 'missing' : value === PLACEHOLDERS[name] ? 'placeholder' : 'set';
+    return [name, state];
+  }));
+}
+
+/**
+ * Compare granted scopes with FEATURE_SCOPES
+ */
+function checkScopes(scopes) {
+  const granted = new Set(scopes);
+
+  const features = FEATURE_SCOPES.map(({ feature, description, degraded, anyOf }) => {
+    const grantedBy = anyOf.filter(scope => granted.has(scope));
+    return {
+      feature,
+      description,
+      ok: grantedBy.length > 0,
+      grantedBy,
+      acceptedScopes: anyOf,
+      missingScope: grantedBy.length > 0 ? null : anyOf[0],
+      degraded: grantedBy.length > 0 ? null : degraded
+    };
+  });
+
+  const missing = features.filter(feature => !feature.ok);
+  return {
+    features,
+    missingScopes: [...new Set(missing.map(feature => feature.missingScope))],
+    degradedFeatures: missing.map(feature => feature.feature),
+    marketplaceOnly: scopes.length > 0 && scopes.every(scope => scope.startsWith('marketplace:'))
+  };
+}
+
+/**
+ * Full diagnosis: credentials, token request and scope comparison. With
+ * `refresh`, a new token is requested instead of using the cached one.
+ */
+async function diagnoseZoomAccess({ refresh = false } = {}) {
+  const credentials = describeCredentials();
+  const result = {
+    configured: Object.values(credentials).every(state => state === 'set'),
+    credentials,
+    apiBaseUrl: getApiBaseUrl(),
+    oauthBaseUrl: getOAuthBaseUrl(),
+    token: { obtained: false, error: null },
+    scopes: [],
+    features: [],
+    missingScopes: [],
+    degradedFeatures: FEATURE_SCOPES.map(({ feature }) => feature),
+    marketplaceOnly: false
+  };
+
+  if (!result.configured) {
+    result.token.error = 'Zoom API credentials are missing or still placeholders';
+    return result;
+  }
+
+  try {
+    result.scopes = await getTokenScopes({ refresh });
+    result.token.obtained = true;
+  } catch (error) {
+    result.token.error = error.message;
+    return result;
+  }
+
+  return { ...result, ...checkScopes(result.scopes) };
+}
+
+/**
+ * Startup self-check: log which scopes are missing and which features are
+ * degraded
+ */
+async function runZoomSelfCheck() {
+  const diagnosis = await diagnoseZoomAccess();
+
+  if (!diagnosis.token.obtained) {
+    console.warn(`⚠️ Zoom self-check: no access token (${diagnosis.token.error}). Degraded: ${diagnosis.degradedFeatures.join(', ')}`);
+    return diagnosis;
+  }
+
+  if (diagnosis.degradedFeatures.length === 0) {
+    console.log(`✅ Zoom self-check: token has the scopes for ${FEATURE_SCOPES.map(({ feature }) => feature).join(', ')}`);
+    return diagnosis;
+  }
+
+  if (diagnosis.marketplaceOnly) {
+    console.warn('⚠️ Zoom self-check: the token only carries marketplace:* scopes - add the scopes below to the app and save/activate it');
+  }
+  for (const feature of diagnosis.features.filter(feature => !feature.ok)) {
+    console.warn(`⚠️ Zoom self-check: ${feature.feature} degraded, missing scope ${feature.missingScope} - ${feature.degraded}`);
+  }
+  return diagnosis;
+}
+
+module.exports = {
+  FEATURE_SCOPES,
+  checkScopes,
+  diagnoseZoomAccess,
+  runZoomSelfCheck
+};
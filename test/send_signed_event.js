@@ -1,19 +1,24 @@
 // A small helper to send a properly signed Zoom webhook request to the local server.
 // Usage: set ZOOM_WEBHOOK_SECRET_TOKEN in .env or environment, then run:
-// node test/send_signed_event.js
+// node test/send_signed_event.js [event]
+// e.g. `node test/send_signed_event.js endpoint.url_validation` for the
+// (signed) URL validation challenge
 
 require('dotenv').config();
 const crypto = require('crypto');
 const http = require('http');
 
 const SECRET = process.env.ZOOM_WEBHOOK_SECRET_TOKEN || 'test-secret';
-const payload = {
-  event: 'meeting.participant_joined',
-  payload: {
-    participant: { id: 'p-123', name: 'Test User' },
-    meeting: { id: 'm-456' }
-  }
-};
+const event = process.argv[2] || 'meeting.participant_joined';
+const payload = event === 'endpoint.url_validation'
+  ? { event, payload: { plainToken: 'test-token-123' } }
+  : {
+    event,
+    payload: {
+      participant: { id: 'p-123', name: 'Test User' },
+      meeting: { id: 'm-456' }
+    }
+  };
 
 const body = JSON.stringify(payload);
 const timestamp = Math.floor(Date.now() / 1000).toString();
@@ -23,7 +28,7 @@ const signature = `v0=${hash}`;
 
 const options = {
   hostname: 'localhost',
-  port: 3000,
+  port: process.env.PORT || 3000,
   path: '/api/zoom-webhook',
   method: 'POST',
   headers: {
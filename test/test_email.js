@@ -0,0 +1,43 @@
+// Test script for SMTP feedback delivery
+// Point SMTP_HOST/SMTP_PORT at a local capture server (e.g. MailHog on localhost:1025), then run:
+// node test/test_email.js recipient@example.com
+require('dotenv').config();
+const { isEmailConfigured, renderFeedbackEmail, sendFeedbackEmail } = require('../lib/email');
+
+const mockFeedback = {
+  overallAssessment: 'Ein lebendiges Gespräch mit guter Balance zwischen beiden Partnern.',
+  participants: {
+    'Anna Müller': {
+      level: 'B1',
+      strengths: ['Aktive Teilnahme', 'Gute Aussprache'],
+      grammar: { score: 6, feedback: 'Achte auf die Verbstellung im Nebensatz.', examples: ['"weil ich habe Zeit" → "weil ich Zeit habe"'] },
+      vocabulary: { score: 7, feedback: 'Guter Alltagswortschatz.', suggestions: ['"eigentlich" statt "actually"'] },
+      fluency: { score: 7, feedback: 'Flüssig, mit wenigen Pausen.' },
+      improvements: ['Nebensätze mit "weil" üben'],
+      resources: ['Deutsche Welle: Nicos Weg B1']
+    }
+  },
+  conversationQuality: { score: 8, feedback: 'Gute Interaktion' },
+  nextSteps: ['Über Reisepläne sprechen']
+};
+
+async function testEmailDelivery() {
+  console.log('📧 Testing SMTP feedback delivery...');
+
+  const participant = { name: 'Anna Müller', email: process.argv[2] || 'anna@example.com' };
+  const section = mockFeedback.participants[participant.name];
+
+  const rendered = renderFeedbackEmail(participant, section, mockFeedback);
+  console.log('✅ Rendered email:', rendered.subject);
+  console.log(rendered.text);
+
+  if (!isEmailConfigured()) {
+    console.log('❌ SMTP_HOST not configured. Set SMTP_HOST and SMTP_PORT in .env');
+    return;
+  }
+
+  const status = await sendFeedbackEmail(participant, section, mockFeedback);
+  console.log('\n📊 Delivery status:', JSON.stringify(status, null, 2));
+}
+
+testEmailDelivery().catch(console.error);
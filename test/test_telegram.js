@@ -0,0 +1,47 @@
+// Test script for Telegram feedback delivery
+// Set TELEGRAM_BOT_TOKEN (and TELEGRAM_API_BASE_URL to use a local fake Bot API), then run:
+// node test/test_telegram.js <chat_id>
+require('dotenv').config();
+const { isTelegramConfigured, formatFeedbackMessage, splitMessage, sendFeedbackTelegram } = require('../lib/telegram');
+
+const mockFeedback = {
+  overallAssessment: 'Ein lebendiges Gespräch mit guter Balance zwischen beiden Partnern.',
+  participants: {
+    'Anna Müller': {
+      level: 'B1',
+      strengths: ['Aktive Teilnahme', 'Gute Aussprache'],
+      grammar: { score: 6, feedback: 'Achte auf die Verbstellung im Nebensatz (z.B. "weil ich Zeit habe").', examples: [] },
+      vocabulary: { score: 7, feedback: 'Guter Alltagswortschatz.', suggestions: [] },
+      fluency: { score: 7, feedback: 'Flüssig, mit wenigen Pausen.' },
+      improvements: ['Nebensätze mit "weil" üben'],
+      resources: ['Deutsche Welle: Nicos Weg B1']
+    }
+  },
+  conversationQuality: { score: 8, feedback: 'Gute Interaktion' },
+  nextSteps: ['Über Reisepläne sprechen']
+};
+
+async function testTelegramDelivery() {
+  console.log('💬 Testing Telegram feedback delivery...');
+
+  const participant = { name: 'Anna Müller', email: 'anna@example.com' };
+  const section = mockFeedback.participants[participant.name];
+
+  const message = formatFeedbackMessage(participant, section, mockFeedback);
+  console.log('✅ Formatted MarkdownV2 message:');
+  console.log(message);
+
+  const longMessage = Array(300).fill('Eine sehr lange Zeile mit Feedback\\.').join('\n');
+  console.log(`✅ Long message split into ${splitMessage(longMessage).length} chunks`);
+
+  const chatId = process.argv[2];
+  if (!isTelegramConfigured() || !chatId) {
+    console.log('❌ TELEGRAM_BOT_TOKEN or chat id missing. Usage: node test/test_telegram.js <chat_id>');
+    return;
+  }
+
+  const status = await sendFeedbackTelegram(chatId, participant, section, mockFeedback);
+  console.log('\n📊 Delivery status:', JSON.stringify(status, null, 2));
+}
+
+testTelegramDelivery().catch(console.error);
@@ -1,6 +1,7 @@
 // Test script for Zoom API integration
 require('dotenv').config();
-const axios = require('axios');
+const { getAccessToken, zoomRequest } = require('../lib/zoom');
+const { parseVTT, formatTranscript } = require('../lib/transcript');
 
 // Test Zoom API access and VTT parsing
 async function testZoomAPI() {
@@ -27,38 +28,16 @@ async function testZoomAPI() {
   console.log('✅ Zoom credentials configured');
   
   try {
-    // Test Server-to-Server OAuth
+    // Test Server-to-Server OAuth (same client the server uses)
     console.log('\n🔑 Testing Zoom OAuth...');
-    
-    const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-    
-    const response = await axios.post('https://zoom.us/oauth/token', 
-      'grant_type=client_credentials',
-      {
-        headers: {
-          'Authorization': `Basic ${credentials}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
-
-    const { access_token, expires_in, token_type } = response.data;
-    
+    await getAccessToken();
     console.log('✅ Successfully obtained access token');
-    console.log(`📅 Token expires in: ${expires_in} seconds`);
-    console.log(`🔑 Token type: ${token_type}`);
-    console.log(`🎫 Token preview: ${access_token.substring(0, 20)}...`);
     
     // Test API call with the token
     console.log('\n📊 Testing API call with token...');
     
     try {
-      const userResponse = await axios.get('https://api.zoom.us/v2/users/me', {
-        headers: {
-          'Authorization': `Bearer ${access_token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const userResponse = await zoomRequest({ url: '/users/me' });
       
       console.log('✅ API call successful');
       console.log(`👤 Account: ${userResponse.data.account_id}`);
@@ -66,16 +45,13 @@ async function testZoomAPI() {
       console.log(`🏢 Account type: ${userResponse.data.type}`);
       
     } catch (apiError) {
-      console.log('❌ API call failed:', apiError.response?.data || apiError.message);
+      console.log('❌ API call failed:', apiError.message);
     }
     
   } catch (error) {
-    console.error('❌ OAuth failed:', error.response?.data || error.message);
-    
-    if (error.response?.status === 401) {
-      console.log('💡 Check that your Client ID and Client Secret are correct');
-      console.log('💡 Make sure your Zoom app has Server-to-Server OAuth enabled');
-    }
+    console.error('❌ OAuth failed:', error.message);
+    console.log('💡 Check ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET and ZOOM_ACCOUNT_ID');
+    console.log('💡 Make sure your Zoom app is a Server-to-Server OAuth app and is activated');
   }
 }
 
@@ -101,47 +77,7 @@ Mike Chen: Morning all. Just to clarify, are we still targeting the same deadlin
 00:00:15.500 --> 00:00:20.000
 John Smith: Yes, the deadline hasn't changed. Sarah, can you walk us through the stories?`;
 
-  // Import the parsing function from index.js
-  function parseVTTToText(vttContent) {
-    const lines = vttContent.split('\n');
-    const textLines = [];
-    let currentSpeaker = '';
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Skip VTT headers, timing lines, and empty lines
-      if (line === '' || line.startsWith('WEBVTT') || line.includes('-->') || /^\d+$/.test(line)) {
-        continue;
-      }
-      
-      // Extract speaker name if present
-      if (line.includes(':') && !line.includes('-->')) {
-        const colonIndex = line.indexOf(':');
-        const potentialSpeaker = line.substring(0, colonIndex).trim();
-        const potentialText = line.substring(colonIndex + 1).trim();
-        
-        if (potentialText.length > 0 && potentialSpeaker.length < 50) {
-          currentSpeaker = potentialSpeaker;
-          if (potentialText) {
-            textLines.push(`${currentSpeaker}: ${potentialText}`);
-          }
-        } else {
-          textLines.push(line);
-        }
-      } else {
-        if (currentSpeaker) {
-          textLines.push(`${currentSpeaker}: ${line}`);
-        } else {
-          textLines.push(line);
-        }
-      }
-    }
-    
-    return textLines.join('\n');
-  }
-  
-  const parsedText = parseVTTToText(sampleVTT);
+  const parsedText = formatTranscript(parseVTT(sampleVTT));
   
   console.log('📄 Sample VTT input:');
   console.log(sampleVTT.substring(0, 200) + '...');
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeIntervals, buildAttendanceTimeline, receivesFeedback, selectAttendees } = require('../../lib/attendance');
+
+const at = minute => new Date(Date.UTC(2026, 0, 15, 10, minute)).toISOString();
+
+test('mergeIntervals merges overlapping and touching intervals in any order', () => {
+  assert.deepEqual(mergeIntervals([
+    { start: 50, end: 60 },
+    { start: 0, end: 10 },
+    { start: 10, end: 20 },
+    { start: 15, end: 30 }
+  ]), [{ start: 0, end: 30 }, { start: 50, end: 60 }]);
+  assert.deepEqual(mergeIntervals([]), []);
+});
+
+test('mergeIntervals does not modify its input', () => {
+  const intervals = [{ start: 0, end: 10 }, { start: 5, end: 20 }];
+  mergeIntervals(intervals);
+  assert.deepEqual(intervals, [{ start: 0, end: 10 }, { start: 5, end: 20 }]);
+});
+
+test('buildAttendanceTimeline adds up reconnects and parallel devices per person', () => {
+  const [anna] = buildAttendanceTimeline([
+    { id: 'a1', name: 'Anna Müller', email: 'anna@example.com', joinTime: at(0), leaveTime: at(10) },
+    { id: 'a2', name: 'Anna (iPhone)', email: 'ANNA@example.com', joinTime: at(5), leaveTime: at(15) },
+    { id: 'a3', name: 'Anna Müller', email: 'anna@example.com', joinTime: at(30), leaveTime: at(40) }
+  ]);
+
+  assert.equal(anna.id, 'a3');
+  assert.equal(anna.joins, 3);
+  assert.equal(anna.reconnects, 1);
+  assert.equal(anna.presenceMinutes, 25);
+  assert.deepEqual(anna.names, ['Anna Müller', 'Anna (iPhone)']);
+  assert.deepEqual(anna.intervals.map(interval => interval.minutes), [15, 10]);
+  assert.equal(anna.firstJoin, at(0));
+  assert.equal(anna.lastLeave, at(40));
+  assert.equal(anna.complete, true);
+});
+
+test('buildAttendanceTimeline groups by learner, email, Zoom user ID, then name', () => {
+  const timeline = buildAttendanceTimeline([
+    { id: 1, name: 'Ben', learnerId: 'learner-ben', joinTime: at(0), leaveTime: at(5) },
+    { id: 2, name: 'Ben Laptop', learnerId: 'learner-ben', joinTime: at(5), leaveTime: at(9) },
+    { id: 3, name: 'Carla', zoomUserId: 'z-carla', joinTime: at(0), leaveTime: at(5) },
+    { id: 4, name: 'Carla Phone', zoomUserId: 'z-carla', joinTime: at(6), leaveTime: at(7) },
+    { id: 5, name: 'Dieter', joinTime: at(0), leaveTime: at(3) },
+    { id: 6, name: 'dieter', joinTime: at(4), leaveTime: at(5) }
+  ]);
+
+  assert.deepEqual(timeline.map(person => [person.name, person.joins, person.presenceMinutes]), [
+    ['Ben', 2, 9],
+    ['Carla', 2, 6],
+    ['Dieter', 2, 4]
+  ]);
+});
+
+test('buildAttendanceTimeline ends open intervals at the meeting end or the last recorded activity', () => {
+  const rows = [
+    { id: 1, name: 'Anna', joinTime: at(0), leaveTime: null },
+    { id: 2, name: 'Ben', joinTime: at(0), leaveTime: at(20) }
+  ];
+
+  const [annaAtEnd] = buildAttendanceTimeline(rows, { meetingEnd: at(45) });
+  assert.equal(annaAtEnd.presenceMinutes, 45);
+  assert.equal(annaAtEnd.lastLeave, null);
+
+  const [annaAtLastActivity] = buildAttendanceTimeline(rows);
+  assert.equal(annaAtLastActivity.presenceMinutes, 20);
+});
+
+test('buildAttendanceTimeline marks presence incomplete when an interval cannot be measured', () => {
+  const [anna] = buildAttendanceTimeline([
+    { id: 1, name: 'Anna', joinTime: at(0), leaveTime: at(2) },
+    { id: 2, name: 'Anna', joinTime: 'not a time', leaveTime: at(10) }
+  ]);
+
+  assert.equal(anna.complete, false);
+  assert.equal(anna.presenceMinutes, 2);
+  assert.equal(receivesFeedback(anna, 5), true);
+});
+
+test('selectAttendees keeps everyone present for at least the minimum time', () => {
+  const timeline = buildAttendanceTimeline([
+    { id: 1, name: 'Anna', email: 'anna@example.com', joinTime: at(0), leaveTime: at(30) },
+    { id: 2, name: 'Ben', joinTime: at(0), leaveTime: at(2) },
+    { id: 3, name: 'Ben', joinTime: at(10), leaveTime: at(13) }
+  ]);
+
+  const { attendees, absent } = selectAttendees(timeline, 6);
+  assert.deepEqual(attendees, [{
+    id: 1,
+    zoomUserId: null,
+    name: 'Anna',
+    email: 'anna@example.com',
+    joinTime: at(0),
+    leaveTime: at(30),
+    presenceMinutes: 30
+  }]);
+  assert.deepEqual(absent.map(person => [person.name, person.presenceMinutes]), [['Ben', 5]]);
+
+  assert.deepEqual(selectAttendees(timeline, 5).attendees.map(person => person.name), ['Anna', 'Ben']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findWordOverlap, stitchSegments } = require('../../lib/audioChunking');
+
+const texts = segments => segments.map(segment => segment.text);
+
+test('findWordOverlap counts repeated words across the seam, ignoring case and punctuation', () => {
+  assert.equal(findWordOverlap('we went to the Market.', 'the market, and then'), 2);
+  assert.equal(findWordOverlap('one two three', 'four five'), 0);
+});
+
+test('stitchSegments shifts chunk-local times to global times', () => {
+  const merged = stitchSegments([
+    { start: 0, segments: [{ start: 0, end: 4, text: ' Hallo zusammen. ' }] },
+    { start: 590, segments: [{ start: 10, end: 14, text: 'Wie geht es dir?' }] }
+  ], 10);
+
+  assert.deepEqual(merged.map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 0, end: 4, text: 'Hallo zusammen.' },
+    { start: 600, end: 604, text: 'Wie geht es dir?' }
+  ]);
+});
+
+test('stitchSegments keeps a segment straddling the seam and drops the words already transcribed', () => {
+  // Chunk 1 covers 0-600, chunk 2 starts at 590: the seam is at 595
+  const merged = stitchSegments([
+    { start: 0, segments: [
+      { start: 580, end: 592, text: 'On Saturday we went to the market.' },
+      { start: 592, end: 600, text: 'In the morning we' }
+    ] },
+    { start: 590, segments: [
+      { start: 0, end: 2, text: 'the market.' },
+      { start: 2, end: 15, text: 'In the morning we bought fresh bread for the family.' },
+      { start: 15, end: 20, text: 'It was great.' }
+    ] }
+  ], 10);
+
+  assert.deepEqual(texts(merged), [
+    'On Saturday we went to the market.',
+    'In the morning we',
+    'bought fresh bread for the family.',
+    'It was great.'
+  ]);
+  assert.equal(merged[2].start, 600);
+});
+
+test('stitchSegments trims by time when the overlap was heard differently', () => {
+  const merged = stitchSegments([
+    { start: 0, segments: [{ start: 590, end: 600, text: 'one two three four' }] },
+    { start: 590, segments: [{ start: 0, end: 20, text: 'won too tree for five six seven eight' }] }
+  ], 10);
+
+  assert.deepEqual(texts(merged), ['one two three four', 'five six seven eight']);
+});
+
+test('stitchSegments drops empty segments', () => {
+  const merged = stitchSegments([{ start: 0, segments: [{ start: 0, end: 1, text: '  ' }, { start: 1, end: 2, text: 'Ja.' }] }], 10);
+  assert.deepEqual(texts(merged), ['Ja.']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, chunkCues, mergeObservations, keepChunkExamples } = require('../../lib/feedbackChunking');
+const { formatTranscript } = require('../../lib/transcript');
+
+/**
+ * Cues of alternating turns: [['Anna', 3], ['Ben', 2]] -> 3 Anna cues, 2 Ben cues
+ */
+function buildCues(turns, text = 'Das ist ein ganz normaler Satz im Gespräch.') {
+  const cues = [];
+  for (const [speaker, count] of turns) {
+    for (let i = 0; i < count; i++) {
+      cues.push({ start: cues.length * 5, end: cues.length * 5 + 4, speaker, text });
+    }
+  }
+  return cues;
+}
+
+const chunkTokens = chunk => estimateTokens(formatTranscript(chunk.cues)) + chunk.cues.length;
+
+test('estimateTokens assumes about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('abcdefghi'), 3);
+});
+
+test('chunkCues keeps a short transcript in one chunk', () => {
+  const cues = buildCues([['Anna', 2], ['Ben', 2]]);
+  const chunks = chunkCues(cues, { maxTokens: 10000 });
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0], { index: 0, cues, start: 0, end: 19 });
+});
+
+test('chunkCues cuts between speaker turns and stays within the budget', () => {
+  const cues = buildCues([['Anna', 3], ['Ben', 3], ['Anna', 3], ['Ben', 3]]);
+  const perCue = estimateTokens(formatTranscript([cues[0]])) + 1;
+  const chunks = chunkCues(cues, { maxTokens: perCue * 7 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.cues.length), [6, 6]);
+  assert.deepEqual(chunks.flatMap(chunk => chunk.cues), cues);
+  for (const chunk of chunks) {
+    assert.ok(chunkTokens(chunk) <= perCue * 7);
+    assert.equal(chunk.start, chunk.cues[0].start);
+    assert.equal(chunk.end, chunk.cues[chunk.cues.length - 1].end);
+  }
+});
+
+test('chunkCues splits a turn longer than the budget between its cues', () => {
+  const cues = buildCues([['Anna', 1], ['Ben', 10]]);
+  const perCue = estimateTokens(formatTranscript([cues[0]])) + 1;
+  const chunks = chunkCues(cues, { maxTokens: perCue * 4 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.cues.length), [1, 4, 4, 2]);
+  assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1, 2, 3]);
+  assert.deepEqual(chunks.flatMap(chunk => chunk.cues), cues);
+});
+
+test('mergeObservations merges speakers across chunks and labels notes with the chunk range', () => {
+  const merged = mergeObservations([
+    {
+      chunk: { start: 0, end: 600 },
+      observations: {
+        participants: { 'Anna Müller': { level: 'B1', grammarExamples: ['[03:00] ich habe gegeht → ich bin gegangen'], fluencyNotes: ['Zögert oft'] } },
+        conversationNotes: ['Begrüßung']
+      }
+    },
+    {
+      chunk: { start: 600, end: 1200 },
+      observations: {
+        participants: { 'anna muller': { level: 'B2', grammarExamples: ['[03:00] ich habe gegeht → ich bin gegangen', '[12:00] wegen dem → wegen des'] } },
+        conversationNotes: []
+      }
+    }
+  ]);
+
+  assert.deepEqual(Object.keys(merged.participants), ['Anna Müller']);
+  const anna = merged.participants['Anna Müller'];
+  assert.deepEqual(anna.levels, ['00:00-10:00: B1', '10:00-20:00: B2']);
+  assert.deepEqual(anna.grammarExamples, ['[03:00] ich habe gegeht → ich bin gegangen', '[12:00] wegen dem → wegen des']);
+  assert.deepEqual(anna.fluencyNotes, ['[00:00-10:00] Zögert oft']);
+  assert.deepEqual(merged.conversationNotes, ['[00:00-10:00] Begrüßung']);
+});
+
+test('keepChunkExamples adds an example for chunks the final feedback does not cite', () => {
+  const results = [
+    { chunk: { start: 0, end: 600 }, observations: { participants: { Anna: { grammarExamples: ['[03:00] a → b'] } } } },
+    { chunk: { start: 600, end: 1200 }, observations: { participants: { Anna: { grammarExamples: ['[15:00] c → d', '[16:00] e → f'] } } } },
+    { chunk: { start: 1200, end: 1800 }, observations: { participants: { Anna: { grammarExamples: [] } } } }
+  ];
+  const feedback = { participants: { Anna: { grammar: { score: 6, feedback: '', examples: ['[04:00] g → h'] } } } };
+
+  keepChunkExamples(feedback, results);
+  assert.deepEqual(feedback.participants.Anna.grammar.examples, ['[04:00] g → h', '[15:00] c → d']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFeedback, repairFeedback, normalizeObservations } = require('../../lib/feedbackSchema');
+const { getLanguagePack, listLanguageCodes } = require('../../lib/languagePacks');
+
+function section(overrides = {}) {
+  return {
+    level: 'B1',
+    strengths: ['Klare Aussprache'],
+    grammar: { score: 7, feedback: 'Gut', examples: ['ich habe gegeht → ich bin gegangen'] },
+    vocabulary: { score: 6, feedback: 'Solide', suggestions: ['eigentlich'] },
+    fluency: { score: 8, feedback: 'Flüssig' },
+    improvements: ['Perfekt mit sein üben'],
+    resources: ['Deutsche Welle'],
+    ...overrides
+  };
+}
+
+function feedback(participants) {
+  return {
+    overallAssessment: 'Ein gutes Gespräch.',
+    participants,
+    conversationQuality: { score: 8, feedback: 'Lebhaft' },
+    nextSteps: ['Weiter so']
+  };
+}
+
+test('validateFeedback accepts a complete feedback object', () => {
+  const result = validateFeedback(feedback({ 'Anna Müller': section() }), { expectedParticipants: [{ name: 'Anna Müller' }] });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+});
+
+test('validateFeedback coerces obvious slips', () => {
+  const result = validateFeedback(feedback({
+    'Anna Müller': section({
+      level: 'b1+',
+      grammar: { score: '7/10', feedback: 'Gut', examples: 'ich habe gegeht' },
+      improvements: null
+    })
+  }));
+
+  assert.equal(result.valid, true);
+  const anna = result.feedback.participants['Anna Müller'];
+  assert.equal(anna.level, 'B1');
+  assert.equal(anna.grammar.score, 7);
+  assert.deepEqual(anna.grammar.examples, ['ich habe gegeht']);
+  assert.deepEqual(anna.improvements, []);
+});
+
+test('validateFeedback reports missing sections, fields and out-of-range scores', () => {
+  const result = validateFeedback(
+    { participants: { 'Anna Müller': section({ fluency: { score: 12, feedback: 'x' }, level: 'expert' }) } },
+    { expectedParticipants: [{ name: 'Anna Müller' }, { name: 'Ben Roth' }] }
+  );
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    'feedback.overallAssessment is required',
+    'feedback.conversationQuality is required',
+    'feedback.participants.Anna Müller.level must be one of A1, A2, B1, B2, C1, C2 (got "expert")',
+    'feedback.participants.Anna Müller.fluency.score must be between 1 and 10 (got 12)',
+    'feedback.participants is missing a section for "Ben Roth"'
+  ]);
+});
+
+test('validateFeedback matches expected participants by name variants', () => {
+  const result = validateFeedback(feedback({ 'anna mueller': section() }), { expectedParticipants: [{ name: 'Anna Müller' }] });
+  assert.equal(result.valid, true);
+});
+
+test('repairFeedback fills defaults and clamps scores', () => {
+  const { feedback: repaired, errors } = repairFeedback({
+    participants: { Anna: { level: 'expert', grammar: { score: 0 }, fluency: 'gut' } },
+    nextSteps: 'Mehr sprechen'
+  });
+
+  assert.ok(errors.length > 0);
+  assert.equal(repaired.overallAssessment, '');
+  assert.deepEqual(repaired.conversationQuality, { score: null, feedback: '' });
+  assert.deepEqual(repaired.nextSteps, ['Mehr sprechen']);
+  assert.deepEqual(repaired.participants.Anna, {
+    level: null,
+    strengths: [],
+    grammar: { score: 1, feedback: '', examples: [] },
+    vocabulary: { score: null, feedback: '', suggestions: [] },
+    fluency: { score: null, feedback: '' },
+    improvements: [],
+    resources: []
+  });
+});
+
+test('repairFeedback uses null for a missing level, like for an invalid one', () => {
+  const { level, ...withoutLevel } = section();
+  const { feedback: repaired } = repairFeedback({ participants: { Anna: withoutLevel, Ben: section({ level: 'expert' }) } });
+  assert.equal(repaired.participants.Anna.level, null);
+  assert.equal(repaired.participants.Ben.level, null);
+});
+
+test('every language pack\'s mock feedback passes validation', () => {
+  for (const code of listLanguageCodes()) {
+    const result = validateFeedback(getLanguagePack(code).mockFeedback);
+    assert.deepEqual(result.errors, [], code);
+  }
+});
+
+test('repairFeedback turns anything into an object with every required field', () => {
+  const { feedback: repaired } = repairFeedback('not an object');
+  assert.deepEqual(repaired, {
+    overallAssessment: '',
+    participants: {},
+    conversationQuality: { score: null, feedback: '' },
+    nextSteps: []
+  });
+});
+
+test('normalizeObservations keeps optional observation lists', () => {
+  const { observations } = normalizeObservations({ participants: { Anna: { grammarExamples: 'der Hund → dem Hund' } } });
+  assert.deepEqual(observations, {
+    participants: { Anna: { grammarExamples: ['der Hund → dem Hund'] } },
+    conversationNotes: []
+  });
+});
@@ -0,0 +1,77 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchParticipantKey } = require('../../lib/recipients');
+const { registerLearner, addLearnerAliases, rememberParticipant, resolveName, resolveLearner, resolveParticipants } = require('../../lib/learners');
+
+test('matchParticipantKey tries exact, normalized, word-prefix, email and fuzzy matches', () => {
+  const anna = { name: 'Anna Müller', email: 'anna.schmidt@example.com' };
+
+  assert.deepEqual(matchParticipantKey(anna, ['Ben', 'Anna Müller']), { key: 'Anna Müller' });
+  assert.deepEqual(matchParticipantKey(anna, ['ANNA MULLER']), { key: 'ANNA MULLER' });
+  assert.deepEqual(matchParticipantKey(anna, ['Anna', 'Ben']), { key: 'Anna' });
+  assert.deepEqual(matchParticipantKey(anna, ['anna.schmidt']), { key: 'anna.schmidt' });
+  assert.deepEqual(matchParticipantKey(anna, ['Ana Müller']), { key: 'Ana Müller' });
+  assert.deepEqual(matchParticipantKey({ name: 'Jürgen Roth', aliases: ['Jogi'] }, ['Jogi']), { key: 'Jogi' });
+});
+
+test('matchParticipantKey refuses ambiguous and unrelated keys', () => {
+  assert.deepEqual(
+    matchParticipantKey({ name: 'Anna' }, ['Anna Müller', 'Anna Schmidt']),
+    { key: null, reason: 'Ambiguous match: Anna Müller, Anna Schmidt' }
+  );
+  assert.deepEqual(matchParticipantKey({ name: 'Anna Müller' }, ['Ben Roth']), { key: null, reason: 'No matching section in feedback' });
+});
+
+test('resolveName finds learners by admin alias, canonical name and loose match', async () => {
+  await registerLearner('learner-carla', { name: 'Carla Gómez', email: 'carla@example.com' });
+  await registerLearner('learner-dieter', { name: 'Dieter Braun', email: 'dieter@example.com' });
+  await addLearnerAliases('learner-dieter', { names: ['Didi'] });
+
+  assert.equal((await resolveName('Didi')).match, 'alias');
+  assert.equal((await resolveName('Didi')).learner.learnerId, 'learner-dieter');
+  assert.equal((await resolveName('carla gomez')).match, 'name');
+  assert.equal((await resolveName('Carla')).match, 'fuzzy');
+  assert.equal((await resolveName('Carla', { fuzzy: false })), null);
+  assert.equal(await resolveName('Somebody Else'), null);
+  assert.equal(await resolveName('  '), null);
+});
+
+test('rememberParticipant registers by email and never remembers display names', async () => {
+  assert.equal(await rememberParticipant({ name: 'Elif (iPhone)', email: null, zoomUserId: 'z-elif' }), null);
+
+  const learner = await rememberParticipant({ name: 'Elif Kaya', email: 'elif@example.com', zoomUserId: 'z-elif' });
+  assert.equal(learner.email, 'elif@example.com');
+  assert.equal(await resolveName('Elif (iPhone)', { fuzzy: false }), null);
+
+  const byZoomId = await resolveLearner({ name: 'iPhone', zoomUserId: 'z-elif' });
+  assert.equal(byZoomId.match, 'zoom_user_id');
+  assert.equal(byZoomId.learner.learnerId, learner.learnerId);
+});
+
+test('resolveLearner never links a participant by display name alone', async () => {
+  await registerLearner('learner-frank', { name: 'Frank Weber', email: 'frank@example.com' });
+
+  assert.equal(await resolveLearner({ name: 'Frank Weber', email: null }), null);
+
+  const [participant] = await resolveParticipants([{ name: 'Frank Weber', email: null }]);
+  assert.equal(participant.email, null);
+  assert.equal(participant.learnerId, undefined);
+});
+
+test('resolveParticipants merges devices of one learner and fills in the registered email', async () => {
+  await registerLearner('learner-greta', { name: 'Greta Lind', email: 'greta@example.com' });
+  await addLearnerAliases('learner-greta', { names: ['Greta Handy'], zoomUserIds: ['z-greta'] });
+
+  const resolved = await resolveParticipants([
+    { name: 'Greta Lind', email: 'greta@example.com' },
+    { name: 'Greta Handy', email: null },
+    { name: 'Hans Kurz', email: 'hans@example.com' }
+  ]);
+
+  assert.equal(resolved.length, 2);
+  assert.equal(resolved[0].learnerId, 'learner-greta');
+  assert.ok(resolved[0].aliases.includes('Greta Handy'));
+  assert.deepEqual(resolved[1], { name: 'Hans Kurz', email: 'hans@example.com' });
+});
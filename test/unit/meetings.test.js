@@ -0,0 +1,47 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStorage } = require('../../lib/storage');
+const { getMeetingDetails, listMeetingSummaries } = require('../../lib/meetings');
+
+async function runJob(storage, uuid, outcome) {
+  await storage.enqueueJob({ type: 'meeting.reprocess', groupKey: uuid, payload: {}, maxAttempts: 1, runAt: null });
+  const job = await storage.claimNextJob();
+  if (outcome === 'dead') {
+    await storage.failJob(job.id, 'Zoom API unavailable', null);
+  } else {
+    await storage.completeJob(job.id, {});
+  }
+}
+
+async function statuses(uuid) {
+  const details = await getMeetingDetails(uuid);
+  const summary = (await listMeetingSummaries()).find(meeting => meeting.uuid === uuid);
+  return [details.status.state, summary.status];
+}
+
+test('a dead job marks the meeting failed until a later job succeeds', async () => {
+  const storage = await getStorage();
+  const uuid = 'status-meeting==';
+  await storage.upsertMeeting({ uuid, meetingId: '42', topic: 'Tandem' });
+
+  await runJob(storage, uuid, 'dead');
+  assert.deepEqual(await statuses(uuid), ['failed', 'failed']);
+
+  // A successful reprocess that delivered feedback
+  await runJob(storage, uuid, 'succeeded');
+  const feedbackId = await storage.saveFeedback(uuid, { participants: {} });
+  await storage.saveDeliveries(feedbackId, [{ channel: 'email', recipient: 'anna@example.com', status: 'sent' }]);
+  assert.deepEqual(await statuses(uuid), ['delivered', 'delivered']);
+
+  await runJob(storage, uuid, 'dead');
+  assert.deepEqual(await statuses(uuid), ['failed', 'failed']);
+});
+
+test('meeting summaries do not expose the facts behind the status', async () => {
+  const [summary] = await listMeetingSummaries();
+  assert.equal(summary.latestJobStatus, undefined);
+  assert.equal(summary.pendingJobCount, undefined);
+  assert.equal(typeof summary.feedbackCount, 'number');
+});
@@ -0,0 +1,131 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.JOB_MAX_ATTEMPTS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { enqueueJob, getJob } = require('../../lib/jobQueue');
+const { registerEvent, forceReprocessEvent } = require('../../lib/idempotency');
+const { getStorage } = require('../../lib/storage');
+
+const MEETING_UUID = 'reprocess-meeting==';
+
+const FEEDBACK = JSON.stringify({
+  overallAssessment: 'Ein lebhaftes Gespräch.',
+  participants: {
+    'Anna Müller': {
+      level: 'B1',
+      strengths: ['Klare Aussprache'],
+      grammar: { score: 7, feedback: 'Gut', examples: [] },
+      vocabulary: { score: 6, feedback: 'Solide', suggestions: [] },
+      fluency: { score: 8, feedback: 'Flüssig' },
+      improvements: ['Perfekt üben'],
+      resources: ['Deutsche Welle']
+    }
+  },
+  conversationQuality: { score: 7, feedback: 'Ausgewogen' },
+  nextSteps: ['Weiter so']
+});
+
+// Stands in for the Zoom API, the recording download and the chat completions API
+let chatRequests = 0;
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    res.setHeader('content-type', 'application/json');
+    if (req.url.startsWith('/oauth/token')) {
+      return res.end(JSON.stringify({ access_token: 'token', expires_in: 3600, scope: 'cloud_recording:read:recording:admin' }));
+    }
+    if (req.url.startsWith('/v2/meetings/')) {
+      return res.end(JSON.stringify({ recording_files: [{ id: 'vtt', file_type: 'TRANSCRIPT', download_url: `${baseUrl()}/v2/rec/transcript.vtt` }] }));
+    }
+    if (req.url.startsWith('/v2/rec/')) {
+      return res.end('WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nAnna Müller: Hallo, wie geht es dir?\n');
+    }
+    chatRequests++;
+    res.end(JSON.stringify({
+      id: 'chat', object: 'chat.completion', created: 0, model: 'test',
+      choices: [{ index: 0, message: { role: 'assistant', content: FEEDBACK }, finish_reason: 'stop' }]
+    }));
+  });
+});
+
+const baseUrl = () => `http://127.0.0.1:${server.address().port}`;
+
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await getJob(id);
+    if (job.status === 'succeeded' || job.status === 'dead') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+let storage;
+
+test.before(async () => {
+  // The pipeline logs every step; keep the test runner's output readable
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    ZOOM_ACCOUNT_ID: 'account',
+    ZOOM_CLIENT_ID: 'client',
+    ZOOM_CLIENT_SECRET: 'secret',
+    ZOOM_API_BASE_URL: `${baseUrl()}/v2`,
+    ZOOM_OAUTH_BASE_URL: baseUrl(),
+    OPENAI_BASE_URL: `${baseUrl()}/v1`
+  });
+
+  // Registers the job handlers
+  require('../../index');
+  storage = await getStorage();
+});
+
+test.after(() => server.close());
+
+const eventType = 'recording.transcript_completed';
+const transcriptCompleted = uuid => ({
+  object: { uuid, id: 123, topic: 'Tandem', participants: [{ name: 'Anna Müller' }] }
+});
+const runEvent = async (payload) => waitForJob(await enqueueJob('zoom.event', { eventType, payload }, { groupKey: payload.object.uuid }));
+
+test('without an LLM provider no placeholder feedback is stored to block the real one', async () => {
+  const payload = transcriptCompleted('no-llm-meeting==');
+
+  delete process.env.OPENAI_API_KEY;
+  const skipped = await runEvent(payload);
+  assert.equal(skipped.status, 'succeeded');
+  assert.deepEqual(await storage.listFeedback('no-llm-meeting=='), []);
+  assert.equal(chatRequests, 0);
+
+  process.env.OPENAI_API_KEY = 'test-key';
+  await runEvent(payload);
+  assert.equal((await storage.listFeedback('no-llm-meeting==')).length, 1);
+  assert.equal(chatRequests, 1);
+});
+
+test('a forced re-run of transcript_completed regenerates feedback that already exists', async () => {
+  const payload = transcriptCompleted(MEETING_UUID);
+  const { eventKey } = await registerEvent(eventType, payload);
+  const chatRequestsBefore = chatRequests;
+
+  const first = await runEvent(payload);
+  assert.equal(first.status, 'succeeded');
+  assert.equal((await storage.listFeedback(MEETING_UUID)).length, 1);
+
+  // A late transcript for the same meeting does not produce a second set
+  await runEvent(payload);
+  assert.equal((await storage.listFeedback(MEETING_UUID)).length, 1);
+  assert.equal(chatRequests - chatRequestsBefore, 1);
+
+  // The operator's deliberate re-run does
+  const forced = await waitForJob(await forceReprocessEvent(eventKey));
+  assert.equal(forced.status, 'succeeded');
+  assert.equal((await storage.listFeedback(MEETING_UUID)).length, 2);
+  assert.equal(chatRequests - chatRequestsBefore, 2);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTalkTime } = require('../../lib/talkTime');
+const { segmentsToCues } = require('../../lib/transcript');
+const { stitchSegments } = require('../../lib/audioChunking');
+
+test('computeTalkTime measures speaking time, turns and balance from cue timings', () => {
+  const talkTime = computeTalkTime([
+    { start: 0, end: 6, speaker: 'Anna', text: 'Hallo, wie geht es dir?' },
+    { start: 6, end: 8, speaker: 'Ben', text: 'Gut.' },
+    { start: 8, end: 12, speaker: 'Anna', text: 'Schön.' }
+  ]);
+
+  assert.equal(talkTime.totalSpeakingSeconds, 12);
+  assert.equal(talkTime.turnCount, 3);
+  assert.equal(talkTime.balance, 0.2);
+  assert.deepEqual(talkTime.speakers.Anna, {
+    speakingSeconds: 10, share: 0.83, turns: 2, averageTurnSeconds: 5, longestMonologueSeconds: 6, interruptions: 0
+  });
+});
+
+test('computeTalkTime is null without speaker-attributed cues', () => {
+  assert.equal(computeTalkTime(segmentsToCues([{ start: 0, end: 5, text: 'Hallo zusammen.' }])), null);
+});
+
+test('stitched Whisper segments give talk time on the global timeline', () => {
+  const segments = stitchSegments([
+    { start: 0, segments: [{ start: 0, end: 4, text: 'Anna Müller: Hallo Ben.' }, { start: 4, end: 9, text: 'Ben Roth: Hallo Anna.' }] },
+    { start: 600, segments: [{ start: 10, end: 16, text: 'Anna Müller: Bis bald.' }] }
+  ], 10);
+  const talkTime = computeTalkTime(segmentsToCues(segments, { speakers: ['Anna Müller', 'Ben Roth'] }));
+
+  assert.equal(talkTime.speakers['Anna Müller'].speakingSeconds, 10);
+  assert.equal(talkTime.speakers['Ben Roth'].speakingSeconds, 5);
+  assert.equal(talkTime.turnCount, 3);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatFeedbackMessage, splitMessage } = require('../../lib/telegram');
+
+// Unescaped MarkdownV2 markers; every chunk must open and close each one
+function markerCounts(chunk) {
+  const unescaped = chunk.replace(/\\./g, '');
+  return ['*', '_', '`'].map(marker => unescaped.split(marker).length - 1);
+}
+
+function assertParsable(chunks, limit) {
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= limit, `chunk of ${chunk.length} characters`);
+    assert.ok(!/(^|[^\\])(\\\\)*\\$/.test(chunk), 'chunk ends inside an escape');
+    for (const count of markerCounts(chunk)) {
+      assert.equal(count % 2, 0, `unbalanced entity in ${JSON.stringify(chunk.slice(0, 40))}`);
+    }
+  }
+}
+
+test('splitMessage keeps short messages whole', () => {
+  assert.deepEqual(splitMessage('*Titel*\n\n_kurz_'), ['*Titel*\n\n_kurz_']);
+});
+
+test('a long italic assessment is closed and reopened at every split', () => {
+  const feedback = {
+    language: 'de',
+    overallAssessment: 'Ein sehr gutes Gespräch (mit vielen Details). '.repeat(300),
+    participants: {},
+    nextSteps: ['Weiter üben!']
+  };
+  const section = {
+    level: 'B1',
+    grammar: { score: 7, feedback: 'Gut' },
+    strengths: ['Klare Aussprache']
+  };
+  const message = formatFeedbackMessage({ name: 'Anna Müller' }, section, feedback);
+  const chunks = splitMessage(message);
+
+  assert.ok(chunks.length > 1);
+  assertParsable(chunks, 4096);
+  assert.ok(chunks[1].startsWith('_'));
+  assert.equal(chunks.join('').replace(/[_\s]/g, ''), message.replace(/[_\s]/g, ''));
+});
+
+test('hard splits inside bold text without spaces stay balanced and keep escapes whole', () => {
+  const text = `*${'a\\.'.repeat(40)}*`;
+  const chunks = splitMessage(text, 30);
+
+  assertParsable(chunks, 30);
+  assert.equal(chunks.join('').replace(/\*/g, ''), text.replace(/\*/g, ''));
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVTT, segmentsToCues, formatTranscript, parseTimestamp } = require('../../lib/transcript');
+
+const vtt = (...cues) => ['WEBVTT', '', ...cues.map((text, i) => `${i + 1}\n00:00:${String(i * 2).padStart(2, '0')}.000 --> 00:00:${String(i * 2 + 2).padStart(2, '0')}.000\n${text}\n`)].join('\n');
+
+const speakersAndTexts = cues => cues.map(cue => [cue.speaker, cue.text]);
+
+test('parseTimestamp accepts optional hours and a comma as decimal separator', () => {
+  assert.equal(parseTimestamp('01:02:03.500'), 3723.5);
+  assert.equal(parseTimestamp('02:03,250'), 123.25);
+});
+
+test('parseVTT reads ids, times, multi-line cues, voice tags and entities, skipping NOTE blocks', () => {
+  const cues = parseVTT([
+    '\uFEFFWEBVTT',
+    '',
+    'NOTE generated by Zoom',
+    '',
+    'cue-1',
+    '00:00:01.000 --> 00:00:03.500 align:start',
+    '<v Anna Müller>Hallo &amp; willkommen,',
+    'wie geht es dir?',
+    '',
+    '00:00:04,000 --> 00:00:05,000',
+    '<v.loud Ben Roth><b>Gut</b>, danke!'
+  ].join('\r\n'));
+
+  assert.deepEqual(cues, [
+    { id: 'cue-1', start: 1, end: 3.5, speaker: 'Anna Müller', text: 'Hallo & willkommen, wie geht es dir?' },
+    { id: null, start: 4, end: 5, speaker: 'Ben Roth', text: 'Gut, danke!' }
+  ]);
+});
+
+test('parseVTT takes full names from Zoom "Name: text" prefixes and carries the speaker over', () => {
+  const cues = parseVTT(vtt('Anna Müller: Hallo Ben.', 'Wie war dein Wochenende?', 'Ben Roth: Sehr schön.'));
+  assert.deepEqual(speakersAndTexts(cues), [
+    ['Anna Müller', 'Hallo Ben.'],
+    ['Anna Müller', 'Wie war dein Wochenende?'],
+    ['Ben Roth', 'Sehr schön.']
+  ]);
+});
+
+test('parseVTT keeps sentence prefixes and single capitalized nouns as text', () => {
+  const cues = parseVTT(vtt('Anna Müller: Ich sage: ja', 'Ich sage: das stimmt', 'Beispiel: der Hund'));
+  assert.deepEqual(speakersAndTexts(cues), [
+    ['Anna Müller', 'Ich sage: ja'],
+    ['Anna Müller', 'Ich sage: das stimmt'],
+    ['Anna Müller', 'Beispiel: der Hund']
+  ]);
+});
+
+test('parseVTT trusts a one-word prefix that recurs across many cues', () => {
+  const cues = parseVTT(vtt('Anna: Hallo.', 'Ben: Hi.', 'Anna: Wie geht es?', 'Ben: Gut.'));
+  assert.deepEqual(cues.map(cue => cue.speaker), ['Anna', 'Ben', 'Anna', 'Ben']);
+});
+
+test('parseVTT with known participants accepts their (shortened) names', () => {
+  const cues = parseVTT(vtt('Anna: Hallo.', 'Anna M.: Noch was.', 'Mein Tipp: so sagt man das.', 'Ben Roth: Danke.'), {
+    speakers: ['Anna Müller', 'Ben Roth']
+  });
+  assert.deepEqual(speakersAndTexts(cues), [
+    ['Anna', 'Hallo.'],
+    ['Anna M.', 'Noch was.'],
+    ['Anna M.', 'Mein Tipp: so sagt man das.'],
+    ['Ben Roth', 'Danke.']
+  ]);
+});
+
+test('parseVTT still splits off full names missing from the participant list', () => {
+  const cues = parseVTT(vtt('Ben Roth: Hallo zusammen.', 'Carla Gómez: Ich bin auch da.', 'Beispiel: der Hund'), {
+    speakers: ['Anna Müller', 'Ben Roth']
+  });
+  assert.deepEqual(speakersAndTexts(cues), [
+    ['Ben Roth', 'Hallo zusammen.'],
+    ['Carla Gómez', 'Ich bin auch da.'],
+    ['Carla Gómez', 'Beispiel: der Hund']
+  ]);
+});
+
+test('segmentsToCues picks up speaker prefixes Whisper wrote', () => {
+  const cues = segmentsToCues([
+    { id: 0, start: 0, end: 2, text: ' Anna Müller: Hallo. ' },
+    { id: 1, start: 2, end: 4, text: 'Wie geht es?' }
+  ]);
+  assert.deepEqual(cues, [
+    { id: '0', start: 0, end: 2, speaker: 'Anna Müller', text: 'Hallo.' },
+    { id: '1', start: 2, end: 4, speaker: 'Anna Müller', text: 'Wie geht es?' }
+  ]);
+});
+
+test('formatTranscript renders "[MM:SS] Speaker: text" lines', () => {
+  assert.equal(
+    formatTranscript([{ start: 65, speaker: 'Anna', text: 'Hallo.' }, { start: 70, speaker: null, text: 'Hm.' }]),
+    '[01:05] Anna: Hallo.\n[01:10] Hm.'
+  );
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  createValidationToken,
+  verifyZoomSignature,
+  recordRejectedRequest,
+  listRejectedRequests
+} = require('../../lib/webhookVerification');
+
+process.env.ZOOM_WEBHOOK_SECRET_TOKEN = 'current-secret';
+process.env.ZOOM_WEBHOOK_SECRET_TOKEN_PREVIOUS = 'previous-secret';
+
+const hmac = (secret, message) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+function signedRequest(secret, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return { timestamp, rawBody, signature: `v0=${hmac(secret, `v0:${timestamp}:${rawBody}`)}` };
+}
+
+test('url_validation signed with the previous secret is answered with the previous secret', () => {
+  const body = { event: 'endpoint.url_validation', payload: { plainToken: 'abc' } };
+
+  const rotated = verifyZoomSignature(signedRequest('previous-secret', body));
+  assert.deepEqual(rotated, { valid: true, rotated: true });
+  assert.equal(createValidationToken('abc', rotated), hmac('previous-secret', 'abc'));
+
+  const current = verifyZoomSignature(signedRequest('current-secret', body));
+  assert.deepEqual(current, { valid: true, rotated: false });
+  assert.equal(createValidationToken('abc', current), hmac('current-secret', 'abc'));
+});
+
+test('listRejectedRequests returns the newest entries and clamps the limit to at least one', () => {
+  for (const reason of ['stale_timestamp', 'invalid_signature', 'missing_headers']) {
+    recordRejectedRequest({ headers: {}, socket: { remoteAddress: '203.0.113.5' } }, reason);
+  }
+
+  assert.deepEqual(listRejectedRequests({ limit: 2 }).map(entry => entry.reason), ['missing_headers', 'invalid_signature']);
+  assert.deepEqual(listRejectedRequests({ limit: 0 }).map(entry => entry.reason), ['missing_headers']);
+  assert.deepEqual(listRejectedRequests({ limit: -5 }).map(entry => entry.reason), ['missing_headers']);
+});